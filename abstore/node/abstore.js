@@ -6,106 +6,336 @@
 
 const shim = require('fabric-shim');
 const util = require('util');
+const { iterators, Router, Logger, timestamps, errors } = require('chaincode-common');
+const { NotFoundError, InvalidArgumentError, PermissionDeniedError, ConflictError } = errors;
 
-var ABstore = class {
+// Init takes an optional 6th argument, {level, redact} as JSON, that configures the
+// logger (see Logger in chaincode-common); pass an empty 5th argument to keep the
+// default access policy
+const logger = new Logger({ name: 'abstore' });
 
-  // Initialize the chaincode
-  async Init(stub) {
-    console.info('========= ABstore Init =========');
-    let ret = stub.getFunctionAndParameters();
-    console.info(ret);
-    let args = ret.params;
-    // initialise only if 4 parameters passed.
-    if (args.length != 4) {
-      return shim.error('Incorrect number of arguments. Expecting 4');
+// ===============================================================================
+// Access control. Each function can require certificate attributes (issued by the
+// Fabric CA, as in abac/go/abac.go) and/or membership of one of a list of MSPs:
+//
+//   { "<function>": { "mspIds": ["Org1MSP"], "attributes": { "abac.invoke": "true" } } }
+//
+// A function with an empty rule is open to every member of the channel; a function
+// missing from the policy cannot be called at all. The default policy below can be
+// replaced by passing a policy as the optional 5th argument to Init (on instantiate
+// or upgrade); it is then stored on the ledger under a composite key, which cannot
+// collide with an account name.
+// ===============================================================================
+const DEFAULT_ACCESS_POLICY = {
+  init: { attributes: { 'abac.init': 'true' } },
+  invoke: { attributes: { 'abac.invoke': 'true' } },
+  delete: { attributes: { 'abac.delete': 'true' } },
+  query: {},
+  getStatement: {},
+  listFunctions: {}
+};
+
+function invalidAccessPolicy(reason) {
+  return new InvalidArgumentError('Invalid access policy: ' + reason);
+}
+
+// Parses and checks the access policy passed to Init as JSON
+function parseAccessPolicy(value) {
+  let policy;
+  try {
+    policy = JSON.parse(value);
+  } catch (err) {
+    throw invalidAccessPolicy(err.message);
+  }
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw invalidAccessPolicy('Access policy must be a JSON object keyed by function name');
+  }
+  for (let fcn of Object.keys(policy)) {
+    let rule = policy[fcn];
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw invalidAccessPolicy(util.format('Access rule for %s must be a JSON object', fcn));
+    }
+    if (rule.mspIds !== undefined &&
+      (!Array.isArray(rule.mspIds) || !rule.mspIds.every((mspId) => typeof mspId === 'string'))) {
+      throw invalidAccessPolicy(util.format('mspIds for %s must be an array of MSP IDs', fcn));
     }
+    if (rule.attributes !== undefined) {
+      if (!rule.attributes || typeof rule.attributes !== 'object' || Array.isArray(rule.attributes) ||
+        !Object.keys(rule.attributes).every((name) => typeof rule.attributes[name] === 'string')) {
+        throw invalidAccessPolicy(util.format('attributes for %s must map attribute names to string values', fcn));
+      }
+    }
+  }
+  return policy;
+}
 
-    let A = args[0];
-    let B = args[2];
-    let Aval = args[1];
-    let Bval = args[3];
+function getAccessPolicyKey(stub) {
+  return stub.createCompositeKey('abstore~config', ['accessPolicy']);
+}
+
+async function getAccessPolicy(stub) {
+  let policyBytes = await stub.getState(getAccessPolicyKey(stub));
+  if (!policyBytes || !policyBytes.toString()) {
+    return DEFAULT_ACCESS_POLICY;
+  }
+  return JSON.parse(policyBytes.toString());
+}
+
+// Returns a reason string when the caller may not run fcn, or null when access is granted
+async function checkAccess(stub, fcn) {
+  let policy = await getAccessPolicy(stub);
+  let rule = policy[fcn];
+  if (!rule) {
+    return util.format('Access denied: function %s is not permitted by the access policy', fcn);
+  }
+
+  let cid = new shim.ClientIdentity(stub);
+  let mspId = cid.getMSPID();
+  if (rule.mspIds && rule.mspIds.indexOf(mspId) < 0) {
+    return util.format('Access denied: function %s is restricted to members of %s, caller is a member of %s',
+      fcn, rule.mspIds.join(', '), mspId);
+  }
+  let attributes = rule.attributes || {};
+  for (let name of Object.keys(attributes)) {
+    if (!cid.assertAttributeValue(name, attributes[name])) {
+      return util.format('Access denied: function %s requires attribute %s=%s', fcn, name, attributes[name]);
+    }
+  }
+  return null;
+}
+
+// ===============================================================================
+// Balances. Amounts are held as BigInt so that they never lose precision or
+// overflow, and are stored on the ledger as decimal strings as before. Input is
+// validated strictly: only plain decimal digits are accepted, so values such as
+// '12abc', '1e3', '0x10' or '' are rejected instead of being half-parsed by parseInt.
+// ===============================================================================
+const INTEGER_PATTERN = /^[0-9]+$/;
+
+// Thrown when a transaction refers to an account that is not on the ledger
+class AccountNotFoundError extends NotFoundError {
+  constructor(account) {
+    super('Account does not exist: ' + account, { account: account });
+    this.name = 'AccountNotFoundError';
+    this.account = account;
+  }
+}
+
+function parseBalance(value, description) {
+  if (typeof value !== 'string' || !INTEGER_PATTERN.test(value)) {
+    throw new InvalidArgumentError(util.format('Expecting a non-negative integer value for %s, got "%s"', description, value));
+  }
+  return BigInt(value);
+}
+
+function parseAmount(value) {
+  let amount = parseBalance(value, 'amount to be transferred');
+  if (amount <= 0n) {
+    throw new InvalidArgumentError('Amount to be transferred must be positive');
+  }
+  return amount;
+}
 
-    if (typeof parseInt(Aval) !== 'number' || typeof parseInt(Bval) !== 'number') {
-      return shim.error('Expecting integer value for asset holding');
+async function getBalance(stub, account) {
+  let valbytes = await stub.getState(account);
+  if (!valbytes || !valbytes.toString()) {
+    throw new AccountNotFoundError(account);
+  }
+  return parseBalance(valbytes.toString(), 'the balance of ' + account);
+}
+
+// ===============================================================================
+// Journal. Every transfer made by invoke is recorded under a composite key built
+// from its transaction ID, and indexed once per account involved under
+// account~time~txid so that the statement of one account can be read back in time
+// order with a range query. Times are ISO 8601 strings in UTC, which sort in
+// chronological order.
+// ===============================================================================
+const JOURNAL_ENTRY = 'journal~txid';
+const ACCOUNT_JOURNAL_INDEX = 'account~time~txid';
+const MAX_UNICODE_RUNE_VALUE = '\u{10ffff}';
+const DEFAULT_STATEMENT_PAGE_SIZE = 100;
+// well within the limits of iterators in chaincode-common
+const MAX_STATEMENT_PAGE_SIZE = 1000;
+
+function getTxDateString(stub) {
+  return new Date(timestamps.txTimestampMillis(stub)).toISOString();
+}
+
+// Normalizes an optional time argument to the form used in the index keys
+function parseTime(value, description) {
+  if (!value) {
+    return null;
+  }
+  let date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new InvalidArgumentError(util.format('Expecting an ISO 8601 date for %s, got "%s"', description, value));
+  }
+  return date.toISOString();
+}
+
+async function recordJournalEntry(stub, from, to, amount, fromBalance, toBalance) {
+  let txId = stub.getTxID();
+  let timestamp = getTxDateString(stub);
+  let entry = {
+    docType: 'journalEntry',
+    txId: txId,
+    from: from,
+    to: to,
+    amount: amount.toString(),
+    timestamp: timestamp,
+    balances: {
+      [from]: fromBalance.toString(),
+      [to]: toBalance.toString()
     }
+  };
+  await stub.putState(stub.createCompositeKey(JOURNAL_ENTRY, [txId]), Buffer.from(JSON.stringify(entry)));
+  for (let account of [from, to]) {
+    let indexKey = stub.createCompositeKey(ACCOUNT_JOURNAL_INDEX, [account, timestamp, txId]);
+    await stub.putState(indexKey, Buffer.from('\u0000'));
+  }
+}
 
+// ===============================================================================
+// The functions clients can invoke, with their arguments. Amounts stay strings here
+// and are parsed into BigInt by parseAmount.
+// ===============================================================================
+const ACCOUNT = { type: 'string', minLength: 1 };
+const router = new Router({
+  invoke: {
+    description: 'Transfer an amount from account A to account B',
+    args: [
+      Object.assign({ name: 'A' }, ACCOUNT),
+      Object.assign({ name: 'B' }, ACCOUNT),
+      { name: 'amount', type: 'string' }
+    ]
+  },
+  delete: {
+    description: 'Delete an account',
+    args: [Object.assign({ name: 'account' }, ACCOUNT)]
+  },
+  query: {
+    description: 'Read the balance of an account',
+    readOnly: true,
+    args: [Object.assign({ name: 'account' }, ACCOUNT)]
+  },
+  getStatement: {
+    description: 'Read a page of the journal entries of an account, oldest first',
+    readOnly: true,
+    args: [
+      Object.assign({ name: 'account' }, ACCOUNT),
+      { name: 'fromTime', type: 'string', optional: true },
+      { name: 'toTime', type: 'string', optional: true },
+      { name: 'pageSize', type: 'integer', minimum: 1, maximum: MAX_STATEMENT_PAGE_SIZE, optional: true, default: DEFAULT_STATEMENT_PAGE_SIZE },
+      { name: 'bookmark', type: 'string', optional: true, default: '' }
+    ]
+  }
+});
+
+// Sets up the two accounts, plus the optional access policy and logging configuration
+async function initAccounts(stub, args) {
+  let denied = await checkAccess(stub, 'init');
+  if (denied) {
+    throw new PermissionDeniedError(denied, { function: 'init' });
+  }
+  // initialise only if 4 parameters passed, plus an optional access policy and logging configuration.
+  if (args.length < 4 || args.length > 6) {
+    throw new InvalidArgumentError('Incorrect number of arguments. Expecting 4, plus optionally an access policy and a logging configuration');
+  }
+
+  let A = args[0];
+  let B = args[2];
+  if (!A || !B) {
+    throw new InvalidArgumentError('asset holding must not be empty');
+  }
+  if (A === B) {
+    throw new InvalidArgumentError('asset holders A and B must be different accounts');
+  }
+  let Aval = parseBalance(args[1], 'asset holding of ' + A);
+  let Bval = parseBalance(args[3], 'asset holding of ' + B);
+  let policy = args[4] ? parseAccessPolicy(args[4]) : null;
+
+  if (args[5]) {
+    await logger.configure(stub, args[5]);
+  }
+  if (policy) {
+    await stub.putState(getAccessPolicyKey(stub), Buffer.from(JSON.stringify(policy)));
+  }
+  await stub.putState(A, Buffer.from(Aval.toString()));
+  await stub.putState(B, Buffer.from(Bval.toString()));
+  logger.forStub(stub).info('Instantiated abstore chaincode', { accounts: [A, B], customPolicy: Boolean(policy) });
+}
+
+var ABstore = class {
+
+  // Initialize the chaincode
+  // Errors are returned as {code, message, details} JSON, see errors in chaincode-common
+  async Init(stub) {
+    let log = logger.forStub(stub);
     try {
-      await stub.putState(A, Buffer.from(Aval));
-      try {
-        await stub.putState(B, Buffer.from(Bval));
-        return shim.success();
-      } catch (err) {
-        return shim.error(err);
-      }
+      await initAccounts(stub, stub.getFunctionAndParameters().params);
+      return shim.success();
     } catch (err) {
-      return shim.error(err);
+      log.error('Init failed', { error: err });
+      return shim.error(errors.toMessage(err));
     }
   }
 
+  // Errors are returned as {code, message, details} JSON, see errors in chaincode-common
   async Invoke(stub) {
+    let log = logger.forStub(stub);
     let ret = stub.getFunctionAndParameters();
-    console.info(ret);
-    let method = this[ret.fcn];
-    if (!method) {
-      console.log('no method of name:' + ret.fcn + ' found');
-      return shim.success();
-    }
     try {
-      let payload = await method(stub, ret.params);
+      await logger.loadConfig(stub);
+      log.debug('Invoke');
+      // unknown functions are reported as such rather than as denied by the policy
+      router.getRoute(ret.fcn);
+      let denied = await checkAccess(stub, ret.fcn);
+      if (denied) {
+        throw new PermissionDeniedError(denied, { function: ret.fcn });
+      }
+      let payload = await router.invoke(stub, this);
       return shim.success(payload);
     } catch (err) {
-      console.log(err);
-      return shim.error(err);
+      log.error('Transaction failed', { error: err });
+      return shim.error(errors.toMessage(err));
     }
   }
 
   async invoke(stub, args) {
-    if (args.length != 3) {
-      throw new Error('Incorrect number of arguments. Expecting 3');
-    }
-
     let A = args[0];
     let B = args[1];
-    if (!A || !B) {
-      throw new Error('asset holding must not be empty');
+    if (A === B) {
+      throw new InvalidArgumentError('Cannot transfer from an account to itself');
     }
+    let amount = parseAmount(args[2]);
 
     // Get the state from the ledger
-    let Avalbytes = await stub.getState(A);
-    if (!Avalbytes) {
-      throw new Error('Failed to get state of asset holder A');
-    }
-    let Aval = parseInt(Avalbytes.toString());
-
-    let Bvalbytes = await stub.getState(B);
-    if (!Bvalbytes) {
-      throw new Error('Failed to get state of asset holder B');
-    }
+    let Aval = await getBalance(stub, A);
+    let Bval = await getBalance(stub, B);
 
-    let Bval = parseInt(Bvalbytes.toString());
     // Perform the execution
-    let amount = parseInt(args[2]);
-    if (typeof amount !== 'number') {
-      throw new Error('Expecting integer value for amount to be transaferred');
+    if (Aval < amount) {
+      throw new ConflictError(util.format('Insufficient funds: %s holds %s, cannot transfer %s', A, Aval.toString(), amount.toString()),
+        { account: A });
     }
-
     Aval = Aval - amount;
     Bval = Bval + amount;
-    console.info(util.format('Aval = %d, Bval = %d\n', Aval, Bval));
+    let log = logger.forStub(stub);
+    log.info('Transferred amount', { from: A, to: B, amount: amount });
+    log.debug('New balances', { [A]: Aval, [B]: Bval });
 
     // Write the states back to the ledger
     await stub.putState(A, Buffer.from(Aval.toString()));
     await stub.putState(B, Buffer.from(Bval.toString()));
+    await recordJournalEntry(stub, A, B, amount, Aval, Bval);
 
   }
 
   // Deletes an entity from state
   async delete(stub, args) {
-    if (args.length != 1) {
-      throw new Error('Incorrect number of arguments. Expecting 1');
-    }
-
     let A = args[0];
+    await getBalance(stub, A);
 
     // Delete the key from the state in ledger
     await stub.deleteState(A);
@@ -113,26 +343,71 @@ var ABstore = class {
 
   // query callback representing the query of a chaincode
   async query(stub, args) {
-    if (args.length != 1) {
-      throw new Error('Incorrect number of arguments. Expecting name of the person to query')
-    }
-
-    let jsonResp = {};
     let A = args[0];
 
     // Get the state from the ledger
-    let Avalbytes = await stub.getState(A);
-    if (!Avalbytes) {
-      jsonResp.error = 'Failed to get state for ' + A;
-      throw new Error(JSON.stringify(jsonResp));
+    let Aval = await getBalance(stub, A);
+    return Buffer.from(Aval.toString());
+  }
+
+  // Returns a page of the journal entries of an account, oldest first. fromTime
+  // is inclusive and toTime exclusive; either may be empty to leave that end
+  // open. pageSize defaults to 100 entries, up to 1000; pass the returned bookmark
+  // back to read the next page.
+  async getStatement(stub, args) {
+    let account = args[0];
+    let fromTime = parseTime(args[1], 'fromTime');
+    let toTime = parseTime(args[2], 'toTime');
+    if (fromTime && toTime && fromTime > toTime) {
+      throw new InvalidArgumentError('fromTime must not be later than toTime');
     }
+    let pageSize = args[3];
+    let bookmark = args[4];
 
-    jsonResp.name = A;
-    jsonResp.amount = Avalbytes.toString();
-    console.info('Query Response:');
-    console.info(jsonResp);
-    return Avalbytes;
+    let startKey = fromTime ? stub.createCompositeKey(ACCOUNT_JOURNAL_INDEX, [account, fromTime]) :
+      stub.createCompositeKey(ACCOUNT_JOURNAL_INDEX, [account]);
+    let endKey = toTime ? stub.createCompositeKey(ACCOUNT_JOURNAL_INDEX, [account, toTime]) :
+      stub.createCompositeKey(ACCOUNT_JOURNAL_INDEX, [account]) + MAX_UNICODE_RUNE_VALUE;
+
+    let { iterator, metadata } = await stub.getStateByRangeWithPagination(startKey, endKey, pageSize, bookmark);
+    let txIds = await iterators.collect(iterator, { project: (record) => stub.splitCompositeKey(record.key).attributes[2] });
+    let entries = [];
+    for (let txId of txIds) {
+      let entryBytes = await stub.getState(stub.createCompositeKey(JOURNAL_ENTRY, [txId]));
+      if (!entryBytes || !entryBytes.toString()) {
+        throw new Error('Journal entry missing for indexed transaction ' + txId);
+      }
+      let entry = JSON.parse(entryBytes.toString());
+      entries.push({
+        txId: entry.txId,
+        timestamp: entry.timestamp,
+        from: entry.from,
+        to: entry.to,
+        amount: entry.amount,
+        direction: entry.from === account ? 'debit' : 'credit',
+        balance: entry.balances[account]
+      });
+    }
+
+    let statement = {
+      account: account,
+      fromTime: fromTime,
+      toTime: toTime,
+      entries: entries,
+      // use RecordsCount and Bookmark to keep consistency with the go samples
+      ResponseMetadata: {
+        RecordsCount: metadata.fetched_records_count,
+        Bookmark: metadata.bookmark
+      }
+    };
+    return Buffer.from(JSON.stringify(statement));
   }
 };
 
-shim.start(new ABstore());
+module.exports = ABstore;
+module.exports.AccountNotFoundError = AccountNotFoundError;
+
+// only connect to the peer when run as the chaincode process, so tests can require this module
+if (require.main === module) {
+  shim.start(new ABstore());
+}
@@ -0,0 +1,153 @@
+/*
+# Copyright IBM Corp. All Rights Reserved.
+#
+# SPDX-License-Identifier: Apache-2.0
+*/
+
+'use strict';
+
+// the transactions that fail on purpose would fill the output with error lines
+process.env.CHAINCODE_LOG_LEVEL = 'off';
+
+const { expect } = require('chai');
+const { ChaincodeMockStub, mockIdentity } = require('chaincode-common');
+
+const Chaincode = require('../abstore.js');
+
+const teller = mockIdentity('Org1MSP', 'teller', { 'abac.init': 'true', 'abac.invoke': 'true', 'abac.delete': 'true' });
+const member = mockIdentity('Org1MSP', 'member');
+const outsider = mockIdentity('Org2MSP', 'outsider', { 'abac.invoke': 'true' });
+
+describe('abstore chaincode', () => {
+
+  let stub;
+  let txCount;
+
+  // runs a transaction, timestamped at the given ISO 8601 date or now
+  function invoke(args, identity, timestamp) {
+    txCount++;
+    return stub.mockInvoke('tx' + txCount, args, Object.assign({ timestamp: timestamp }, identity));
+  }
+
+  async function payloadOf(promise) {
+    let response = await promise;
+    expect(response.status, response.message).to.equal(200);
+    return response.payload.length > 0 ? JSON.parse(response.payload.toString()) : undefined;
+  }
+
+  async function errorOf(promise) {
+    let response = await promise;
+    expect(response.status).to.equal(500);
+    return JSON.parse(response.message);
+  }
+
+  beforeEach(() => {
+    stub = new ChaincodeMockStub('abstore', new Chaincode());
+    txCount = 0;
+  });
+
+  describe('Init', () => {
+
+    it('requires the abac.init attribute', async () => {
+      let response = await stub.mockInit('tx0', ['init', 'a', '100', 'b', '200'], member);
+      expect(JSON.parse(response.message).code).to.equal('PERMISSION_DENIED');
+    });
+
+    it('rejects invalid balances and accounts', async () => {
+      let response = await stub.mockInit('tx0', ['init', 'a', '-1', 'b', '200'], teller);
+      expect(JSON.parse(response.message).code).to.equal('INVALID_ARGUMENT');
+      response = await stub.mockInit('tx1', ['init', 'a', '1', 'a', '2'], teller);
+      expect(JSON.parse(response.message).message).to.equal('asset holders A and B must be different accounts');
+      response = await stub.mockInit('tx2', ['init', 'a', '1'], teller);
+      expect(JSON.parse(response.message)).to.deep.include({
+        code: 'INVALID_ARGUMENT',
+        message: 'Incorrect number of arguments. Expecting 4, plus optionally an access policy and a logging configuration'
+      });
+    });
+
+    it('rejects an invalid access policy or logging configuration', async () => {
+      let response = await stub.mockInit('tx0', ['init', 'a', '100', 'b', '200', '{"invoke":[]}'], teller);
+      expect(JSON.parse(response.message)).to.deep.include({
+        code: 'INVALID_ARGUMENT', message: 'Invalid access policy: Access rule for invoke must be a JSON object'
+      });
+      response = await stub.mockInit('tx1', ['init', 'a', '100', 'b', '200', '', '{"level":"loud"}'], teller);
+      expect(JSON.parse(response.message).code).to.equal('INVALID_ARGUMENT');
+      expect(stub.state.size).to.equal(0);
+    });
+
+    it('takes an access policy', async () => {
+      let policy = { invoke: { mspIds: ['Org2MSP'] } };
+      let response = await stub.mockInit('tx0', ['init', 'a', '100', 'b', '200', JSON.stringify(policy)], teller);
+      expect(response.status, response.message).to.equal(200);
+      await payloadOf(invoke(['invoke', 'a', 'b', '10'], outsider));
+      expect((await errorOf(invoke(['invoke', 'a', 'b', '10'], teller))).code).to.equal('PERMISSION_DENIED');
+    });
+  });
+
+  describe('accounts', () => {
+
+    beforeEach(async () => {
+      let response = await stub.mockInit('tx0', ['init', 'a', '100', 'b', '200'], teller);
+      expect(response.status, response.message).to.equal(200);
+    });
+
+    it('reads a balance', async () => {
+      expect(await payloadOf(invoke(['query', 'a'], member))).to.equal(100);
+      expect((await errorOf(invoke(['query', 'c'], member))).code).to.equal('NOT_FOUND');
+    });
+
+    it('transfers an amount between accounts', async () => {
+      await payloadOf(invoke(['invoke', 'a', 'b', '30'], teller));
+      expect(await payloadOf(invoke(['query', 'a'], member))).to.equal(70);
+      expect(await payloadOf(invoke(['query', 'b'], member))).to.equal(230);
+    });
+
+    it('requires the abac.invoke attribute to transfer', async () => {
+      expect((await errorOf(invoke(['invoke', 'a', 'b', '30'], member))).code).to.equal('PERMISSION_DENIED');
+    });
+
+    it('rejects invalid transfers', async () => {
+      expect((await errorOf(invoke(['invoke', 'a', 'b', '0'], teller))).code).to.equal('INVALID_ARGUMENT');
+      expect((await errorOf(invoke(['invoke', 'a', 'a', '1'], teller))).code).to.equal('INVALID_ARGUMENT');
+      expect((await errorOf(invoke(['invoke', 'a', 'b', '101'], teller))).code).to.equal('CONFLICT');
+    });
+
+    it('deletes an account', async () => {
+      expect((await errorOf(invoke(['delete', 'a'], member))).code).to.equal('PERMISSION_DENIED');
+      await payloadOf(invoke(['delete', 'a'], teller));
+      expect((await errorOf(invoke(['query', 'a'], member))).code).to.equal('NOT_FOUND');
+    });
+
+    it('rejects an unknown function', async () => {
+      expect((await errorOf(invoke(['nope'], teller))).code).to.equal('NOT_FOUND');
+    });
+
+    it('keeps a statement of the transfers of each account', async () => {
+      await payloadOf(invoke(['invoke', 'a', 'b', '30'], teller, '2019-06-01T10:00:00Z'));
+      await payloadOf(invoke(['invoke', 'b', 'a', '5'], teller, '2019-06-01T11:00:00Z'));
+
+      let statement = await payloadOf(invoke(['getStatement', 'a'], member));
+      expect(statement.entries.map((entry) => [entry.txId, entry.direction, entry.amount, entry.balance])).to.deep.equal([
+        ['tx1', 'debit', '30', '70'],
+        ['tx2', 'credit', '5', '75']
+      ]);
+
+      statement = await payloadOf(invoke(['getStatement', 'a', '2019-06-01T10:30:00Z', ''], member));
+      expect(statement.entries.map((entry) => entry.txId)).to.deep.equal(['tx2']);
+
+      statement = await payloadOf(invoke(['getStatement', 'a', '', '', '1'], member));
+      expect(statement.entries.map((entry) => entry.txId)).to.deep.equal(['tx1']);
+      expect(statement.ResponseMetadata.RecordsCount).to.equal(1);
+    });
+
+    it('rejects an inverted statement period', async () => {
+      let error = await errorOf(invoke(['getStatement', 'a', '2019-06-02T00:00:00Z', '2019-06-01T00:00:00Z'], member));
+      expect(error.message).to.equal('fromTime must not be later than toTime');
+    });
+
+    it('limits the size of a statement page', async () => {
+      expect((await errorOf(invoke(['getStatement', 'a', '', '', '1001'], member))).code).to.equal('INVALID_ARGUMENT');
+      expect((await payloadOf(invoke(['getStatement', 'a', '', '', '1000'], member))).entries).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,10 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const CannabisContract = require('./lib/cannabis');
+
+module.exports.CannabisContract = CannabisContract;
+module.exports.contracts = [ CannabisContract ];
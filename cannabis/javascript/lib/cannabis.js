@@ -0,0 +1,119 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+// ====CHAINCODE EXECUTION SAMPLES (CLI) ==================
+// peer chaincode invoke -C myc1 -n cannabis -c '{"Args":["initLedger"]}'
+// peer chaincode invoke -C myc1 -n cannabis -c '{"Args":["recordCannabis","11","Green Valley","37.7749, -122.4194","Sarah"]}'
+// peer chaincode invoke -C myc1 -n cannabis -c '{"Args":["changeCannabisHolder","11","Dave"]}'
+// peer chaincode query -C myc1 -n cannabis -c '{"Args":["queryCannabis","11"]}'
+// peer chaincode query -C myc1 -n cannabis -c '{"Args":["queryAllCannabis"]}'
+
+const { Contract } = require('fabric-contract-api');
+const { iterators, Logger, timestamps, errors } = require('chaincode-common');
+const { NotFoundError, AlreadyExistsError, InvalidArgumentError } = errors;
+
+// The log level of a contract is set with the CHAINCODE_LOG_LEVEL environment variable
+const logger = new Logger({ name: 'cannabis' });
+
+// Cannabis provenance contract, ported from ledgersafe/go/ledgersafe-chaincode.go.
+// Records keep the Go chaincode's JSON shape (grower, timestamp, location, holder),
+// but the timestamp is taken from the transaction instead of being supplied by the client.
+class CannabisContract extends Contract {
+
+    // Seconds since the epoch, as a string, matching the format the Go chaincode stored.
+    // The transaction timestamp is set by the client when the proposal is created and is
+    // the same on every endorsing peer, so it is safe to write to the ledger.
+    _txTimestamp(ctx) {
+        return String(Math.floor(timestamps.txTimestampMillis(ctx.stub) / 1000));
+    }
+
+    async _getCannabis(ctx, cannabisNumber) {
+        const cannabisAsBytes = await ctx.stub.getState(cannabisNumber); // get the cannabis from chaincode state
+        if (!cannabisAsBytes || cannabisAsBytes.length === 0) {
+            throw new NotFoundError(`Could not locate cannabis ${cannabisNumber}`, { key: cannabisNumber });
+        }
+        return JSON.parse(cannabisAsBytes.toString());
+    }
+
+    async initLedger(ctx) {
+        const timestamp = this._txTimestamp(ctx);
+        const cannabis = [
+            { grower: 'Farm 1', location: '67.0006, -70.5476', holder: 'Miriam' },
+            { grower: 'SF Farm', location: '62.0006, -70.5476', holder: 'Dave' },
+            { grower: 'Farm 3', location: '63.0006, -70.5476', holder: 'Igor' },
+            { grower: 'Humbolt County Farms', location: '64.0006, -30.5476', holder: 'Amalea' },
+            { grower: 'Denver Growers', location: '65.0006, -20.5476', holder: 'Rafa' },
+            { grower: 'BC Farms', location: '66.0006, -10.5476', holder: 'Shen' },
+            { grower: 'Organic Herb Farms', location: '68.0006, -60.5476', holder: 'Leila' },
+            { grower: 'Hannabis Farms', location: '67.0006, -70.5476', holder: 'Yuan' },
+            { grower: 'CannaFarms', location: '69.0006, -50.5476', holder: 'Carlo' },
+            { grower: 'MedMen', location: '89.0006, -40.5476', holder: 'Fatima' },
+        ];
+
+        for (let i = 0; i < cannabis.length; i++) {
+            cannabis[i].docType = 'cannabis';
+            cannabis[i].timestamp = timestamp;
+            await ctx.stub.putState((i + 1).toString(), Buffer.from(JSON.stringify(cannabis[i])));
+        }
+        logger.forStub(ctx.stub).info('Initialized the ledger', { cannabis: cannabis.length });
+    }
+
+    async queryCannabis(ctx, cannabisNumber) {
+        const cannabis = await this._getCannabis(ctx, cannabisNumber);
+        return JSON.stringify(cannabis);
+    }
+
+    async recordCannabis(ctx, cannabisNumber, grower, location, holder) {
+        if (!cannabisNumber || !grower || !location || !holder) {
+            throw new InvalidArgumentError('cannabisNumber, grower, location and holder must be non-empty strings');
+        }
+
+        const existing = await ctx.stub.getState(cannabisNumber);
+        if (existing && existing.length > 0) {
+            throw new AlreadyExistsError(`Cannabis ${cannabisNumber} has already been recorded`, { key: cannabisNumber });
+        }
+
+        const cannabis = {
+            docType: 'cannabis',
+            grower,
+            holder,
+            location,
+            timestamp: this._txTimestamp(ctx),
+        };
+
+        await ctx.stub.putState(cannabisNumber, Buffer.from(JSON.stringify(cannabis)));
+        logger.forStub(ctx.stub).info('Recorded cannabis', { cannabisNumber, grower, location, holder });
+    }
+
+    async queryAllCannabis(ctx) {
+        // scan every key rather than a fixed '0'..'999' range, so no record can fall outside it
+        const iterator = await ctx.stub.getStateByRange('', '');
+
+        const allResults = [];
+        for await (const result of iterators.iterate(iterator, { project: iterators.keyRecord })) {
+            if (result.Record.docType === 'cannabis') {
+                allResults.push(result);
+            }
+        }
+        return JSON.stringify(allResults);
+    }
+
+    async changeCannabisHolder(ctx, cannabisNumber, newHolder) {
+        if (!newHolder) {
+            throw new InvalidArgumentError('newHolder must be a non-empty string');
+        }
+
+        const cannabis = await this._getCannabis(ctx, cannabisNumber);
+        const previousHolder = cannabis.holder;
+        cannabis.holder = newHolder;
+
+        await ctx.stub.putState(cannabisNumber, Buffer.from(JSON.stringify(cannabis)));
+        logger.forStub(ctx.stub).info('Changed cannabis holder', { cannabisNumber, previousHolder, newHolder });
+    }
+
+}
+
+module.exports = CannabisContract;
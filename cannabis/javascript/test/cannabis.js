@@ -0,0 +1,106 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+// the transactions that fail on purpose would fill the output with error lines
+process.env.CHAINCODE_LOG_LEVEL = 'off';
+process.env.CORE_CHAINCODE_LOGGING_LEVEL = 'CRITICAL';
+
+const { expect } = require('chai');
+const { JSONSerializer } = require('fabric-contract-api');
+// the chaincode that fabric-chaincode-node start builds from the contracts of index.js
+const ChaincodeFromContract = require('fabric-shim/lib/contract-spi/chaincodefromcontract');
+const { ChaincodeMockStub, mockIdentity, errors } = require('chaincode-common');
+
+const { contracts } = require('..');
+
+const grower = mockIdentity('Org1MSP', 'grower');
+
+describe('CannabisContract', () => {
+
+    let stub;
+    let txCount;
+
+    // runs a transaction, timestamped at the given ISO 8601 date or now
+    function invoke(args, timestamp) {
+        txCount++;
+        return stub.mockInvoke('tx' + txCount, args, Object.assign({ timestamp }, grower));
+    }
+
+    async function payloadOf(promise) {
+        const response = await promise;
+        expect(response.status, String(response.message)).to.equal(200);
+        return response.payload.length > 0 ? JSON.parse(response.payload.toString()) : undefined;
+    }
+
+    // the contract runtime sends the peer the error's toString(), which is the JSON of a ChaincodeError
+    async function errorOf(promise) {
+        const response = await promise;
+        expect(response.status).to.equal(500);
+        return errors.decodeError(String(response.message));
+    }
+
+    beforeEach(async () => {
+        const serializers = { transaction: 'jsonSerializer', serializers: { jsonSerializer: JSONSerializer } };
+        stub = new ChaincodeMockStub('cannabis', new ChaincodeFromContract(contracts.slice(), serializers, {}, 'cannabis', '1.0.0'));
+        txCount = 0;
+        await payloadOf(invoke(['initLedger'], '2019-06-01T10:00:00Z'));
+    });
+
+    describe('#initLedger', () => {
+
+        it('records the sample cannabis, timestamped with the transaction', async () => {
+            const all = await payloadOf(invoke(['queryAllCannabis']));
+            expect(all).to.have.lengthOf(10);
+            expect(all[0]).to.deep.equal({
+                Key: '1',
+                Record: { grower: 'Farm 1', location: '67.0006, -70.5476', holder: 'Miriam', docType: 'cannabis', timestamp: '1559383200' }
+            });
+        });
+    });
+
+    describe('#recordCannabis', () => {
+
+        it('records cannabis', async () => {
+            await payloadOf(invoke(['recordCannabis', '11', 'Green Valley', '37.7749, -122.4194', 'Sarah'], '2019-06-01T11:00:00Z'));
+            expect(await payloadOf(invoke(['queryCannabis', '11']))).to.deep.equal({
+                docType: 'cannabis', grower: 'Green Valley', holder: 'Sarah', location: '37.7749, -122.4194', timestamp: '1559386800'
+            });
+        });
+
+        it('does not record cannabis twice', async () => {
+            expect((await errorOf(invoke(['recordCannabis', '1', 'Green Valley', '37.7749, -122.4194', 'Sarah']))).code).to.equal('ALREADY_EXISTS');
+        });
+
+        it('rejects empty arguments', async () => {
+            expect((await errorOf(invoke(['recordCannabis', '11', 'Green Valley', '', 'Sarah']))).code).to.equal('INVALID_ARGUMENT');
+        });
+    });
+
+    describe('#queryAllCannabis', () => {
+
+        it('leaves out other documents', async () => {
+            stub.state.set('config', Buffer.from('{"docType":"config"}'));
+            expect((await payloadOf(invoke(['queryAllCannabis']))).map((result) => result.Key)).not.to.include('config');
+        });
+    });
+
+    describe('#changeCannabisHolder', () => {
+
+        it('sets a new holder', async () => {
+            await payloadOf(invoke(['changeCannabisHolder', '2', 'Sarah']));
+            expect((await payloadOf(invoke(['queryCannabis', '2']))).holder).to.equal('Sarah');
+        });
+
+        it('rejects an empty holder', async () => {
+            expect((await errorOf(invoke(['changeCannabisHolder', '2', '']))).code).to.equal('INVALID_ARGUMENT');
+        });
+
+        it('reports missing cannabis', async () => {
+            const error = await errorOf(invoke(['changeCannabisHolder', '99', 'Sarah']));
+            expect([error.code, error.message]).to.deep.equal(['NOT_FOUND', 'Could not locate cannabis 99']);
+        });
+    });
+});
@@ -0,0 +1,39 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const ChaincodeMockStub = require('./lib/mockstub');
+const mockIdentity = require('./lib/mockidentity');
+const ResultSetIterator = require('./lib/resultsetiterator');
+const mango = require('./lib/mango');
+const richQuery = require('./lib/richquery');
+const jsonSchema = require('./lib/jsonschema');
+const iterators = require('./lib/iterators');
+const QueryBuilder = require('./lib/querybuilder');
+const Router = require('./lib/router');
+const errors = require('./lib/errors');
+const Logger = require('./lib/logger');
+const MigrationRegistry = require('./lib/migrations');
+const tombstones = require('./lib/tombstones');
+const IndexManager = require('./lib/indexes');
+const history = require('./lib/history');
+const timestamps = require('./lib/timestamps');
+
+module.exports.ChaincodeMockStub = ChaincodeMockStub;
+module.exports.mockIdentity = mockIdentity;
+module.exports.ResultSetIterator = ResultSetIterator;
+module.exports.mango = mango;
+module.exports.richQuery = richQuery;
+module.exports.jsonSchema = jsonSchema;
+module.exports.iterators = iterators;
+module.exports.QueryBuilder = QueryBuilder;
+module.exports.Router = Router;
+module.exports.errors = errors;
+module.exports.Logger = Logger;
+module.exports.MigrationRegistry = MigrationRegistry;
+module.exports.tombstones = tombstones;
+module.exports.IndexManager = IndexManager;
+module.exports.history = history;
+module.exports.timestamps = timestamps;
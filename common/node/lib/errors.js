@@ -0,0 +1,159 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+// A common set of errors for the chaincodes, so that applications can tell why a
+// transaction failed without parsing the message. Every error carries a code:
+//
+//   NOT_FOUND          the key, record or function named by the request does not exist
+//   ALREADY_EXISTS     the record to create exists already
+//   INVALID_ARGUMENT   the request is malformed, whatever the state of the ledger
+//   PERMISSION_DENIED  the submitting identity may not do this
+//   CONFLICT           the request is valid but the state of the ledger does not allow it
+//                      (the marble is under auction, the bidding has closed, ...)
+//   UNKNOWN            any other error
+//
+// and is sent to the peer as the message of the error response, in JSON:
+//
+//   {"code":"NOT_FOUND","message":"Marble does not exist: marble1","details":{"key":"marble1"}}
+//
+// A low-level chaincode returns shim.error(errors.toMessage(err)) from Invoke; errors
+// thrown from a contract (fabric-contract-api) reach the peer through their toString(),
+// which gives the same JSON. On the client, decodeError turns the message of a failed
+// proposal back into an error with a code. This module does not depend on fabric-shim,
+// so applications can use it as well.
+
+const CODES = {
+    NOT_FOUND: 'NOT_FOUND',
+    ALREADY_EXISTS: 'ALREADY_EXISTS',
+    INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+    PERMISSION_DENIED: 'PERMISSION_DENIED',
+    CONFLICT: 'CONFLICT',
+    UNKNOWN: 'UNKNOWN'
+};
+
+/**
+ * An error with a code from CODES and optional details for the application.
+ */
+class ChaincodeError extends Error {
+
+    /**
+     * @param {string} code One of CODES
+     * @param {string} message Human readable description
+     * @param {Object} [details] Values the application can act on, such as the key concerned
+     */
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'ChaincodeError';
+        this.code = CODES[code] ? code : CODES.UNKNOWN;
+        this.details = details;
+    }
+
+    toJSON() {
+        return { code: this.code, message: this.message, details: this.details };
+    }
+
+    toString() {
+        return JSON.stringify(this.toJSON());
+    }
+}
+
+class NotFoundError extends ChaincodeError {
+    constructor(message, details) {
+        super(CODES.NOT_FOUND, message, details);
+        this.name = 'NotFoundError';
+    }
+}
+
+class AlreadyExistsError extends ChaincodeError {
+    constructor(message, details) {
+        super(CODES.ALREADY_EXISTS, message, details);
+        this.name = 'AlreadyExistsError';
+    }
+}
+
+class InvalidArgumentError extends ChaincodeError {
+    constructor(message, details) {
+        super(CODES.INVALID_ARGUMENT, message, details);
+        this.name = 'InvalidArgumentError';
+    }
+}
+
+class PermissionDeniedError extends ChaincodeError {
+    constructor(message, details) {
+        super(CODES.PERMISSION_DENIED, message, details);
+        this.name = 'PermissionDeniedError';
+    }
+}
+
+class ConflictError extends ChaincodeError {
+    constructor(message, details) {
+        super(CODES.CONFLICT, message, details);
+        this.name = 'ConflictError';
+    }
+}
+
+/**
+ * Returns err as a ChaincodeError; anything else that was thrown becomes an UNKNOWN error.
+ *
+ * @param {*} err Thrown value
+ * @returns {ChaincodeError}
+ */
+function fromError(err) {
+    if (err instanceof ChaincodeError) {
+        return err;
+    }
+    return new ChaincodeError(CODES.UNKNOWN, err instanceof Error ? err.message : String(err));
+}
+
+/**
+ * Serializes a thrown value for the message of an error response.
+ *
+ * @param {*} err Thrown value
+ * @returns {string} {code, message, details} as JSON
+ */
+function toMessage(err) {
+    return fromError(err).toString();
+}
+
+/**
+ * Recovers the error returned by a chaincode from the message of a failed proposal or
+ * transaction. The SDKs wrap the chaincode's message in text of their own, so the JSON
+ * is looked for anywhere in the message. Messages from chaincodes that do not use this
+ * module decode to an UNKNOWN error with the full message.
+ *
+ * @param {string|Error} message Error message, or the error raised by the SDK
+ * @returns {ChaincodeError}
+ */
+function decodeError(message) {
+    const text = message instanceof Error ? message.message : String(message);
+    for (let start = text.indexOf('{'); start >= 0; start = text.indexOf('{', start + 1)) {
+        for (let end = text.lastIndexOf('}'); end > start; end = text.lastIndexOf('}', end - 1)) {
+            let value;
+            try {
+                value = JSON.parse(text.substring(start, end + 1));
+            } catch (err) {
+                continue;
+            }
+            if (value && typeof value.code === 'string' && typeof value.message === 'string') {
+                return new ChaincodeError(value.code, value.message, value.details || {});
+            }
+        }
+    }
+    return new ChaincodeError(CODES.UNKNOWN, text);
+}
+
+module.exports = {
+    CODES,
+    ChaincodeError,
+    NotFoundError,
+    AlreadyExistsError,
+    InvalidArgumentError,
+    PermissionDeniedError,
+    ConflictError,
+    fromError,
+    toMessage,
+    decodeError
+};
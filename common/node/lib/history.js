@@ -0,0 +1,112 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+// Point-in-time reads from the history of a key, and field-level differences between
+// two versions of a record:
+//
+//   const version = await history.versionAsOf(stub, 'marble1', new Date('2019-06-01T12:00:00Z'));
+//   // => { txId, timestamp: '2019-06-01T11:58:02.120Z', isDelete: false, value: { ... } }
+//
+//   history.diff({ owner: 'tom', size: 35 }, { owner: 'jerry', size: 35 })
+//   // => [{ field: 'owner', change: 'changed', from: 'tom', to: 'jerry' }]
+//
+// A version is effective from the timestamp of the transaction that wrote it until the
+// next one. The whole history of the key is read, within the limits of iterators. A
+// Fabric 1.4 peer returns it oldest first, in commit order, which is kept rather than
+// sorted by timestamp: transaction timestamps are set by clients, so a later transaction
+// can carry an earlier timestamp. The history of a key is only kept by peers with the
+// history database enabled.
+
+const { NotFoundError } = require('./errors');
+const iterators = require('./iterators');
+const { timestampMillis } = require('./timestamps');
+
+function toVersion(record) {
+    return {
+        txId: record.tx_id,
+        timestamp: new Date(timestampMillis(record.timestamp)).toISOString(),
+        isDelete: Boolean(record.is_delete),
+        value: record.is_delete ? null : iterators.parseValue(record.value)
+    };
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Reads the history of a key, oldest version first in commit order.
+ *
+ * @param {ChaincodeStub} stub
+ * @param {string} key
+ * @returns {Promise<Array<{txId: string, timestamp: string, isDelete: boolean, value: *}>>}
+ */
+async function versions(stub, key) {
+    const records = await iterators.collect(await stub.getHistoryForKey(key));
+    return records.map(toVersion);
+}
+
+/**
+ * Returns the version of a key effective at an instant.
+ *
+ * @param {ChaincodeStub} stub
+ * @param {string} key
+ * @param {Date} date
+ * @returns {Promise<Object|null>} the version, see versions(); null when the key was not written yet
+ */
+async function versionAsOf(stub, key, date) {
+    const effective = (await versions(stub, key)).filter((version) => Date.parse(version.timestamp) <= date.getTime());
+    return effective.length > 0 ? effective[effective.length - 1] : null;
+}
+
+/**
+ * Returns the version of a key written by a transaction.
+ *
+ * @param {ChaincodeStub} stub
+ * @param {string} key
+ * @param {string} txId
+ * @returns {Promise<Object>} the version, see versions()
+ */
+async function versionAt(stub, key, txId) {
+    const version = (await versions(stub, key)).find((candidate) => candidate.txId === txId);
+    if (!version) {
+        throw new NotFoundError(`Transaction ${txId} did not write ${key}`, { key, txId });
+    }
+    return version;
+}
+
+/**
+ * Lists the differences between two values, field by field. Nested objects are
+ * compared field by field too, with dotted field names; arrays are compared whole.
+ *
+ * @param {*} from
+ * @param {*} to
+ * @param {string} [path] Name of the field holding the values
+ * @returns {Array<{field: string, change: string, from: *, to: *}>} change is added, removed or changed
+ */
+function diff(from, to, path = '') {
+    if (isPlainObject(from) && isPlainObject(to)) {
+        const fields = Array.from(new Set(Object.keys(from).concat(Object.keys(to)))).sort();
+        return fields.reduce((changes, field) => changes.concat(diff(from[field], to[field], path ? `${path}.${field}` : field)), []);
+    }
+    if (JSON.stringify(from) === JSON.stringify(to)) {
+        return [];
+    }
+    if (from === undefined) {
+        return [{ field: path, change: 'added', from: null, to }];
+    }
+    if (to === undefined) {
+        return [{ field: path, change: 'removed', from, to: null }];
+    }
+    return [{ field: path, change: 'changed', from, to }];
+}
+
+module.exports = {
+    versions,
+    versionAsOf,
+    versionAt,
+    diff
+};
@@ -0,0 +1,221 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+// Composite key indexes over JSON records. Each docType declares its indexes once, by
+// name and the record fields that make up the attributes of the index key:
+//
+//   const indexes = new IndexManager({
+//       marble: [
+//           { name: 'color~name', fields: ['color', 'name'] }
+//       ]
+//   });
+//
+//   await indexes.put(stub, marble.name, marble);    // instead of stub.putState
+//   await indexes.delete(stub, marbleName);          // instead of stub.deleteState
+//
+// put() and delete() read the record being replaced and write or delete the index
+// entries that differ, so an update that changes an indexed field moves its entries and
+// one that does not leaves them alone. Entries hold a null character, as only the key is
+// needed. Records of other docTypes (tombstones among them) have no entries, so writing a
+// tombstone over a record with put() removes the record's entries.
+//
+// rebuildIndex() and verifyIndexes() compare the entries of an index with the records
+// on the ledger: entries without a record are orphaned, records without their entry are
+// missing. Both scan every simple key, within the limits of iterators, so on large
+// ledgers they fail rather than run out of memory.
+
+const { InvalidArgumentError } = require('./errors');
+const iterators = require('./iterators');
+
+const ENTRY_VALUE = Buffer.from('\u0000');
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkDeclarations(docTypes) {
+    const names = new Set();
+    for (const docType of Object.keys(docTypes)) {
+        if (!Array.isArray(docTypes[docType])) {
+            throw new Error(`The indexes of ${docType} must be an array`);
+        }
+        for (const index of docTypes[docType]) {
+            if (typeof index.name !== 'string' || !index.name) {
+                throw new Error(`Every index of ${docType} must have a name`);
+            }
+            if (names.has(index.name)) {
+                throw new Error(`Index ${index.name} is declared more than once`);
+            }
+            if (!Array.isArray(index.fields) || index.fields.length === 0) {
+                throw new Error(`Index ${index.name} must list the fields of its key`);
+            }
+            names.add(index.name);
+        }
+    }
+}
+
+function parseRecord(valueAsBytes) {
+    return valueAsBytes && valueAsBytes.length > 0 ? iterators.parseValue(valueAsBytes) : null;
+}
+
+/**
+ * Maintains the composite key indexes declared for each docType.
+ */
+class IndexManager {
+
+    /**
+     * @param {Object<string, Array<{name: string, fields: string[]}>>} docTypes
+     * Indexes by docType; fields are the record fields that make up the index key, in order
+     */
+    constructor(docTypes) {
+        checkDeclarations(docTypes);
+        this.docTypes = docTypes;
+    }
+
+    /**
+     * @returns {string[]} the names of the declared indexes
+     */
+    names() {
+        return Object.keys(this.docTypes).reduce((names, docType) => names.concat(this.docTypes[docType].map((index) => index.name)), []);
+    }
+
+    /**
+     * Returns the index entries of a record. A record lacking one of the fields of an
+     * index has no entry in that index.
+     *
+     * @param {ChaincodeStub} stub
+     * @param {*} record Parsed record
+     * @param {string} [name] Only the entry of this index
+     * @returns {string[]} composite keys of the entries
+     */
+    entriesOf(stub, record, name) {
+        if (!isPlainObject(record) || !Object.prototype.hasOwnProperty.call(this.docTypes, record.docType)) {
+            return [];
+        }
+        return this.docTypes[record.docType]
+            .filter((index) => !name || index.name === name)
+            .filter((index) => index.fields.every((field) => record[field] !== undefined && record[field] !== null))
+            .map((index) => stub.createCompositeKey(index.name, index.fields.map((field) => String(record[field]))));
+    }
+
+    /**
+     * Writes and deletes index entries for a record changing from previous to record.
+     *
+     * @param {ChaincodeStub} stub
+     * @param {*} previous The record as stored, null when it is created
+     * @param {*} record The record as written, null when it is deleted
+     */
+    async update(stub, previous, record) {
+        const before = this.entriesOf(stub, previous);
+        const after = this.entriesOf(stub, record);
+        for (const key of before.filter((entry) => !after.includes(entry))) {
+            await stub.deleteState(key);
+        }
+        for (const key of after.filter((entry) => !before.includes(entry))) {
+            await stub.putState(key, ENTRY_VALUE);
+        }
+    }
+
+    /**
+     * Writes a record and updates its index entries.
+     *
+     * @param {ChaincodeStub} stub
+     * @param {string} key
+     * @param {Object} record
+     */
+    async put(stub, key, record) {
+        const previous = parseRecord(await stub.getState(key));
+        await stub.putState(key, Buffer.from(JSON.stringify(record)));
+        await this.update(stub, previous, record);
+    }
+
+    /**
+     * Deletes a record and its index entries.
+     *
+     * @param {ChaincodeStub} stub
+     * @param {string} key
+     */
+    async delete(stub, key) {
+        const previous = parseRecord(await stub.getState(key));
+        await stub.deleteState(key);
+        await this.update(stub, previous, null);
+    }
+
+    /**
+     * Compares the entries of an index with the records on the ledger.
+     *
+     * @param {ChaincodeStub} stub
+     * @param {string} name Index name
+     * @returns {Promise<{index: string, entries: number, orphaned: string[][], missing: string[][], orphanedKeys: string[], missingKeys: string[]}>}
+     * orphaned and missing entries by their attributes, and by their composite keys
+     */
+    async compare(stub, name) {
+        if (!this.names().includes(name)) {
+            throw new InvalidArgumentError(`Unknown index ${name}, expecting one of ${this.names().join(', ')}`, { index: name });
+        }
+        const expected = new Set();
+        const records = await stub.getStateByRange('', '');
+        for await (const { value } of iterators.iterate(records)) {
+            this.entriesOf(stub, parseRecord(value), name).forEach((key) => expected.add(key));
+        }
+        const actual = new Set();
+        const entries = await stub.getStateByPartialCompositeKey(name, []);
+        for await (const { key } of iterators.iterate(entries)) {
+            actual.add(key);
+        }
+
+        const attributesOf = (key) => stub.splitCompositeKey(key).attributes;
+        const orphaned = [...actual].filter((key) => !expected.has(key));
+        const missing = [...expected].filter((key) => !actual.has(key));
+        return {
+            index: name,
+            entries: actual.size,
+            orphaned: orphaned.map(attributesOf),
+            missing: missing.map(attributesOf),
+            orphanedKeys: orphaned,
+            missingKeys: missing
+        };
+    }
+
+    /**
+     * Deletes the orphaned entries of an index and writes the missing ones.
+     *
+     * @param {ChaincodeStub} stub
+     * @param {string} name Index name
+     * @returns {Promise<{index: string, entries: number, removed: number, added: number}>}
+     * entries counts the entries of the index once rebuilt
+     */
+    async rebuildIndex(stub, name) {
+        const { entries, orphanedKeys, missingKeys } = await this.compare(stub, name);
+        for (const key of orphanedKeys) {
+            await stub.deleteState(key);
+        }
+        for (const key of missingKeys) {
+            await stub.putState(key, ENTRY_VALUE);
+        }
+        return { index: name, entries: entries - orphanedKeys.length + missingKeys.length, removed: orphanedKeys.length, added: missingKeys.length };
+    }
+
+    /**
+     * Checks every declared index against the records on the ledger.
+     *
+     * @param {ChaincodeStub} stub
+     * @returns {Promise<{consistent: boolean, indexes: Array<{index: string, entries: number, orphaned: string[][], missing: string[][]}>}>}
+     */
+    async verifyIndexes(stub) {
+        const indexes = [];
+        for (const name of this.names()) {
+            const { index, entries, orphaned, missing } = await this.compare(stub, name);
+            indexes.push({ index, entries, orphaned, missing });
+        }
+        return {
+            consistent: indexes.every((index) => index.orphaned.length === 0 && index.missing.length === 0),
+            indexes
+        };
+    }
+}
+
+module.exports = IndexManager;
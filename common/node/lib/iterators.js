@@ -0,0 +1,134 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+// Streaming access to the iterators returned by the stub (getStateByRange,
+// getStateByPartialCompositeKey, getQueryResult, getHistoryForKey, their
+// paginated and private data variants) and by richQuery.
+//
+//   for await (const { Key, Record } of iterators.iterate(iterator, { project: iterators.keyRecord })) { ... }
+//   const results = await iterators.collect(iterator, { project: iterators.historyRecord });
+//
+// The underlying iterator is always closed, whether the loop runs to the end,
+// is left early or throws. The number of records and the bytes of their keys and
+// values are capped, so that an unexpectedly large result set fails the
+// transaction with a clear error instead of exhausting the chaincode's memory.
+
+const DEFAULT_LIMITS = {
+    maxRecords: 10000,
+    maxBytes: 4 * 1024 * 1024
+};
+
+function recordSize(record) {
+    const keySize = record.key ? Buffer.byteLength(record.key) : 0;
+    const valueSize = record.value ? record.value.length : 0;
+    return keySize + valueSize;
+}
+
+/**
+ * Parses a value read from the ledger as JSON, returning the plain string when
+ * it is not JSON.
+ *
+ * @param {Buffer} value
+ * @returns {*}
+ */
+function parseValue(value) {
+    const text = value.toString('utf8');
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        return text;
+    }
+}
+
+/**
+ * Projects a state or query record to the {Key, Record} shape returned by the samples.
+ *
+ * @param {{key: string, value: Buffer}} record
+ * @returns {{Key: string, Record: *}}
+ */
+function keyRecord(record) {
+    return {
+        Key: record.key,
+        Record: parseValue(record.value)
+    };
+}
+
+/**
+ * Projects a history record to the {TxId, Timestamp, IsDelete, Value} shape returned by the samples.
+ *
+ * @param {{tx_id: string, timestamp: Object, is_delete: boolean, value: Buffer}} record
+ * @returns {{TxId: string, Timestamp: Object, IsDelete: string, Value: *}}
+ */
+function historyRecord(record) {
+    return {
+        TxId: record.tx_id,
+        Timestamp: record.timestamp,
+        IsDelete: record.is_delete.toString(),
+        Value: record.is_delete ? null : parseValue(record.value)
+    };
+}
+
+/**
+ * Iterates over the records of a stub iterator.
+ *
+ * @param {Object} iterator Iterator returned by the stub
+ * @param {Object} [options]
+ * @param {number} [options.maxRecords] Fail when the iterator returns more records (default 10000)
+ * @param {number} [options.maxBytes] Fail when the keys and values returned exceed this size (default 4 MiB)
+ * @param {Function} [options.project] Maps each raw record to the value yielded
+ * @returns {AsyncIterableIterator<*>}
+ */
+async function* iterate(iterator, options = {}) {
+    const { maxRecords, maxBytes } = Object.assign({}, DEFAULT_LIMITS, options);
+    const project = options.project || ((record) => record);
+    let records = 0;
+    let bytes = 0;
+    try {
+        while (true) {
+            const res = await iterator.next();
+            if (res.value) {
+                records++;
+                bytes += recordSize(res.value);
+                if (records > maxRecords) {
+                    throw new Error(`Result set exceeds the limit of ${maxRecords} records, use a paginated query instead`);
+                }
+                if (bytes > maxBytes) {
+                    throw new Error(`Result set exceeds the limit of ${maxBytes} bytes, use a paginated query instead`);
+                }
+                yield project(res.value);
+            }
+            if (res.done) {
+                return;
+            }
+        }
+    } finally {
+        await iterator.close();
+    }
+}
+
+/**
+ * Reads every record of a stub iterator into an array, subject to the same limits as iterate().
+ *
+ * @param {Object} iterator Iterator returned by the stub
+ * @param {Object} [options] See iterate()
+ * @returns {Promise<Array>}
+ */
+async function collect(iterator, options) {
+    const results = [];
+    for await (const result of iterate(iterator, options)) {
+        results.push(result);
+    }
+    return results;
+}
+
+module.exports = {
+    DEFAULT_LIMITS,
+    iterate,
+    collect,
+    parseValue,
+    keyRecord,
+    historyRecord
+};
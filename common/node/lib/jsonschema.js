@@ -0,0 +1,139 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+// Validates values against the subset of JSON Schema used by contract metadata
+// (see fabric-contract-api's contract-schema.json), so that a chaincode can apply
+// the same rules to its arguments that the contract runtime applies on the peer.
+//
+// Supported keywords: type, enum, minLength, maxLength, pattern, minimum, maximum,
+// required, properties, additionalProperties (boolean), items, and $ref to
+// '#/components/schemas/<name>'.
+
+const { InvalidArgumentError } = require('./errors');
+
+const REF_PREFIX = '#/components/schemas/';
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return typeof value;
+}
+
+function matchesType(type, value) {
+    if (type === 'integer') {
+        return Number.isInteger(value);
+    }
+    if (type === 'number') {
+        return typeof value === 'number' && isFinite(value);
+    }
+    return typeOf(value) === type;
+}
+
+function resolve(schema, schemas) {
+    if (!schema.$ref) {
+        return schema;
+    }
+    if (!schema.$ref.startsWith(REF_PREFIX) || !schemas[schema.$ref.substring(REF_PREFIX.length)]) {
+        throw new Error(`Unresolvable schema reference ${schema.$ref}`);
+    }
+    return schemas[schema.$ref.substring(REF_PREFIX.length)];
+}
+
+function check(value, schema, schemas, path, errors) {
+    schema = resolve(schema, schemas);
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some((type) => matchesType(type, value))) {
+            errors.push(`${path} must be of type ${types.join(' or ')}`);
+            return;
+        }
+    }
+    if (schema.enum && !schema.enum.some((allowed) => allowed === value)) {
+        errors.push(`${path} must be one of ${schema.enum.map((allowed) => JSON.stringify(allowed)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path} must be at least ${schema.minLength} characters long`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path} must be at most ${schema.maxLength} characters long`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path} must match the pattern ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) {
+                errors.push(`${path}.${name} is required`);
+            }
+        }
+        for (const name of Object.keys(value)) {
+            if (properties[name]) {
+                check(value[name], properties[name], schemas, `${path}.${name}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${name} is not an allowed property`);
+            }
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => check(item, schema.items, schemas, `${path}[${i}]`, errors));
+    }
+}
+
+/**
+ * Validates a value against a JSON schema.
+ *
+ * @param {*} value Value to validate
+ * @param {Object} schema JSON schema, e.g. the schema of a transaction parameter
+ * @param {Object} [schemas] Named schemas that $ref may point to, e.g. metadata.components.schemas
+ * @param {string} [name] Name of the value, used in the error messages
+ * @returns {string[]} a description of each violation, empty when the value is valid
+ */
+function validate(value, schema, schemas = {}, name = 'value') {
+    const errors = [];
+    check(value, schema, schemas, name, errors);
+    return errors;
+}
+
+/**
+ * Validates a value against a JSON schema, throwing an InvalidArgumentError describing
+ * every violation when it is not valid.
+ *
+ * @param {*} value Value to validate
+ * @param {Object} schema JSON schema
+ * @param {Object} [schemas] Named schemas that $ref may point to
+ * @param {string} [name] Name of the value, used in the error message
+ */
+function assertValid(value, schema, schemas, name) {
+    const errors = validate(value, schema, schemas, name);
+    if (errors.length > 0) {
+        throw new InvalidArgumentError(`Invalid ${name || 'value'}: ${errors.join(', ')}`, { errors });
+    }
+}
+
+module.exports = {
+    validate,
+    assertValid
+};
@@ -0,0 +1,242 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+// Structured logging for the chaincodes. Every line is a JSON object tagged with the
+// transaction it belongs to, so that the logs of a peer can be filtered by channel,
+// transaction ID, function or client organization:
+//
+//   const logger = new Logger({ name: 'marbles', redact: ['price'] });
+//
+//   async Invoke(stub) {
+//       await logger.loadConfig(stub);
+//       const log = logger.forStub(stub);
+//       log.info('Transferring marble', { marbleName, newOwner });
+//   }
+//
+//   {"time":"...","level":"info","chaincode":"marbles","channel":"mychannel","txId":"9f2c...",
+//    "function":"transferMarble","mspId":"Org1MSP","message":"Transferring marble",
+//    "marbleName":"marble1","newOwner":"/CN=bob"}
+//
+// The level is, in order of precedence, the CHAINCODE_LOG_LEVEL environment variable of
+// the chaincode process, the level passed to configure() (from Init, stored on the
+// ledger per channel and read again by every transaction) or the level given to the
+// constructor, and defaults to info.
+// Levels are debug, info, warn and error; off disables logging.
+//
+// Fields named in the redact list, the constructor's plus any passed to configure(),
+// are replaced at any depth of the logged fields, and buffers are logged by size only,
+// so records read from the ledger are not written to the logs by accident. Messages are
+// logged as is: put values in fields rather than in the message.
+
+const { InvalidArgumentError, fromError } = require('./errors');
+
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    off: 100
+};
+const ENV_LEVEL = 'CHAINCODE_LOG_LEVEL';
+const CONFIG_KEY = 'chaincode~config';
+const REDACTED = '[REDACTED]';
+// far more transactions than a chaincode process runs at once
+const MAX_CONFIGS = 1000;
+
+function parseLevel(level) {
+    const name = typeof level === 'string' ? level.toLowerCase() : undefined;
+    return Object.prototype.hasOwnProperty.call(LEVELS, name) ? name : undefined;
+}
+
+function sanitize(value, redact) {
+    if (value instanceof Error) {
+        return Object.assign({ name: value.name }, fromError(value).toJSON());
+    }
+    if (Buffer.isBuffer(value)) {
+        return `<${value.length} bytes>`;
+    }
+    if (Object.prototype.toString.call(value) === '[object BigInt]') {
+        // JSON.stringify cannot serialize BigInt balances
+        return value.toString();
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => sanitize(item, redact));
+    }
+    if (value !== null && typeof value === 'object') {
+        const copy = {};
+        for (const key of Object.keys(value)) {
+            copy[key] = redact.includes(key) ? REDACTED : sanitize(value[key], redact);
+        }
+        return copy;
+    }
+    return value;
+}
+
+/**
+ * Writes JSON log lines, tagged with the transaction when obtained through forStub().
+ */
+class Logger {
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.name] Chaincode name added to every line
+     * @param {string} [options.level] Level used when neither the environment nor Init sets one
+     * @param {string[]} [options.redact] Names of the fields to redact
+     * @param {Function} [options.write] Receives each line, defaults to standard output
+     */
+    constructor(options = {}) {
+        this.name = options.name;
+        this.level = parseLevel(options.level) || 'info';
+        this.redact = options.redact || [];
+        this.write = options.write || ((line) => process.stdout.write(line + '\n'));
+        this.context = {};
+        // configurations read by loadConfig() or written by configure(), by channel and
+        // transaction ID rather than by stub: the read-only functions of a Router get
+        // another stub object for the same transaction. The oldest are dropped past
+        // MAX_CONFIGS.
+        this.configs = new Map();
+    }
+
+    /**
+     * Returns a logger adding the given fields to every line.
+     *
+     * @param {Object} fields
+     * @returns {Logger}
+     */
+    child(fields) {
+        const child = Object.create(this);
+        child.context = Object.assign({}, this.context, fields);
+        return child;
+    }
+
+    /**
+     * Returns a logger tagging every line with the channel, transaction ID, function
+     * and MSP ID of the submitter of the transaction.
+     *
+     * @param {ChaincodeStub} stub
+     * @returns {Logger}
+     */
+    forStub(stub) {
+        const creator = stub.getCreator();
+        const child = this.child({
+            channel: stub.getChannelID(),
+            txId: stub.getTxID(),
+            function: stub.getFunctionAndParameters().fcn,
+            mspId: creator ? creator.mspid : undefined
+        });
+        child.stub = stub;
+        return child;
+    }
+
+    /**
+     * Reads the configuration stored by configure() for the channel of the transaction,
+     * to apply to the lines logged for that transaction. Call it at the start of every
+     * transaction: it is not cached, so that a configuration written by an Init whose
+     * transaction is never committed does not outlive it.
+     *
+     * @param {ChaincodeStub} stub
+     * @returns {Promise<{level: string, redact: string[]}>}
+     */
+    async loadConfig(stub) {
+        const configAsBytes = await stub.getState(stub.createCompositeKey(CONFIG_KEY, ['logging']));
+        const config = configAsBytes && configAsBytes.length > 0 ? JSON.parse(configAsBytes.toString()) : {};
+        this._setConfig(stub, config);
+        return config;
+    }
+
+    /**
+     * Stores the logging configuration of the channel, typically from Init. It applies to
+     * the rest of the transaction, and to the transactions after it once committed.
+     *
+     * @param {ChaincodeStub} stub
+     * @param {string|Object} config {level, redact} as an object or JSON
+     * @returns {Promise<{level: string, redact: string[]}>} the stored configuration
+     */
+    async configure(stub, config) {
+        let parsed = config;
+        if (typeof config === 'string') {
+            try {
+                parsed = JSON.parse(config);
+            } catch (err) {
+                throw new InvalidArgumentError(`Logging configuration is not valid JSON: ${err.message}`);
+            }
+        }
+        if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new InvalidArgumentError('Logging configuration must be a JSON object with a level and/or redact');
+        }
+        if (parsed.level !== undefined && !parseLevel(parsed.level)) {
+            throw new InvalidArgumentError(`Logging level must be one of ${Object.keys(LEVELS).join(', ')}`);
+        }
+        if (parsed.redact !== undefined && (!Array.isArray(parsed.redact) || !parsed.redact.every((field) => typeof field === 'string'))) {
+            throw new InvalidArgumentError('redact must be an array of field names');
+        }
+        const stored = { level: parseLevel(parsed.level), redact: parsed.redact || [] };
+        await stub.putState(stub.createCompositeKey(CONFIG_KEY, ['logging']), Buffer.from(JSON.stringify(stored)));
+        this._setConfig(stub, stored);
+        return stored;
+    }
+
+    _setConfig(stub, config) {
+        const key = `${stub.getChannelID()}/${stub.getTxID()}`;
+        this.configs.delete(key);
+        this.configs.set(key, config);
+        if (this.configs.size > MAX_CONFIGS) {
+            this.configs.delete(this.configs.keys().next().value);
+        }
+    }
+
+    // the configuration loaded for the transaction of this logger, if any
+    _config() {
+        const loaded = this.stub ? this.configs.get(`${this.context.channel}/${this.context.txId}`) : undefined;
+        return loaded || {};
+    }
+
+    /**
+     * @param {string} level
+     * @returns {boolean} true when lines of this level are written
+     */
+    isEnabled(level) {
+        const config = this._config();
+        const threshold = parseLevel(process.env[ENV_LEVEL]) || config.level || this.level;
+        return level !== 'off' && LEVELS[level] >= LEVELS[threshold];
+    }
+
+    log(level, message, fields = {}) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+        const config = this._config();
+        const redact = this.redact.concat(config.redact || []);
+        const line = Object.assign(
+            { time: new Date().toISOString(), level, chaincode: this.name },
+            this.context,
+            { message },
+            sanitize(fields, redact)
+        );
+        this.write(JSON.stringify(line));
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+}
+
+Logger.LEVELS = LEVELS;
+Logger.ENV_LEVEL = ENV_LEVEL;
+
+module.exports = Logger;
@@ -0,0 +1,423 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+// Evaluates CouchDB Mango queries (the JSON query language accepted by
+// stub.getQueryResult() on a CouchDB backed peer) against documents in memory.
+//
+// Supported selector syntax:
+//   - implicit equality ({"owner": "tom"}) and implicit $and of sibling fields
+//   - dotted field paths ({"details.size": 3}) and nested sub-selectors
+//   - $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $regex, $not
+//   - $and, $or and $nor combinators, at the top level or inside a field condition
+// plus the sort, fields, limit and skip query parameters.
+//
+// Strings are ordered by UTF-16 code unit, not with the ICU collation CouchDB uses
+// (where, for instance, 'a' < 'B' < 'b'), so that every endorsing peer computes the
+// same order. Sorted results and the range operators on strings ($gt, $lt, ...) can
+// therefore differ between a CouchDB and a LevelDB backed peer; queries that have to
+// agree on both should sort and compare strings of a single case.
+
+const { InvalidArgumentError } = require('./errors');
+
+const TYPE_RANK = {
+    null: 0,
+    boolean: 1,
+    number: 2,
+    string: 3,
+    array: 4,
+    object: 5
+};
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return typeof value;
+}
+
+function isPlainObject(value) {
+    return typeOf(value) === 'object';
+}
+
+/**
+ * Compares two JSON values using CouchDB view collation: null < false < true <
+ * numbers < strings < arrays < objects. Strings are compared by code unit rather
+ * than with ICU rules so that every endorsing peer gets the same order.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {number} negative, zero or positive
+ */
+function collate(a, b) {
+    const typeA = typeOf(a);
+    const typeB = typeOf(b);
+    if (typeA !== typeB) {
+        return TYPE_RANK[typeA] - TYPE_RANK[typeB];
+    }
+    switch (typeA) {
+    case 'null':
+        return 0;
+    case 'boolean':
+    case 'number':
+        return a === b ? 0 : (a < b ? -1 : 1);
+    case 'string':
+        return a === b ? 0 : (a < b ? -1 : 1);
+    case 'array': {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            const result = collate(a[i], b[i]);
+            if (result !== 0) {
+                return result;
+            }
+        }
+        return a.length - b.length;
+    }
+    default: {
+        const keysA = Object.keys(a);
+        const keysB = Object.keys(b);
+        for (let i = 0; i < Math.min(keysA.length, keysB.length); i++) {
+            const result = collate(keysA[i], keysB[i]) || collate(a[keysA[i]], b[keysB[i]]);
+            if (result !== 0) {
+                return result;
+            }
+        }
+        return keysA.length - keysB.length;
+    }
+    }
+}
+
+/**
+ * Resolves a dotted field path against a document.
+ *
+ * @param {Object} doc
+ * @param {string} path e.g. 'owner' or 'details.size'
+ * @returns {*} the field value, or undefined when the field does not exist
+ */
+function getField(doc, path) {
+    let value = doc;
+    for (const part of path.split('.')) {
+        if (!isPlainObject(value) || !Object.prototype.hasOwnProperty.call(value, part)) {
+            return undefined;
+        }
+        value = value[part];
+    }
+    return value;
+}
+
+function isOperatorCondition(condition) {
+    const keys = Object.keys(condition);
+    return keys.length > 0 && keys.every((key) => key.startsWith('$'));
+}
+
+function assertArray(operator, argument) {
+    if (!Array.isArray(argument)) {
+        throw new InvalidArgumentError(`Operator ${operator} requires an array argument`);
+    }
+}
+
+function matchOperator(operator, argument, value) {
+    if (operator === '$exists') {
+        return (value !== undefined) === Boolean(argument);
+    }
+    if (operator === '$not') {
+        return !matchCondition(value, argument);
+    }
+    if (operator === '$and' || operator === '$or' || operator === '$nor') {
+        assertArray(operator, argument);
+        const matches = argument.map((condition) => matchCondition(value, condition));
+        if (operator === '$and') {
+            return matches.every(Boolean);
+        }
+        return operator === '$or' ? matches.some(Boolean) : !matches.some(Boolean);
+    }
+
+    // every remaining operator requires the field to be present
+    if (value === undefined) {
+        return false;
+    }
+    switch (operator) {
+    case '$eq':
+        return collate(value, argument) === 0;
+    case '$ne':
+        return collate(value, argument) !== 0;
+    case '$gt':
+        return collate(value, argument) > 0;
+    case '$gte':
+        return collate(value, argument) >= 0;
+    case '$lt':
+        return collate(value, argument) < 0;
+    case '$lte':
+        return collate(value, argument) <= 0;
+    case '$in':
+    case '$nin': {
+        assertArray(operator, argument);
+        const candidates = Array.isArray(value) ? value : [value];
+        const found = argument.some((arg) => candidates.some((candidate) => collate(candidate, arg) === 0));
+        return operator === '$in' ? found : !found;
+    }
+    case '$regex':
+        if (typeof argument !== 'string') {
+            throw new InvalidArgumentError('Operator $regex requires a string argument');
+        }
+        return typeof value === 'string' && new RegExp(argument).test(value);
+    default:
+        throw new InvalidArgumentError(`Unsupported selector operator ${operator}`);
+    }
+}
+
+function matchCondition(value, condition) {
+    if (isPlainObject(condition)) {
+        if (isOperatorCondition(condition)) {
+            return Object.keys(condition).every((operator) => matchOperator(operator, condition[operator], value));
+        }
+        // a nested selector, e.g. {"details": {"size": 3}}
+        return isPlainObject(value) && matchesSelector(value, condition);
+    }
+    return value !== undefined && collate(value, condition) === 0;
+}
+
+/**
+ * Tests a document against a Mango selector.
+ *
+ * @param {Object} doc JSON document
+ * @param {Object} selector Mango selector
+ * @returns {boolean} true when the document satisfies the selector
+ */
+function matchesSelector(doc, selector) {
+    if (!isPlainObject(selector)) {
+        throw new InvalidArgumentError('Selector must be a JSON object');
+    }
+    return Object.keys(selector).every((field) => {
+        const condition = selector[field];
+        switch (field) {
+        case '$and':
+            assertArray(field, condition);
+            return condition.every((sub) => matchesSelector(doc, sub));
+        case '$or':
+            assertArray(field, condition);
+            return condition.some((sub) => matchesSelector(doc, sub));
+        case '$nor':
+            assertArray(field, condition);
+            return !condition.some((sub) => matchesSelector(doc, sub));
+        case '$not':
+            return !matchesSelector(doc, condition);
+        default:
+            if (field.startsWith('$')) {
+                throw new InvalidArgumentError(`Unsupported selector operator ${field}`);
+            }
+            return matchCondition(getField(doc, field), condition);
+        }
+    });
+}
+
+function parseSort(sort) {
+    if (sort === undefined) {
+        return [];
+    }
+    if (!Array.isArray(sort)) {
+        throw new InvalidArgumentError('sort must be an array');
+    }
+    return sort.map((entry) => {
+        if (typeof entry === 'string') {
+            return { field: entry, direction: 'asc' };
+        }
+        const fields = isPlainObject(entry) ? Object.keys(entry) : [];
+        if (fields.length !== 1 || (entry[fields[0]] !== 'asc' && entry[fields[0]] !== 'desc')) {
+            throw new InvalidArgumentError(`Invalid sort entry ${JSON.stringify(entry)}`);
+        }
+        return { field: fields[0], direction: entry[fields[0]] };
+    });
+}
+
+function parseCount(name, value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (!Number.isInteger(value) || value < 0) {
+        throw new InvalidArgumentError(`${name} must be a non-negative integer`);
+    }
+    return value;
+}
+
+/**
+ * Parses and validates a Mango query.
+ *
+ * @param {string|Object} query Query as passed to getQueryResult()
+ * @returns {{selector: Object, sort: Array<{field: string, direction: string}>, fields: string[], limit: number, skip: number}}
+ */
+function parseQuery(query) {
+    let parsed = query;
+    if (typeof query === 'string' || Buffer.isBuffer(query)) {
+        try {
+            parsed = JSON.parse(query.toString());
+        } catch (err) {
+            throw new InvalidArgumentError(`Query is not valid JSON: ${err.message}`);
+        }
+    }
+    if (!isPlainObject(parsed) || !isPlainObject(parsed.selector)) {
+        throw new InvalidArgumentError('Query must be a JSON object with a selector');
+    }
+    if (parsed.fields !== undefined && (!Array.isArray(parsed.fields) || !parsed.fields.every((f) => typeof f === 'string'))) {
+        throw new InvalidArgumentError('fields must be an array of field names');
+    }
+    return {
+        selector: parsed.selector,
+        sort: parseSort(parsed.sort),
+        fields: parsed.fields,
+        limit: parseCount('limit', parsed.limit),
+        skip: parseCount('skip', parsed.skip) || 0
+    };
+}
+
+function project(doc, fields) {
+    if (!fields || fields.length === 0) {
+        return doc;
+    }
+    const projected = {};
+    for (const path of fields) {
+        const value = getField(doc, path);
+        if (value === undefined) {
+            continue;
+        }
+        const parts = path.split('.');
+        let target = projected;
+        for (const part of parts.slice(0, -1)) {
+            target[part] = isPlainObject(target[part]) ? target[part] : {};
+            target = target[part];
+        }
+        target[parts[parts.length - 1]] = value;
+    }
+    return projected;
+}
+
+// the position of a record in the result order: its sort values followed by its key
+function sortPosition(sort, record) {
+    return sort.map(({ field }) => {
+        const value = getField(record.doc, field);
+        return value === undefined ? null : value;
+    }).concat([record.key]);
+}
+
+function comparePositions(sort, positionA, positionB) {
+    for (let i = 0; i < positionA.length; i++) {
+        const result = collate(positionA[i], positionB[i]);
+        if (result !== 0) {
+            return i < sort.length && sort[i].direction === 'desc' ? -result : result;
+        }
+    }
+    return 0;
+}
+
+function encodeBookmark(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64');
+}
+
+/**
+ * @param {string} key
+ * @returns {string} Bookmark of a page of an unsorted query that ends at the key
+ */
+function bookmarkForKey(key) {
+    return encodeBookmark([key]);
+}
+
+/**
+ * @param {string} bookmark Bookmark returned with a page of an unsorted query
+ * @returns {string} Key of the last record of the page
+ */
+function keyOfBookmark(bookmark) {
+    const position = decodeBookmark(bookmark);
+    if (position.length !== 1 || typeof position[0] !== 'string') {
+        throw new InvalidArgumentError(`Invalid bookmark ${bookmark}`);
+    }
+    return position[0];
+}
+
+function decodeBookmark(bookmark) {
+    try {
+        const position = JSON.parse(Buffer.from(bookmark, 'base64').toString());
+        if (Array.isArray(position)) {
+            return position;
+        }
+    } catch (err) {
+        // fall through to the error below
+    }
+    throw new InvalidArgumentError(`Invalid bookmark ${bookmark}`);
+}
+
+/**
+ * Runs a Mango query over a set of key/value records, as CouchDB would over the
+ * documents of a chaincode namespace. Values that are not JSON objects are never
+ * matched, just like binary values stored as CouchDB attachments.
+ *
+ * When pageSize is given the query is paginated: the query's limit is replaced by
+ * the page size, and the returned bookmark can be passed back to fetch the next page.
+ *
+ * @param {string|Object} query Mango query
+ * @param {Array<{key: string, value: Buffer|string}>} records Records to search
+ * @param {number} [pageSize] Number of records per page
+ * @param {string} [bookmark] Bookmark returned with the previous page
+ * @returns {{results: Array<{key: string, value: Buffer}>, metadata: {fetched_records_count: number, bookmark: string}}}
+ */
+function executeQuery(query, records, pageSize, bookmark) {
+    const { selector, sort, fields, limit, skip } = parseQuery(query);
+
+    let matches = [];
+    for (const { key, value } of records) {
+        let doc;
+        try {
+            doc = JSON.parse(value.toString('utf8'));
+        } catch (err) {
+            continue;
+        }
+        if (isPlainObject(doc) && matchesSelector(doc, selector)) {
+            matches.push({ key, doc });
+        }
+    }
+    matches.forEach((record) => {
+        record.position = sortPosition(sort, record);
+    });
+    matches.sort((a, b) => comparePositions(sort, a.position, b.position));
+
+    const paginated = pageSize !== undefined && pageSize !== null && pageSize !== '';
+    if (paginated && bookmark) {
+        const after = decodeBookmark(bookmark);
+        matches = matches.filter((record) => comparePositions(sort, record.position, after) > 0);
+    } else {
+        matches = matches.slice(skip);
+    }
+
+    const size = parseInt(pageSize, 10);
+    const count = paginated ? (size > 0 ? size : undefined) : limit;
+    if (count >= 0) {
+        matches = matches.slice(0, count);
+    }
+
+    const results = matches.map((record) => ({
+        key: record.key,
+        value: Buffer.from(JSON.stringify(project(record.doc, fields)))
+    }));
+    const last = matches[matches.length - 1];
+    return {
+        results,
+        metadata: {
+            fetched_records_count: results.length,
+            // like CouchDB, an exhausted query hands back the bookmark it was given
+            bookmark: last ? encodeBookmark(last.position) : (bookmark || '')
+        }
+    };
+}
+
+module.exports = {
+    collate,
+    getField,
+    matchesSelector,
+    parseQuery,
+    executeQuery,
+    bookmarkForKey,
+    keyOfBookmark
+};
@@ -0,0 +1,213 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+// Versioned JSON records. Every record a chaincode writes carries the schemaVersion of
+// its docType, and a registry holds, per docType, the current version and the steps
+// that upgrade a record from one version to the next:
+//
+//   const migrations = new MigrationRegistry({
+//       marble: {
+//           version: 2,
+//           upgrades: {
+//               0: (marble) => marble,                                  // records written before versioning
+//               1: (marble) => Object.assign(marble, { weight: null })
+//           }
+//       }
+//   });
+//
+//   marble.schemaVersion = migrations.currentVersion('marble');     // when creating a record
+//   const marble = migrations.parse(await stub.getState(name));      // when reading one
+//
+// Records are upgraded lazily: a record read through the registry is returned in the
+// current shape, and is stored in that shape the next time the chaincode writes it.
+// Records without a schemaVersion are version 0. Records of other docTypes, and values
+// that are not JSON objects, are left as they are.
+//
+// migrate() upgrades the stored records in batches, for instance from Init on upgrade
+// and then from an admin transaction until it reports done. It scans the simple keys in
+// key order, so composite keys (indexes, configuration) are never touched; an upgrade
+// step must not change the fields an index key is built from. Its progress is kept in
+// state, so a call without a start key resumes where the previous batch stopped.
+
+const { InvalidArgumentError } = require('./errors');
+const iterators = require('./iterators');
+const timestamps = require('./timestamps');
+
+const PROGRESS_KEY = 'chaincode~migration';
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkDeclarations(docTypes) {
+    for (const docType of Object.keys(docTypes)) {
+        const { version, upgrades = {} } = docTypes[docType];
+        if (!Number.isInteger(version) || version < 0) {
+            throw new Error(`The version of ${docType} must be a non-negative integer`);
+        }
+        for (let from = 0; from < version; from++) {
+            if (typeof upgrades[from] !== 'function') {
+                throw new Error(`Missing the upgrade of ${docType} records from version ${from} to ${from + 1}`);
+            }
+        }
+    }
+}
+
+function getTxDateString(stub) {
+    return new Date(timestamps.txTimestampMillis(stub)).toISOString();
+}
+
+/**
+ * Upgrades records to the current version of their docType.
+ */
+class MigrationRegistry {
+
+    /**
+     * @param {Object<string, {version: number, upgrades: Object<number, Function>}>} docTypes
+     * Current version and upgrade steps by docType; upgrades[n] turns a version n record
+     * into a version n + 1 record
+     */
+    constructor(docTypes) {
+        checkDeclarations(docTypes);
+        this.docTypes = docTypes;
+        // so that it can be passed as is, like iterators.keyRecord: { project: migrations.keyRecord }
+        this.keyRecord = this.keyRecord.bind(this);
+    }
+
+    /**
+     * @param {string} docType
+     * @returns {number} the version records of this docType are written with
+     */
+    currentVersion(docType) {
+        if (!Object.prototype.hasOwnProperty.call(this.docTypes, docType)) {
+            throw new Error(`No schema version is declared for ${docType}`);
+        }
+        return this.docTypes[docType].version;
+    }
+
+    /**
+     * @param {Object} record
+     * @returns {boolean} true when the record is of a declared docType and older than its current version
+     */
+    needsUpgrade(record) {
+        if (!isPlainObject(record) || !Object.prototype.hasOwnProperty.call(this.docTypes, record.docType)) {
+            return false;
+        }
+        return (record.schemaVersion || 0) < this.docTypes[record.docType].version;
+    }
+
+    /**
+     * Returns the record in the current shape of its docType. The record passed in is not modified.
+     *
+     * @param {*} record Parsed record
+     * @returns {*}
+     */
+    upgrade(record) {
+        if (!isPlainObject(record) || !Object.prototype.hasOwnProperty.call(this.docTypes, record.docType)) {
+            return record;
+        }
+        const { version, upgrades } = this.docTypes[record.docType];
+        let from = record.schemaVersion || 0;
+        if (!Number.isInteger(from) || from > version) {
+            throw new Error(`Record of ${record.docType} has schemaVersion ${record.schemaVersion}, this chaincode supports up to ${version}`);
+        }
+        let upgraded = JSON.parse(JSON.stringify(record));
+        for (; from < version; from++) {
+            upgraded = upgrades[from](upgraded);
+            upgraded.schemaVersion = from + 1;
+        }
+        return upgraded;
+    }
+
+    /**
+     * Parses a value read from the ledger and upgrades it.
+     *
+     * @param {Buffer} value
+     * @returns {*}
+     */
+    parse(value) {
+        return this.upgrade(JSON.parse(value.toString()));
+    }
+
+    /**
+     * Projects a state or query record to {Key, Record}, like iterators.keyRecord, with the record upgraded.
+     *
+     * @param {{key: string, value: Buffer}} record
+     * @returns {{Key: string, Record: *}}
+     */
+    keyRecord(record) {
+        const result = iterators.keyRecord(record);
+        result.Record = this.upgrade(result.Record);
+        return result;
+    }
+
+    /**
+     * Reads the progress of the current or last migration.
+     *
+     * @param {ChaincodeStub} stub
+     * @returns {Promise<Object|null>} {startKey, nextKey, done, scanned, migrated, startedBy, updatedBy, updatedAt}
+     */
+    async getProgress(stub) {
+        const progressAsBytes = await stub.getState(stub.createCompositeKey(PROGRESS_KEY, ['progress']));
+        return progressAsBytes && progressAsBytes.length > 0 ? JSON.parse(progressAsBytes.toString()) : null;
+    }
+
+    /**
+     * Upgrades and rewrites the outdated records among the next pageSize keys.
+     *
+     * @param {ChaincodeStub} stub
+     * @param {string} [fromKey] Key to start at; when empty, resumes the migration in progress, or starts a new one
+     * @param {number} [pageSize] Number of keys to scan (default 100, at most 1000)
+     * @returns {Promise<Object>} the progress, see getProgress()
+     */
+    async migrate(stub, fromKey, pageSize = DEFAULT_PAGE_SIZE) {
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+            throw new InvalidArgumentError(`pageSize must be an integer from 1 to ${MAX_PAGE_SIZE}`);
+        }
+        let progress = await this.getProgress(stub);
+        if (fromKey || !progress || progress.done) {
+            progress = { startKey: fromKey || '', nextKey: fromKey || '', done: false, scanned: 0, migrated: 0, startedBy: stub.getTxID() };
+        }
+
+        // paginated range queries are only allowed in read-only transactions, so the
+        // batch stops at the first key past the page, which starts the next batch
+        const iterator = await stub.getStateByRange(progress.nextKey, '');
+        let nextKey = null;
+        let scanned = 0;
+        for await (const { key, value } of iterators.iterate(iterator)) {
+            if (scanned === pageSize) {
+                nextKey = key;
+                break;
+            }
+            scanned++;
+            let record;
+            try {
+                record = JSON.parse(value.toString());
+            } catch (err) {
+                continue;
+            }
+            if (this.needsUpgrade(record)) {
+                await stub.putState(key, Buffer.from(JSON.stringify(this.upgrade(record))));
+                progress.migrated++;
+            }
+        }
+
+        progress.scanned += scanned;
+        progress.nextKey = nextKey || '';
+        progress.done = nextKey === null;
+        progress.updatedBy = stub.getTxID();
+        progress.updatedAt = getTxDateString(stub);
+        await stub.putState(stub.createCompositeKey(PROGRESS_KEY, ['progress']), Buffer.from(JSON.stringify(progress)));
+        return progress;
+    }
+}
+
+MigrationRegistry.DEFAULT_PAGE_SIZE = DEFAULT_PAGE_SIZE;
+MigrationRegistry.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
+
+module.exports = MigrationRegistry;
@@ -0,0 +1,69 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+// Transaction creators for ChaincodeMockStub. fabric-shim's ClientIdentity parses the
+// creator's X.509 certificate, so a test identity needs one: mockIdentity() issues it,
+// with the attributes in the extension Fabric CA uses for them:
+//
+//   const tom = mockIdentity('Org1MSP', 'tom');
+//   const admin = mockIdentity('Org1MSP', 'admin', { 'marbles.role': 'admin' });
+//
+//   await stub.mockInvoke('tx1', ['initMarble', 'marble1', 'blue', '35'], tom);
+//
+// The certificate's subject is /CN=<commonName> and its issuer /CN=ca.<mspId>, so
+// ClientIdentity.getID() returns 'x509::/CN=tom::/CN=ca.Org1MSP'. Certificates are
+// signed with a key pair generated once per process; nothing checks the signature.
+
+const FABRIC_CERT_ATTR_OID = '1.2.3.4.5.6.7.8.1';
+
+let keyPair = null;
+
+function getKeyPair(jsrsasign) {
+    if (!keyPair) {
+        keyPair = jsrsasign.KEYUTIL.generateKeypair('EC', 'secp256r1');
+    }
+    return keyPair;
+}
+
+// an extension whose value is the attributes as JSON, as Fabric CA encodes them
+function attributesExtension(jsrsasign, attrs) {
+    const extension = new jsrsasign.KJUR.asn1.x509.Extension();
+    extension.oid = FABRIC_CERT_ATTR_OID;
+    extension.getExtnValueHex = () => jsrsasign.utf8tohex(JSON.stringify({ attrs }));
+    return extension;
+}
+
+/**
+ * Issues a certificate for a transaction creator.
+ *
+ * @param {string} mspId MSP ID of the identity
+ * @param {string} commonName Common name of its certificate subject
+ * @param {Object<string, string>} [attrs] Attributes, e.g. { 'marbles.role': 'admin' }
+ * @returns {{mspId: string, certificate: string}} options for mockInit() and mockInvoke()
+ */
+function mockIdentity(mspId, commonName, attrs) {
+    // loaded on first use, so that chaincodes requiring chaincode-common do not load it
+    const jsrsasign = require('jsrsasign');
+    const { prvKeyObj, pubKeyObj } = getKeyPair(jsrsasign);
+
+    const tbs = new jsrsasign.KJUR.asn1.x509.TBSCertificate();
+    tbs.setSerialNumberByParam({ int: 1 });
+    tbs.setSignatureAlgByParam({ name: 'SHA256withECDSA' });
+    tbs.setIssuerByParam({ str: `/CN=ca.${mspId}` });
+    tbs.setNotBeforeByParam({ str: '190101000000Z' });
+    tbs.setNotAfterByParam({ str: '491231235959Z' });
+    tbs.setSubjectByParam({ str: `/CN=${commonName}` });
+    tbs.setSubjectPublicKeyByGetKey(pubKeyObj);
+    if (attrs && Object.keys(attrs).length > 0) {
+        tbs.appendExtension(attributesExtension(jsrsasign, attrs));
+    }
+
+    const certificate = new jsrsasign.KJUR.asn1.x509.Certificate({ tbscertobj: tbs, prvkeyobj: prvKeyObj });
+    certificate.sign();
+    return { mspId, certificate: certificate.getPEMString() };
+}
+
+module.exports = mockIdentity;
@@ -0,0 +1,540 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const mango = require('./mango');
+const ResultSetIterator = require('./resultsetiterator');
+const timestamps = require('./timestamps');
+
+// Key encoding constants, identical to the ones used by fabric-shim's ChaincodeStub
+const MIN_UNICODE_RUNE_VALUE = '\u0000';
+const MAX_UNICODE_RUNE_VALUE = '\u{10ffff}';
+const COMPOSITEKEY_NS = '\x00';
+const EMPTY_KEY_SUBSTITUTE = '\x01';
+
+const RESPONSE_CODE = {
+    OK: 200,
+    ERROR: 500
+};
+
+function validateCompositeKeyAttribute(attr) {
+    if (!attr || typeof attr !== 'string' || attr.length === 0) {
+        throw new Error('object type or attribute not a non-zero length string');
+    }
+}
+
+function validateIdenticalTypedKeys(keyA, keyB) {
+    if (keyA && typeof keyA === 'string' && keyB && typeof keyB === 'string') {
+        const keyA_CNS = (keyA.charAt(0) === COMPOSITEKEY_NS);
+        const keyB_CNS = (keyB.charAt(0) === COMPOSITEKEY_NS);
+        if (keyA_CNS !== keyB_CNS) {
+            throw new Error(`Keys are not of the same type (composite or simple) [${keyA}] [${keyB}]`);
+        }
+    }
+}
+
+// The peer orders keys by their UTF-8 bytes (LevelDB), not by UTF-16 code units
+function compareKeys(keyA, keyB) {
+    return Buffer.compare(Buffer.from(keyA, 'utf8'), Buffer.from(keyB, 'utf8'));
+}
+
+function toBuffer(value) {
+    if (Buffer.isBuffer(value)) {
+        return Buffer.from(value);
+    }
+    if (typeof value === 'string') {
+        return Buffer.from(value);
+    }
+    throw new Error('value must be a Buffer or a string');
+}
+
+/**
+ * In-memory implementation of the fabric-shim ChaincodeStub so that the low-level
+ * chaincodes can be driven in-process, without a peer.
+ *
+ * Writes made during a transaction are buffered and only become visible to later
+ * transactions once the chaincode has returned a successful response, the same as
+ * on a peer: a transaction never reads its own writes, and a failed transaction
+ * leaves the world state untouched and emits no event. Private data collections are held apart from
+ * the world state, one per collection name, and follow the same rules; any
+ * collection name is accepted, collection membership policies are not enforced.
+ * Paginated queries are only allowed in read-only transactions: a transaction
+ * cannot write after one, nor run one after writing.
+ *
+ * @example
+ * const { ChaincodeMockStub, mockIdentity } = require('chaincode-common');
+ * const Chaincode = require('../marbles_chaincode');
+ *
+ * const tom = mockIdentity('Org1MSP', 'tom');
+ * const stub = new ChaincodeMockStub('marbles', new Chaincode());
+ * await stub.mockInit('tx0', ['init'], tom);
+ * const response = await stub.mockInvoke('tx1', ['initMarble', 'marble1', 'blue', '35'], tom);
+ */
+class ChaincodeMockStub {
+
+    /**
+     * @param {string} name Name of the chaincode, used in error messages only
+     * @param {Object} chaincode Instance implementing Init(stub) and Invoke(stub)
+     * @param {Object} [options]
+     * @param {string} [options.channelId] Channel returned by getChannelID()
+     * @param {string} [options.mspId] MSP ID of the default transaction creator
+     * @param {string} [options.certificate] PEM certificate of the default transaction creator
+     * @param {string} [options.stateDatabase] 'CouchDB' (the default) evaluates rich queries
+     * with the Mango evaluator, 'LevelDB' rejects them the way a LevelDB backed peer does
+     */
+    constructor(name, chaincode, options = {}) {
+        this.name = name;
+        this.chaincode = chaincode;
+        this.channelId = options.channelId || 'mychannel';
+        this.stateDatabase = options.stateDatabase || 'CouchDB';
+        this.creator = {
+            mspId: options.mspId || 'Org1MSP',
+            certificate: options.certificate || ''
+        };
+
+        // committed world state, key -> Buffer
+        this.state = new Map();
+        // committed key history, key -> [{tx_id, value, timestamp, is_delete}]
+        this.history = new Map();
+        // committed private data, collection -> (key -> Buffer)
+        this.privateData = new Map();
+        // events of the committed transactions, in commit order, shaped like the
+        // chaincode events delivered to fabric-client's ChannelEventHub
+        this.events = [];
+
+        this._resetTransaction();
+    }
+
+    _resetTransaction() {
+        this.txId = undefined;
+        this.args = [];
+        this.txTimestamp = undefined;
+        this.signingIdentity = undefined;
+        this.transientMap = new Map();
+        this.writeSet = new Map();
+        this.privateWriteSet = new Map();
+        this.chaincodeEvent = undefined;
+        this.writePerformed = false;
+        this.paginatedQueryPerformed = false;
+    }
+
+    /**
+     * Sets up the transaction context for the given transaction id. Called by
+     * mockInit() and mockInvoke(); only needed directly when calling chaincode
+     * functions without going through Invoke().
+     *
+     * @param {string} txId Transaction id
+     * @param {string[]} args Function name followed by its arguments
+     * @param {Object} [options]
+     * @param {Date|number} [options.timestamp] Transaction timestamp, defaults to now
+     * @param {Object<string, Buffer|string>} [options.transient] Transient data
+     * @param {string} [options.mspId] MSP ID of the transaction creator
+     * @param {string} [options.certificate] PEM certificate of the transaction creator
+     */
+    mockTransactionStart(txId, args = [], options = {}) {
+        if (!txId) {
+            throw new Error('Transaction id must be provided');
+        }
+        this._resetTransaction();
+        this.txId = txId;
+        this.args = args.map((arg) => arg.toString());
+        this.txTimestamp = timestamps.fromMillis((options.timestamp === undefined ? new Date() : new Date(options.timestamp)).getTime());
+        this.signingIdentity = this._createSerializedIdentity(
+            options.mspId || this.creator.mspId,
+            options.certificate || this.creator.certificate
+        );
+        for (const key of Object.keys(options.transient || {})) {
+            this.transientMap.set(key, toBuffer(options.transient[key]));
+        }
+    }
+
+    /**
+     * Ends the current transaction. When commit is true the buffered writes are
+     * applied to the world state and recorded in the key history.
+     *
+     * @param {boolean} commit Whether to apply the transaction's writes
+     */
+    mockTransactionEnd(commit) {
+        if (commit) {
+            for (const [key, value] of this.writeSet) {
+                const modification = {
+                    tx_id: this.txId,
+                    value: value === null ? Buffer.from('') : value,
+                    timestamp: this.txTimestamp,
+                    is_delete: value === null
+                };
+                if (value === null) {
+                    this.state.delete(key);
+                } else {
+                    this.state.set(key, value);
+                }
+                if (!this.history.has(key)) {
+                    this.history.set(key, []);
+                }
+                this.history.get(key).push(modification);
+            }
+            if (this.chaincodeEvent) {
+                this.events.push(Object.assign({ chaincode_id: this.name, tx_id: this.txId }, this.chaincodeEvent));
+            }
+            // private data is not recorded in the key history, as on a peer
+            for (const [collection, writes] of this.privateWriteSet) {
+                if (!this.privateData.has(collection)) {
+                    this.privateData.set(collection, new Map());
+                }
+                const collectionState = this.privateData.get(collection);
+                for (const [key, value] of writes) {
+                    if (value === null) {
+                        collectionState.delete(key);
+                    } else {
+                        collectionState.set(key, value);
+                    }
+                }
+            }
+        }
+        this._resetTransaction();
+    }
+
+    /**
+     * Calls the chaincode's Init() as a transaction.
+     *
+     * @param {string} txId Transaction id
+     * @param {string[]} args Function name followed by its arguments
+     * @param {Object} [options] See mockTransactionStart()
+     * @returns {Promise<{status: number, message: string, payload: Buffer}>}
+     */
+    async mockInit(txId, args, options) {
+        return this._mockCall('Init', txId, args, options);
+    }
+
+    /**
+     * Calls the chaincode's Invoke() as a transaction.
+     *
+     * @param {string} txId Transaction id
+     * @param {string[]} args Function name followed by its arguments
+     * @param {Object} [options] See mockTransactionStart()
+     * @returns {Promise<{status: number, message: string, payload: Buffer}>}
+     */
+    async mockInvoke(txId, args, options) {
+        return this._mockCall('Invoke', txId, args, options);
+    }
+
+    async _mockCall(method, txId, args, options) {
+        this.mockTransactionStart(txId, args, options);
+        let response;
+        try {
+            response = await this.chaincode[method](this);
+        } catch (err) {
+            this.mockTransactionEnd(false);
+            throw err;
+        }
+
+        // mirror the shim's handling of a chaincode that forgets to return a response
+        if (!response || !response.status) {
+            response = {
+                status: RESPONSE_CODE.ERROR,
+                message: `Calling chaincode ${method}() has not called success or error.`
+            };
+        }
+        this.mockTransactionEnd(response.status < RESPONSE_CODE.ERROR);
+        return response;
+    }
+
+    _createSerializedIdentity(mspId, certificate) {
+        const idBytes = Buffer.from(certificate);
+        // shaped like the decoded SerializedIdentity protobuf that ClientIdentity expects
+        return {
+            mspid: mspId,
+            id_bytes: idBytes,
+            getMspid: () => mspId,
+            getIdBytes: () => ({ toBuffer: () => idBytes })
+        };
+    }
+
+    _assertInTransaction() {
+        if (!this.txId) {
+            throw new Error(`No transaction in progress for chaincode ${this.name}`);
+        }
+    }
+
+    // the peer's transaction simulator refuses these with the same messages
+    _beforeWrite() {
+        this._assertInTransaction();
+        if (this.paginatedQueryPerformed) {
+            throw new Error(`txid [${this.txId}]: Transaction has already performed a paginated query. Writes are not allowed`);
+        }
+        this.writePerformed = true;
+    }
+
+    _beforePaginatedQuery() {
+        this._assertInTransaction();
+        if (this.writePerformed) {
+            throw new Error(`txid [${this.txId}]: Paginated queries are supported only in a read-only transaction`);
+        }
+        this.paginatedQueryPerformed = true;
+    }
+
+    getArgs() {
+        return this.args;
+    }
+
+    getStringArgs() {
+        return this.args;
+    }
+
+    getBufferArgs() {
+        return this.args.map((arg) => Buffer.from(arg));
+    }
+
+    getFunctionAndParameters() {
+        if (this.args.length >= 1) {
+            return {
+                fcn: this.args[0],
+                params: this.args.slice(1)
+            };
+        }
+        return {
+            fcn: '',
+            params: []
+        };
+    }
+
+    getTxID() {
+        return this.txId;
+    }
+
+    getChannelID() {
+        return this.channelId;
+    }
+
+    getCreator() {
+        return this.signingIdentity;
+    }
+
+    getTransient() {
+        return this.transientMap;
+    }
+
+    getTxTimestamp() {
+        return this.txTimestamp;
+    }
+
+    setEvent(name, payload) {
+        this._assertInTransaction();
+        if (typeof name !== 'string' || name === '') {
+            throw new Error('Event name must be a non-empty string');
+        }
+        // only the last event set by a transaction is emitted, as on a peer
+        this.chaincodeEvent = {
+            event_name: name,
+            payload: payload === undefined || payload === null ? Buffer.from('') : toBuffer(payload)
+        };
+    }
+
+    async getState(key) {
+        this._assertInTransaction();
+        const value = this.state.get(key);
+        return value ? Buffer.from(value) : Buffer.from('');
+    }
+
+    async putState(key, value) {
+        this._beforeWrite();
+        if (!key || typeof key !== 'string') {
+            throw new Error('key must be a valid string');
+        }
+        this.writeSet.set(key, toBuffer(value));
+    }
+
+    async deleteState(key) {
+        this._beforeWrite();
+        this.writeSet.set(key, null);
+    }
+
+    _rangeResults(startKey, endKey, state = this.state) {
+        return Array.from(state.keys())
+            .filter((key) => compareKeys(key, startKey) >= 0 && (!endKey || compareKeys(key, endKey) < 0))
+            .sort(compareKeys)
+            .map((key) => ({ key, value: Buffer.from(state.get(key)) }));
+    }
+
+    _paginate(results, pageSize, bookmark) {
+        let start = 0;
+        if (bookmark) {
+            start = results.findIndex((result) => compareKeys(result.key, bookmark) >= 0);
+            if (start < 0) {
+                start = results.length;
+            }
+        }
+        const size = parseInt(pageSize, 10);
+        const end = size > 0 ? Math.min(start + size, results.length) : results.length;
+        const page = results.slice(start, end);
+        return {
+            iterator: new ResultSetIterator(page),
+            metadata: {
+                fetched_records_count: page.length,
+                bookmark: end < results.length ? results[end].key : ''
+            }
+        };
+    }
+
+    async getStateByRange(startKey, endKey) {
+        this._assertInTransaction();
+        if (!startKey) {
+            startKey = EMPTY_KEY_SUBSTITUTE;
+        }
+        validateIdenticalTypedKeys(startKey, endKey);
+        return new ResultSetIterator(this._rangeResults(startKey, endKey));
+    }
+
+    async getStateByRangeWithPagination(startKey, endKey, pageSize, bookmark) {
+        this._beforePaginatedQuery();
+        if (!startKey) {
+            startKey = EMPTY_KEY_SUBSTITUTE;
+        }
+        validateIdenticalTypedKeys(startKey, endKey);
+        return this._paginate(this._rangeResults(startKey, endKey), pageSize, bookmark);
+    }
+
+    _assertRichQuerySupported(method) {
+        if (this.stateDatabase !== 'CouchDB') {
+            // a LevelDB backed peer rejects rich queries in exactly this way
+            throw new Error(`${method} not supported for leveldb`);
+        }
+    }
+
+    _queryableRecords(state) {
+        return this._rangeResults(EMPTY_KEY_SUBSTITUTE, '', state);
+    }
+
+    async getQueryResult(query) {
+        this._assertInTransaction();
+        this._assertRichQuerySupported('ExecuteQuery');
+        return new ResultSetIterator(mango.executeQuery(query, this._queryableRecords()).results);
+    }
+
+    async getQueryResultWithPagination(query, pageSize, bookmark) {
+        this._beforePaginatedQuery();
+        this._assertRichQuerySupported('ExecuteQueryWithMetadata');
+        const { results, metadata } = mango.executeQuery(query, this._queryableRecords(), pageSize || 0, bookmark);
+        return { iterator: new ResultSetIterator(results), metadata };
+    }
+
+    async getHistoryForKey(key) {
+        this._assertInTransaction();
+        const modifications = this.history.get(key) || [];
+        // a Fabric 1.4 peer returns the modifications in commit order, oldest first
+        return new ResultSetIterator(modifications.map((modification) => Object.assign({}, modification, {
+            value: Buffer.from(modification.value)
+        })));
+    }
+
+    createCompositeKey(objectType, attributes) {
+        validateCompositeKeyAttribute(objectType);
+        if (!Array.isArray(attributes)) {
+            throw new Error('attributes must be an array');
+        }
+
+        let compositeKey = COMPOSITEKEY_NS + objectType + MIN_UNICODE_RUNE_VALUE;
+        attributes.forEach((attribute) => {
+            validateCompositeKeyAttribute(attribute);
+            compositeKey = compositeKey + attribute + MIN_UNICODE_RUNE_VALUE;
+        });
+        return compositeKey;
+    }
+
+    splitCompositeKey(compositeKey) {
+        const result = { objectType: null, attributes: [] };
+        if (compositeKey && compositeKey.length > 1 && compositeKey.charAt(0) === COMPOSITEKEY_NS) {
+            const splitKey = compositeKey.substring(1).split(MIN_UNICODE_RUNE_VALUE);
+            result.objectType = splitKey[0];
+            splitKey.pop();
+            if (splitKey.length > 1) {
+                splitKey.shift();
+                result.attributes = splitKey;
+            }
+        }
+        return result;
+    }
+
+    async getStateByPartialCompositeKey(objectType, attributes) {
+        this._assertInTransaction();
+        const partialCompositeKey = this.createCompositeKey(objectType, attributes);
+        return new ResultSetIterator(this._rangeResults(partialCompositeKey, partialCompositeKey + MAX_UNICODE_RUNE_VALUE));
+    }
+
+    async getStateByPartialCompositeKeyWithPagination(objectType, attributes, pageSize, bookmark) {
+        this._beforePaginatedQuery();
+        const partialCompositeKey = this.createCompositeKey(objectType, attributes);
+        const results = this._rangeResults(partialCompositeKey, partialCompositeKey + MAX_UNICODE_RUNE_VALUE);
+        return this._paginate(results, pageSize, bookmark);
+    }
+
+    _collectionState(collection) {
+        if (!collection || typeof collection !== 'string') {
+            throw new Error('collection must be a valid string');
+        }
+        return this.privateData.get(collection) || new Map();
+    }
+
+    _writePrivateData(collection, key, value) {
+        this._collectionState(collection);
+        if (!key || typeof key !== 'string') {
+            throw new Error('key must be a valid string');
+        }
+        if (!this.privateWriteSet.has(collection)) {
+            this.privateWriteSet.set(collection, new Map());
+        }
+        this.privateWriteSet.get(collection).set(key, value);
+    }
+
+    async getPrivateData(collection, key) {
+        this._assertInTransaction();
+        const state = this._collectionState(collection);
+        if (!key || typeof key !== 'string') {
+            throw new Error('key must be a valid string');
+        }
+        const value = state.get(key);
+        return value ? Buffer.from(value) : Buffer.from('');
+    }
+
+    async putPrivateData(collection, key, value) {
+        this._beforeWrite();
+        if (!value) {
+            throw new Error('value must be valid');
+        }
+        this._writePrivateData(collection, key, toBuffer(value));
+    }
+
+    async deletePrivateData(collection, key) {
+        this._beforeWrite();
+        this._writePrivateData(collection, key, null);
+    }
+
+    async getPrivateDataByRange(collection, startKey, endKey) {
+        this._assertInTransaction();
+        const state = this._collectionState(collection);
+        if (!startKey) {
+            startKey = EMPTY_KEY_SUBSTITUTE;
+        }
+        validateIdenticalTypedKeys(startKey, endKey);
+        return new ResultSetIterator(this._rangeResults(startKey, endKey, state));
+    }
+
+    async getPrivateDataByPartialCompositeKey(collection, objectType, attributes) {
+        this._assertInTransaction();
+        const state = this._collectionState(collection);
+        const partialCompositeKey = this.createCompositeKey(objectType, attributes);
+        return new ResultSetIterator(this._rangeResults(partialCompositeKey, partialCompositeKey + MAX_UNICODE_RUNE_VALUE, state));
+    }
+
+    async getPrivateDataQueryResult(collection, query) {
+        this._assertInTransaction();
+        const state = this._collectionState(collection);
+        this._assertRichQuerySupported('ExecuteQuery');
+        return new ResultSetIterator(mango.executeQuery(query, this._queryableRecords(state)).results);
+    }
+}
+
+module.exports = ChaincodeMockStub;
+module.exports.RESPONSE_CODE = RESPONSE_CODE;
@@ -0,0 +1,190 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+// Compiles structured, client supplied queries into Mango queries, so that a chaincode
+// can offer ad hoc queries without handing the caller the full Mango language. A spec
+// describes what may be queried for one docType:
+//
+//   const builder = new QueryBuilder({
+//       docType: 'marble',
+//       fields: {
+//           owner: { type: 'string', operators: ['$eq', '$in'] },
+//           color: { type: 'string', operators: ['$eq', '$in'] },
+//           size: { type: 'number', operators: ['$eq', '$gt', '$gte', '$lt', '$lte'] }
+//       },
+//       indexedFields: ['owner'],
+//       maxPageSize: 100
+//   });
+//
+// and a request names conditions on those fields, either a value (equality) or an
+// object of operators, plus the page to return:
+//
+//   builder.compile({ filter: { owner: 'tom', size: { $gt: 10 } }, pageSize: 20, bookmark: '' })
+//   // => { query: '{"selector":{"docType":"marble","owner":"tom","size":{"$gt":10}}}', pageSize: 20, bookmark: '' }
+//
+// The docType condition is always added by the builder. Every request has to constrain
+// at least one of the indexed fields, so that CouchDB can answer it from an index
+// instead of scanning the whole database.
+
+const { InvalidArgumentError } = require('./errors');
+
+const OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin'];
+const LIST_OPERATORS = ['$in', '$nin'];
+const FIELD_TYPES = ['string', 'number', 'boolean'];
+const MAX_LIST_LENGTH = 100;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Looks a field up in the spec without falling through to Object.prototype, so that
+// fields named constructor or toString are rejected like any other unknown field
+function getFieldSpec(spec, field) {
+    return Object.prototype.hasOwnProperty.call(spec.fields, field) ? spec.fields[field] : undefined;
+}
+
+function checkSpec(spec) {
+    if (!isPlainObject(spec)) {
+        throw new Error('Query spec must be an object');
+    }
+    if (typeof spec.docType !== 'string' || !spec.docType) {
+        throw new Error('Query spec must name a docType');
+    }
+    if (!isPlainObject(spec.fields) || Object.keys(spec.fields).length === 0) {
+        throw new Error(`Query spec for ${spec.docType} must list the fields that can be queried`);
+    }
+    for (const field of Object.keys(spec.fields)) {
+        const { type, operators } = spec.fields[field];
+        if (field === 'docType' || field.startsWith('$')) {
+            throw new Error(`Field ${field} cannot be queried`);
+        }
+        if (!FIELD_TYPES.includes(type)) {
+            throw new Error(`Type of field ${field} must be one of ${FIELD_TYPES.join(', ')}`);
+        }
+        if (!Array.isArray(operators) || operators.length === 0 || !operators.every((operator) => OPERATORS.includes(operator))) {
+            throw new Error(`Operators of field ${field} must be a non-empty list of ${OPERATORS.join(', ')}`);
+        }
+    }
+    if (!Array.isArray(spec.indexedFields) || spec.indexedFields.length === 0 ||
+        !spec.indexedFields.every((field) => getFieldSpec(spec, field))) {
+        throw new Error(`Query spec for ${spec.docType} must name at least one indexed field among its fields`);
+    }
+    if (!Number.isInteger(spec.maxPageSize) || spec.maxPageSize <= 0) {
+        throw new Error(`Query spec for ${spec.docType} must set a positive maxPageSize`);
+    }
+}
+
+/**
+ * Builds Mango queries for one docType from structured requests.
+ */
+class QueryBuilder {
+
+    /**
+     * @param {Object} spec
+     * @param {string} spec.docType Value of the docType field of the documents to query
+     * @param {Object<string, {type: string, operators: string[]}>} spec.fields Fields that
+     * can be queried, with their type (string, number or boolean) and allowed operators
+     * @param {string[]} spec.indexedFields Fields covered by an index; every query has to
+     * constrain one of them
+     * @param {number} spec.maxPageSize Largest page a query can ask for, also the default
+     */
+    constructor(spec) {
+        checkSpec(spec);
+        this.spec = spec;
+    }
+
+    /**
+     * Compiles a structured request into a Mango query.
+     *
+     * @param {Object|string} request Request object, or the same as a JSON string
+     * @param {Object<string, *>} request.filter Conditions by field name, either a value
+     * or an object mapping operators to values
+     * @param {number} [request.pageSize] Number of documents per page, at most maxPageSize
+     * @param {string} [request.bookmark] Bookmark returned with the previous page
+     * @returns {{query: string, pageSize: number, bookmark: string}}
+     */
+    compile(request) {
+        if (typeof request === 'string') {
+            try {
+                request = JSON.parse(request);
+            } catch (err) {
+                throw new InvalidArgumentError(`Query is not valid JSON: ${err.message}`);
+            }
+        }
+        if (!isPlainObject(request)) {
+            throw new InvalidArgumentError('Query must be a JSON object');
+        }
+        for (const key of Object.keys(request)) {
+            if (!['filter', 'pageSize', 'bookmark'].includes(key)) {
+                throw new InvalidArgumentError(`Unknown query property ${key}`);
+            }
+        }
+        if (!isPlainObject(request.filter)) {
+            throw new InvalidArgumentError('Query filter must be an object');
+        }
+
+        const selector = { docType: this.spec.docType };
+        for (const field of Object.keys(request.filter)) {
+            selector[field] = this._compileCondition(field, request.filter[field]);
+        }
+        if (!this.spec.indexedFields.some((field) => Object.prototype.hasOwnProperty.call(request.filter, field))) {
+            throw new InvalidArgumentError(`Query must filter on at least one of ${this.spec.indexedFields.join(', ')}`);
+        }
+
+        const pageSize = request.pageSize === undefined ? this.spec.maxPageSize : request.pageSize;
+        if (!Number.isInteger(pageSize) || pageSize <= 0 || pageSize > this.spec.maxPageSize) {
+            throw new InvalidArgumentError(`pageSize must be an integer between 1 and ${this.spec.maxPageSize}`);
+        }
+        const bookmark = request.bookmark === undefined ? '' : request.bookmark;
+        if (typeof bookmark !== 'string') {
+            throw new InvalidArgumentError('bookmark must be a string');
+        }
+
+        return { query: JSON.stringify({ selector }), pageSize, bookmark };
+    }
+
+    _compileCondition(field, condition) {
+        const fieldSpec = getFieldSpec(this.spec, field);
+        if (!fieldSpec) {
+            throw new InvalidArgumentError(`Field ${field} cannot be queried, expecting one of ${Object.keys(this.spec.fields).join(', ')}`);
+        }
+        if (!isPlainObject(condition)) {
+            condition = { $eq: condition };
+        }
+        const operators = Object.keys(condition);
+        if (operators.length === 0) {
+            throw new InvalidArgumentError(`Condition on ${field} must not be empty`);
+        }
+        const compiled = {};
+        for (const operator of operators) {
+            if (!fieldSpec.operators.includes(operator)) {
+                throw new InvalidArgumentError(`Operator ${operator} is not allowed on ${field}, expecting one of ${fieldSpec.operators.join(', ')}`);
+            }
+            const value = condition[operator];
+            if (LIST_OPERATORS.includes(operator)) {
+                if (!Array.isArray(value) || value.length === 0 || value.length > MAX_LIST_LENGTH) {
+                    throw new InvalidArgumentError(`${operator} on ${field} takes a list of 1 to ${MAX_LIST_LENGTH} values`);
+                }
+                value.forEach((item) => this._checkValue(field, fieldSpec.type, item));
+            } else {
+                this._checkValue(field, fieldSpec.type, value);
+            }
+            compiled[operator] = value;
+        }
+        // a single equality is written the way the index documentation shows it
+        return operators.length === 1 && operators[0] === '$eq' ? compiled.$eq : compiled;
+    }
+
+    _checkValue(field, type, value) {
+        if (typeof value !== type || (type === 'number' && !isFinite(value))) {
+            throw new InvalidArgumentError(`Values of ${field} must be of type ${type}`);
+        }
+    }
+}
+
+QueryBuilder.OPERATORS = OPERATORS;
+
+module.exports = QueryBuilder;
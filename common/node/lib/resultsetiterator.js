@@ -0,0 +1,39 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+/**
+ * Iterator over an already materialised result set. It follows the fabric-shim 1.4
+ * iterator contract: the last record is returned with <code>done: true</code>, and
+ * calling next() on an exhausted iterator returns <code>{done: true}</code>.
+ */
+class ResultSetIterator {
+
+    /**
+     * @param {Array<Object>} results Records to return, in order
+     */
+    constructor(results) {
+        this.results = results;
+        this.currentLoc = 0;
+        this.closed = false;
+    }
+
+    async next() {
+        if (this.closed) {
+            throw new Error('Iterator has already been closed');
+        }
+        if (this.currentLoc < this.results.length) {
+            const value = this.results[this.currentLoc++];
+            return { value, done: this.currentLoc >= this.results.length };
+        }
+        return { done: true };
+    }
+
+    async close() {
+        this.closed = true;
+    }
+}
+
+module.exports = ResultSetIterator;
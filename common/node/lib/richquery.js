@@ -0,0 +1,130 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+// Rich queries that behave the same on every state database. On a CouchDB backed
+// peer the query is handed to the peer unchanged; when the peer uses LevelDB the
+// query is evaluated in the chaincode with the Mango evaluator (see mango for how
+// its string order differs from CouchDB's) over a range scan of the namespace or
+// private data collection.
+//
+// The scan is bounded by the limits of iterators. A query without pagination, or
+// a paginated query with a sort, has to read the whole namespace and fails once it
+// holds more than that. A paginated query without a sort reads one window of keys
+// per call, in key order from the bookmark: a page can then hold fewer records than
+// pageSize, or none, before the end, which is reached when the bookmark comes back
+// unchanged.
+
+const iterators = require('./iterators');
+const mango = require('./mango');
+const ResultSetIterator = require('./resultsetiterator');
+
+function isUnsupportedOnLevelDB(err) {
+    return /not supported for leveldb/i.test(err && err.message);
+}
+
+async function scanNamespace(stub, collection) {
+    // an empty start and end key covers every simple (non-composite) key
+    const iterator = collection ? await stub.getPrivateDataByRange(collection, '', '') : await stub.getStateByRange('', '');
+    return iterators.collect(iterator);
+}
+
+// Reads the keys from startKey on, in key order, until the limits of iterators are
+// reached; done is false when keys were left unread.
+async function scanWindow(stub, startKey) {
+    const { maxRecords, maxBytes } = iterators.DEFAULT_LIMITS;
+    const records = [];
+    let bytes = 0;
+    const iterator = await stub.getStateByRange(startKey, '');
+    // the window is cut here rather than failing, leaving the iterator to close it
+    for await (const record of iterators.iterate(iterator, { maxRecords: Infinity, maxBytes: Infinity })) {
+        records.push(record);
+        bytes += Buffer.byteLength(record.key) + record.value.length;
+        if (records.length >= maxRecords || bytes >= maxBytes) {
+            return { records, done: false };
+        }
+    }
+    return { records, done: true };
+}
+
+/**
+ * Executes a Mango query, falling back to in-chaincode evaluation on LevelDB.
+ *
+ * @param {ChaincodeStub} stub
+ * @param {string} query Mango query string
+ * @returns {Promise<Object>} query iterator, as returned by stub.getQueryResult()
+ */
+async function getQueryResult(stub, query) {
+    try {
+        return await stub.getQueryResult(query);
+    } catch (err) {
+        if (!isUnsupportedOnLevelDB(err)) {
+            throw err;
+        }
+    }
+    const { results } = mango.executeQuery(query, await scanNamespace(stub));
+    return new ResultSetIterator(results);
+}
+
+/**
+ * Executes a paginated Mango query, falling back to in-chaincode evaluation on LevelDB.
+ *
+ * @param {ChaincodeStub} stub
+ * @param {string} query Mango query string
+ * @param {number} pageSize Number of records per page
+ * @param {string} bookmark Bookmark returned with the previous page, or an empty string
+ * @returns {Promise<{iterator: Object, metadata: {fetched_records_count: number, bookmark: string}}>}
+ */
+async function getQueryResultWithPagination(stub, query, pageSize, bookmark) {
+    try {
+        return await stub.getQueryResultWithPagination(query, pageSize, bookmark);
+    } catch (err) {
+        if (!isUnsupportedOnLevelDB(err)) {
+            throw err;
+        }
+    }
+    if (mango.parseQuery(query).sort.length > 0) {
+        // a sorted page depends on every document
+        const { results, metadata } = mango.executeQuery(query, await scanNamespace(stub), pageSize || 0, bookmark);
+        return { iterator: new ResultSetIterator(results), metadata };
+    }
+
+    // the next key after the last one of the previous page
+    const startKey = bookmark ? mango.keyOfBookmark(bookmark) + '\u0000' : '';
+    const window = await scanWindow(stub, startKey);
+    const { results, metadata } = mango.executeQuery(query, window.records, pageSize || 0, bookmark);
+    if (!window.done && !(pageSize > 0 && results.length === pageSize)) {
+        // the page ended with the window: carry on after its last key
+        metadata.bookmark = mango.bookmarkForKey(window.records[window.records.length - 1].key);
+    }
+    return { iterator: new ResultSetIterator(results), metadata };
+}
+
+/**
+ * Executes a Mango query against a private data collection, falling back to
+ * in-chaincode evaluation on LevelDB.
+ *
+ * @param {ChaincodeStub} stub
+ * @param {string} collection Name of the private data collection
+ * @param {string} query Mango query string
+ * @returns {Promise<Object>} query iterator, as returned by stub.getPrivateDataQueryResult()
+ */
+async function getPrivateDataQueryResult(stub, collection, query) {
+    try {
+        return await stub.getPrivateDataQueryResult(collection, query);
+    } catch (err) {
+        if (!isUnsupportedOnLevelDB(err)) {
+            throw err;
+        }
+    }
+    const { results } = mango.executeQuery(query, await scanNamespace(stub, collection));
+    return new ResultSetIterator(results);
+}
+
+module.exports = {
+    getQueryResult,
+    getQueryResultWithPagination,
+    getPrivateDataQueryResult
+};
@@ -0,0 +1,244 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+// Dispatches the Invoke calls of a low-level (fabric-shim) chaincode to the functions
+// it declares, instead of looking up this[fcn]: only declared functions can be called,
+// so helpers on the chaincode class stay internal. Each function declares its
+// arguments, which are checked and converted before the function runs:
+//
+//   const router = new Router({
+//       transferMarble: {
+//           description: 'Transfer a marble to a new owner',
+//           args: [
+//               { name: 'name', type: 'string', minLength: 1 },
+//               { name: 'newOwner', type: 'string', minLength: 1, lowercase: true }
+//           ]
+//       },
+//       readMarble: {
+//           readOnly: true,
+//           args: [{ name: 'name', type: 'string', minLength: 1 }]
+//       }
+//   });
+//
+//   async Invoke(stub) {
+//       return shim.success(await router.invoke(stub, this));
+//   }
+//
+// The chaincode method of the same name is called as method(stub, args, chaincode),
+// with args holding the converted values in declaration order. Arguments arrive as
+// strings and are converted according to their type:
+//
+//   string           used as is
+//   integer, number  decimal notation only; integers must be safe integers
+//   boolean          'true' or 'false'
+//   object, array    parsed as JSON
+//
+// after which the remaining keywords of the declaration (minLength, pattern, minimum,
+// enum, properties, items, ...) are checked as a JSON schema. An argument can be
+// optional (an empty value counts as missing), have a default, be lowercased, or, as
+// the last argument, take all remaining values (rest).
+//
+// readOnly functions get a stub on which the write methods throw, so a query cannot
+// change the ledger by mistake. Every router also answers listFunctions, which
+// returns the declarations as JSON.
+
+const jsonSchema = require('./jsonschema');
+const { InvalidArgumentError, NotFoundError } = require('./errors');
+
+const LIST_FUNCTIONS = 'listFunctions';
+const TYPES = ['string', 'integer', 'number', 'boolean', 'object', 'array'];
+const WRITE_METHODS = [
+    'putState',
+    'deleteState',
+    'putPrivateData',
+    'deletePrivateData',
+    'setEvent',
+    'setStateValidationParameter',
+    'setPrivateDataValidationParameter'
+];
+// keys of an argument declaration that are not part of its JSON schema
+const DECLARATION_KEYS = ['name', 'description', 'optional', 'default', 'lowercase', 'rest'];
+
+function convert(arg, value) {
+    switch (arg.type) {
+    case 'integer':
+        if (!/^-?[0-9]+$/.test(value) || !Number.isSafeInteger(Number(value))) {
+            throw new InvalidArgumentError(`${arg.name} must be an integer, got "${value}"`);
+        }
+        return Number(value);
+    case 'number':
+        if (!/^-?[0-9]+(\.[0-9]+)?([eE][-+]?[0-9]+)?$/.test(value)) {
+            throw new InvalidArgumentError(`${arg.name} must be a number, got "${value}"`);
+        }
+        return Number(value);
+    case 'boolean':
+        if (value !== 'true' && value !== 'false') {
+            throw new InvalidArgumentError(`${arg.name} must be true or false, got "${value}"`);
+        }
+        return value === 'true';
+    case 'object':
+    case 'array':
+        try {
+            return JSON.parse(value);
+        } catch (err) {
+            throw new InvalidArgumentError(`${arg.name} must be a JSON ${arg.type}: ${err.message}`);
+        }
+    default:
+        return arg.lowercase ? value.toLowerCase() : value;
+    }
+}
+
+function schemaOf(arg) {
+    const schema = {};
+    for (const key of Object.keys(arg)) {
+        if (!DECLARATION_KEYS.includes(key)) {
+            schema[key] = arg[key];
+        }
+    }
+    return schema;
+}
+
+function checkRoutes(routes) {
+    for (const name of Object.keys(routes)) {
+        const route = routes[name];
+        if (name === LIST_FUNCTIONS) {
+            throw new Error(`${LIST_FUNCTIONS} is provided by the router and cannot be declared`);
+        }
+        (route.args || []).forEach((arg, i, args) => {
+            if (!arg.name || !TYPES.includes(arg.type)) {
+                throw new Error(`Argument ${i} of ${name} must have a name and a type among ${TYPES.join(', ')}`);
+            }
+            if (arg.rest && i !== args.length - 1) {
+                throw new Error(`Only the last argument of ${name} can take the remaining values`);
+            }
+        });
+    }
+}
+
+function readOnlyStub(stub, fcn) {
+    return new Proxy(stub, {
+        get(target, property) {
+            if (WRITE_METHODS.includes(property)) {
+                return () => {
+                    throw new Error(`${fcn} is read-only and cannot call ${property}`);
+                };
+            }
+            const value = target[property];
+            return typeof value === 'function' ? value.bind(target) : value;
+        }
+    });
+}
+
+/**
+ * Routes Invoke calls to the declared functions of a chaincode.
+ */
+class Router {
+
+    /**
+     * @param {Object<string, {description: string, readOnly: boolean, args: Object[]}>} routes
+     * Function declarations by name
+     */
+    constructor(routes) {
+        checkRoutes(routes);
+        this.routes = routes;
+    }
+
+    /**
+     * Returns the declaration of a function, failing for functions that are not declared.
+     *
+     * @param {string} fcn Function name
+     * @returns {Object}
+     */
+    getRoute(fcn) {
+        if (fcn === LIST_FUNCTIONS) {
+            return { description: 'Lists the functions of this chaincode and their arguments', readOnly: true, args: [] };
+        }
+        if (!Object.prototype.hasOwnProperty.call(this.routes, fcn)) {
+            throw new NotFoundError(`Received unknown function ${fcn} invocation, call ${LIST_FUNCTIONS} for the available functions`, { function: fcn });
+        }
+        return this.routes[fcn];
+    }
+
+    /**
+     * Checks and converts the arguments of a call.
+     *
+     * @param {string} fcn Function name
+     * @param {string[]} params Arguments as received from the peer
+     * @returns {Array} converted arguments, in declaration order
+     */
+    parseArguments(fcn, params) {
+        const declared = this.getRoute(fcn).args || [];
+        const rest = declared.length > 0 && declared[declared.length - 1].rest;
+        // optional arguments followed by required ones are passed as empty strings
+        const required = declared.reduce((count, arg, i) => arg.optional || arg.rest ? count : i + 1, 0);
+        if (params.length < required || (!rest && params.length > declared.length)) {
+            const names = declared.map((arg) => arg.rest ? `${arg.name}...` : arg.optional ? `[${arg.name}]` : arg.name);
+            throw new InvalidArgumentError(`Incorrect number of arguments for ${fcn}. Expecting ${names.join(', ') || 'none'}`, { function: fcn });
+        }
+
+        const errors = [];
+        const parseOne = (arg, value) => {
+            if (value === undefined || (value === '' && arg.optional)) {
+                return arg.default;
+            }
+            const converted = convert(arg, value);
+            errors.push(...jsonSchema.validate(converted, schemaOf(arg), {}, arg.name));
+            return converted;
+        };
+        const args = declared.map((arg, i) => {
+            if (arg.rest) {
+                return params.slice(i).map((value) => parseOne(arg, value));
+            }
+            return parseOne(arg, params[i]);
+        });
+        if (errors.length > 0) {
+            throw new InvalidArgumentError(`Invalid arguments for ${fcn}: ${errors.join(', ')}`, { function: fcn, errors });
+        }
+        return args;
+    }
+
+    /**
+     * Describes the declared functions, as returned by listFunctions.
+     *
+     * @returns {Object[]} name, description, readOnly flag and arguments of each function
+     */
+    describe() {
+        const names = Object.keys(this.routes).concat(LIST_FUNCTIONS).sort();
+        return names.map((name) => {
+            const route = this.getRoute(name);
+            return {
+                name,
+                description: route.description || '',
+                readOnly: Boolean(route.readOnly),
+                args: (route.args || []).map((arg) => Object.assign({ name: arg.name, type: arg.type }, arg))
+            };
+        });
+    }
+
+    /**
+     * Runs the function named by the transaction proposal on the chaincode.
+     *
+     * @param {ChaincodeStub} stub
+     * @param {Object} chaincode Chaincode instance implementing the declared functions
+     * @returns {Promise<Buffer|undefined>} the payload returned by the function
+     */
+    async invoke(stub, chaincode) {
+        const { fcn, params } = stub.getFunctionAndParameters();
+        const route = this.getRoute(fcn);
+        const args = this.parseArguments(fcn, params);
+        if (fcn === LIST_FUNCTIONS) {
+            return Buffer.from(JSON.stringify(this.describe()));
+        }
+        if (typeof chaincode[fcn] !== 'function') {
+            throw new Error(`Function ${fcn} is declared but not implemented`);
+        }
+        return chaincode[fcn](route.readOnly ? readOnlyStub(stub, fcn) : stub, args, chaincode);
+    }
+}
+
+Router.LIST_FUNCTIONS = LIST_FUNCTIONS;
+
+module.exports = Router;
@@ -0,0 +1,50 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+// Conversions of the protobuf Timestamps of the stub, {seconds: Long, nanos: number}
+// as returned by getTxTimestamp() and in the records of getHistoryForKey(), to
+// milliseconds since the epoch:
+//
+//   const date = new Date(timestamps.txTimestampMillis(stub)).toISOString();
+//
+// The timestamp of a transaction is set by the client that proposed it, so it is the
+// same on every endorsing peer, unlike the clock of the chaincode process.
+
+const Long = require('long');
+
+/**
+ * @param {{seconds: Long|number|string, nanos: number}} timestamp
+ * @returns {number} Milliseconds since the epoch, sub-millisecond nanos truncated
+ */
+function timestampMillis(timestamp) {
+    return parseInt(timestamp.seconds.toString(), 10) * 1000 + Math.floor(timestamp.nanos / 1000000);
+}
+
+/**
+ * @param {ChaincodeStub} stub
+ * @returns {number} Timestamp of the transaction in milliseconds since the epoch
+ */
+function txTimestampMillis(stub) {
+    return timestampMillis(stub.getTxTimestamp());
+}
+
+/**
+ * @param {number} millis Milliseconds since the epoch
+ * @returns {{seconds: Long, nanos: number}} Timestamp in the form the stub returns it
+ */
+function fromMillis(millis) {
+    const seconds = Math.floor(millis / 1000);
+    return {
+        seconds: Long.fromNumber(seconds),
+        nanos: (millis - seconds * 1000) * 1000000
+    };
+}
+
+module.exports = {
+    timestampMillis,
+    txTimestampMillis,
+    fromMillis
+};
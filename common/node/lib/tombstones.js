@@ -0,0 +1,99 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+// Soft deletion. Deleting a record replaces it, under the same key, with a tombstone
+// that keeps the record and tells who deleted it, when and why:
+//
+//   { "docType": "tombstone", "deletedDocType": "marble", "record": { ... },
+//     "deletedBy": { "id": "...", "mspId": "Org1MSP" }, "deletedAt": "2019-06-01T12:00:00.000Z",
+//     "deletedTxId": "9f2c...", "reason": "created by mistake" }
+//
+// A tombstone has a docType of its own, so rich queries selecting on the docType of the
+// record no longer match it; range queries skip tombstones with isTombstone(). The key
+// stays in use until the tombstone is purged, so the record can be restored, and its
+// history keeps the deletion. Index entries of the record are the chaincode's to remove
+// on delete and to write again on restore.
+
+const { NotFoundError } = require('./errors');
+const iterators = require('./iterators');
+const timestamps = require('./timestamps');
+
+const DOC_TYPE = 'tombstone';
+
+function getTxDateString(stub) {
+    return new Date(timestamps.txTimestampMillis(stub)).toISOString();
+}
+
+/**
+ * @param {*} record Parsed value
+ * @returns {boolean} true when the value is a tombstone
+ */
+function isTombstone(record) {
+    return record !== null && typeof record === 'object' && record.docType === DOC_TYPE;
+}
+
+/**
+ * Replaces a record with its tombstone.
+ *
+ * @param {ChaincodeStub} stub
+ * @param {string} key Key of the record
+ * @param {Object} record The record, as stored
+ * @param {Object} deletedBy Identity of the caller, e.g. {id, mspId}
+ * @param {string} [reason] Why the record was deleted
+ * @returns {Promise<Object>} the tombstone
+ */
+async function remove(stub, key, record, deletedBy, reason) {
+    const tombstone = {
+        docType: DOC_TYPE,
+        deletedDocType: record.docType,
+        record,
+        deletedBy,
+        deletedAt: getTxDateString(stub),
+        deletedTxId: stub.getTxID(),
+        reason: reason || ''
+    };
+    await stub.putState(key, Buffer.from(JSON.stringify(tombstone)));
+    return tombstone;
+}
+
+/**
+ * Reads the tombstone of a deleted record.
+ *
+ * @param {ChaincodeStub} stub
+ * @param {string} key Key of the record
+ * @param {string} docType docType of the record
+ * @returns {Promise<Object>} the tombstone
+ */
+async function get(stub, key, docType) {
+    const valueAsBytes = await stub.getState(key);
+    const value = valueAsBytes && valueAsBytes.length > 0 ? iterators.parseValue(valueAsBytes) : null;
+    if (!isTombstone(value) || value.deletedDocType !== docType) {
+        throw new NotFoundError(`No deleted ${docType} ${key}`, { key });
+    }
+    return value;
+}
+
+/**
+ * Deletes the tombstone of a record for good, freeing its key.
+ *
+ * @param {ChaincodeStub} stub
+ * @param {string} key Key of the record
+ * @param {string} docType docType of the record
+ * @returns {Promise<Object>} the tombstone that was removed
+ */
+async function purge(stub, key, docType) {
+    const tombstone = await get(stub, key, docType);
+    await stub.deleteState(key);
+    return tombstone;
+}
+
+module.exports = {
+    DOC_TYPE,
+    isTombstone,
+    remove,
+    get,
+    purge
+};
@@ -0,0 +1,108 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+// Packs chaincode-common into every chaincode that depends on it. A peer installs a
+// node.js chaincode from its own directory only, so a dependency on ../../common/node
+// cannot be resolved there; each chaincode ships the package as vendor/chaincode-common.tgz
+// and depends on it with "chaincode-common": "file:vendor/chaincode-common.tgz".
+//
+// Run it after changing chaincode-common, then npm install in the chaincodes:
+//
+//   npm run bundle
+//
+// test/bundle.js fails while a chaincode ships an outdated copy.
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const ROOT = path.join(__dirname, '..');
+const REPOSITORY = path.join(ROOT, '..', '..');
+const TARBALL = path.join('vendor', 'chaincode-common.tgz');
+
+// chaincode directories, relative to the repository
+const CHAINCODES = [
+    'abstore/node',
+    'cannabis/javascript',
+    'fabcar/javascript',
+    'fabcar/javascript-low-level',
+    'ledgersafe/node',
+    'marbles02/node',
+    'marbles02_private/node'
+];
+
+/**
+ * Lists the files of a tarball produced by npm pack.
+ *
+ * @param {Buffer} tarball Gzipped tar archive
+ * @returns {Map<string, Buffer>} content by path, without the leading package/
+ */
+function readTarball(tarball) {
+    const archive = zlib.gunzipSync(tarball);
+    const files = new Map();
+    let offset = 0;
+    // every entry is a 512 byte header followed by its content padded to 512 bytes;
+    // the archive ends with empty blocks
+    while (offset + 512 <= archive.length && archive[offset] !== 0) {
+        const field = (start, length) => archive.toString('utf8', offset + start, offset + start + length).replace(/\0.*$/, '');
+        const name = field(0, 100);
+        const prefix = field(345, 155);
+        const size = parseInt(field(124, 12).trim() || '0', 8);
+        const type = field(156, 1);
+        if (type === '0' || type === '') {
+            const file = (prefix ? prefix + '/' : '') + name;
+            files.set(file.replace(/^package\//, ''), archive.slice(offset + 512, offset + 512 + size));
+        }
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+    return files;
+}
+
+/**
+ * Lists the files npm pack puts in the package, read from the sources.
+ *
+ * @returns {Map<string, Buffer>} content by path
+ */
+function readSources() {
+    const files = new Map();
+    const add = (file) => {
+        const absolute = path.join(ROOT, file);
+        if (fs.statSync(absolute).isDirectory()) {
+            fs.readdirSync(absolute).forEach((entry) => add(path.posix.join(file, entry)));
+        } else {
+            files.set(file, fs.readFileSync(absolute));
+        }
+    };
+    ['package.json'].concat(require('../package.json').files).forEach((file) => add(file.replace(/\/$/, '')));
+    return files;
+}
+
+function bundle() {
+    const packed = childProcess.execFileSync('npm', ['pack', '--silent'], { cwd: ROOT, encoding: 'utf8' }).trim().split('\n').pop();
+    try {
+        for (const chaincode of CHAINCODES) {
+            const target = path.join(REPOSITORY, chaincode, TARBALL);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.copyFileSync(path.join(ROOT, packed), target);
+            console.log(`Bundled chaincode-common into ${chaincode}`);
+        }
+    } finally {
+        fs.unlinkSync(path.join(ROOT, packed));
+    }
+}
+
+if (require.main === module) {
+    bundle();
+}
+
+module.exports = {
+    CHAINCODES,
+    TARBALL,
+    REPOSITORY,
+    readTarball,
+    readSources
+};
@@ -0,0 +1,30 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+
+const { CHAINCODES, TARBALL, REPOSITORY, readTarball, readSources } = require('../scripts/bundle');
+
+describe('bundle', () => {
+
+    const sources = readSources();
+
+    for (const chaincode of CHAINCODES) {
+
+        it(`ships the current chaincode-common in ${chaincode}, run npm run bundle if not`, () => {
+            const packageJson = JSON.parse(fs.readFileSync(path.join(REPOSITORY, chaincode, 'package.json'), 'utf8'));
+            expect(packageJson.dependencies['chaincode-common']).to.equal('file:' + TARBALL.split(path.sep).join('/'));
+
+            const shipped = readTarball(fs.readFileSync(path.join(REPOSITORY, chaincode, TARBALL)));
+            expect(Array.from(shipped.keys()).sort()).to.deep.equal(Array.from(sources.keys()).sort());
+            for (const [file, content] of sources) {
+                expect(shipped.get(file).equals(content), file).to.equal(true);
+            }
+        });
+    }
+});
@@ -0,0 +1,73 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { expect } = require('chai');
+
+const { ChaincodeMockStub, history } = require('..');
+
+describe('history', () => {
+
+    let stub;
+
+    // commits a transaction writing the value, or deleting the key when value is null
+    async function write(txId, timestamp, value) {
+        stub.mockTransactionStart(txId, ['write'], { timestamp });
+        if (value === null) {
+            await stub.deleteState('marble1');
+        } else {
+            await stub.putState('marble1', Buffer.from(JSON.stringify(value)));
+        }
+        stub.mockTransactionEnd(true);
+    }
+
+    beforeEach(async () => {
+        stub = new ChaincodeMockStub('test', {});
+        await write('tx1', '2019-06-01T10:00:00Z', { owner: 'tom' });
+        // timestamps are set by clients, so a later transaction can carry an earlier one
+        await write('tx2', '2019-06-01T09:00:00Z', { owner: 'jerry' });
+        await write('tx3', '2019-06-01T11:00:00Z', null);
+        stub.mockTransactionStart('tx4', ['read']);
+    });
+
+    describe('#versions', () => {
+
+        it('lists the versions of a key in commit order, oldest first', async () => {
+            expect(await history.versions(stub, 'marble1')).to.deep.equal([
+                { txId: 'tx1', timestamp: '2019-06-01T10:00:00.000Z', isDelete: false, value: { owner: 'tom' } },
+                { txId: 'tx2', timestamp: '2019-06-01T09:00:00.000Z', isDelete: false, value: { owner: 'jerry' } },
+                { txId: 'tx3', timestamp: '2019-06-01T11:00:00.000Z', isDelete: true, value: null }
+            ]);
+            expect(await history.versions(stub, 'marble2')).to.deep.equal([]);
+        });
+    });
+
+    describe('#versionAsOf', () => {
+
+        it('takes the last version in commit order among those effective at the instant', async () => {
+            const txIdAsOf = async (date) => {
+                const version = await history.versionAsOf(stub, 'marble1', new Date(date));
+                return version && version.txId;
+            };
+            expect(await txIdAsOf('2019-06-01T08:30:00Z')).to.equal(null);
+            expect(await txIdAsOf('2019-06-01T09:30:00Z')).to.equal('tx2');
+            expect(await txIdAsOf('2019-06-01T10:30:00Z')).to.equal('tx2');
+            expect(await txIdAsOf('2019-06-01T11:30:00Z')).to.equal('tx3');
+        });
+    });
+
+    describe('#versionAt', () => {
+
+        it('finds the version written by a transaction', async () => {
+            expect((await history.versionAt(stub, 'marble1', 'tx2')).value).to.deep.equal({ owner: 'jerry' });
+            try {
+                await history.versionAt(stub, 'marble1', 'tx9');
+                expect.fail('versionAt should have thrown');
+            } catch (err) {
+                expect([err.code, err.message]).to.deep.equal(['NOT_FOUND', 'Transaction tx9 did not write marble1']);
+            }
+        });
+    });
+});
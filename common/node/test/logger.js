@@ -0,0 +1,101 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { expect } = require('chai');
+
+const { ChaincodeMockStub, Logger, Router } = require('..');
+
+const router = new Router({
+    invoke: { description: 'Logs a line' },
+    read: { description: 'Logs a line, with the read-only stub of the router', readOnly: true }
+});
+
+// Configures the logger from its Init arguments and logs a line in every transaction,
+// the way the chaincodes of this repository do
+class LoggingChaincode {
+
+    constructor(logger) {
+        this.logger = logger;
+    }
+
+    async Init(stub) {
+        const { params } = stub.getFunctionAndParameters();
+        try {
+            await this.logger.configure(stub, params[0]);
+            this.logger.forStub(stub).info('Configured', { owner: 'tom' });
+            if (params[1] === 'fail') {
+                throw new Error('failed on purpose');
+            }
+        } catch (err) {
+            return { status: 500, message: err.message };
+        }
+        return { status: 200, payload: Buffer.from('') };
+    }
+
+    async Invoke(stub) {
+        await this.logger.loadConfig(stub);
+        await router.invoke(stub, this);
+        return { status: 200, payload: Buffer.from('') };
+    }
+
+    async invoke(stub) {
+        this.logger.forStub(stub).info('Invoked', { owner: 'tom' });
+    }
+
+    async read(stub) {
+        this.logger.forStub(stub).info('Read', { owner: 'tom' });
+    }
+}
+
+describe('Logger', () => {
+
+    let lines;
+    let stub;
+    let envLevel;
+
+    beforeEach(() => {
+        lines = [];
+        const logger = new Logger({ name: 'test', write: (line) => lines.push(JSON.parse(line)) });
+        stub = new ChaincodeMockStub('test', new LoggingChaincode(logger));
+        // the environment variable would take precedence over the configuration under test
+        envLevel = process.env[Logger.ENV_LEVEL];
+        delete process.env[Logger.ENV_LEVEL];
+    });
+
+    afterEach(() => {
+        if (envLevel !== undefined) {
+            process.env[Logger.ENV_LEVEL] = envLevel;
+        }
+    });
+
+    describe('#loadConfig', () => {
+
+        it('applies the configuration of a committed Init to later transactions', async () => {
+            await stub.mockInit('tx0', ['init', '{"redact":["owner"]}']);
+            await stub.mockInvoke('tx1', ['invoke']);
+            expect(lines.map((line) => [line.txId, line.owner])).to.deep.equal([['tx0', '[REDACTED]'], ['tx1', '[REDACTED]']]);
+        });
+
+        it('leaves out the configuration of an Init that is not committed', async () => {
+            await stub.mockInit('tx0', ['init', '{"level":"warn"}']);
+            await stub.mockInit('tx1', ['init', '{"redact":["owner"]}', 'fail']);
+            await stub.mockInvoke('tx2', ['invoke']);
+            expect(lines.map((line) => [line.txId, line.owner])).to.deep.equal([['tx1', '[REDACTED]']]);
+
+            stub.state.clear();
+            await stub.mockInvoke('tx3', ['invoke']);
+            expect(lines.map((line) => [line.txId, line.owner])).to.deep.equal([['tx1', '[REDACTED]'], ['tx3', 'tom']]);
+        });
+
+        it('applies the configuration to read-only functions', async () => {
+            await stub.mockInit('tx0', ['init', '{"redact":["owner"]}']);
+            await stub.mockInvoke('tx1', ['read']);
+            expect(lines.map((line) => [line.txId, line.message, line.owner])).to.deep.equal([
+                ['tx0', 'Configured', '[REDACTED]'], ['tx1', 'Read', '[REDACTED]']
+            ]);
+        });
+    });
+});
@@ -0,0 +1,255 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { expect } = require('chai');
+const jsrsasign = require('jsrsasign');
+
+const { ChaincodeMockStub, mockIdentity, iterators } = require('..');
+
+// A chaincode whose functions are the test's to define, called as fcn(stub, ...params)
+class TestChaincode {
+
+    constructor(functions) {
+        this.functions = functions;
+    }
+
+    async Init(stub) {
+        return { status: 200, payload: Buffer.from('') };
+    }
+
+    async Invoke(stub) {
+        const { fcn, params } = stub.getFunctionAndParameters();
+        try {
+            const payload = await this.functions[fcn](stub, ...params);
+            return { status: 200, payload: Buffer.from(payload === undefined ? '' : JSON.stringify(payload)) };
+        } catch (err) {
+            return { status: 500, message: err.message };
+        }
+    }
+}
+
+async function keys(iterator) {
+    return (await iterators.collect(iterator)).map((record) => record.key);
+}
+
+describe('ChaincodeMockStub', () => {
+
+    let stub;
+
+    beforeEach(() => {
+        stub = new ChaincodeMockStub('test', new TestChaincode({
+            put: (stub, key, value) => stub.putState(key, Buffer.from(value)),
+            del: (stub, key) => stub.deleteState(key),
+            get: async (stub, key) => (await stub.getState(key)).toString(),
+            putAndGet: async (stub, key, value) => {
+                await stub.putState(key, Buffer.from(value));
+                return (await stub.getState(key)).toString();
+            },
+            putAndFail: async (stub, key, value) => {
+                await stub.putState(key, Buffer.from(value));
+                throw new Error('failed on purpose');
+            },
+            range: async (stub, startKey, endKey) => keys(await stub.getStateByRange(startKey, endKey)),
+            page: async (stub, pageSize, bookmark) => {
+                const { iterator, metadata } = await stub.getStateByRangeWithPagination('', '', parseInt(pageSize, 10), bookmark);
+                return { keys: await keys(iterator), bookmark: metadata.bookmark };
+            },
+            pageThenPut: async (stub, key) => {
+                await stub.getStateByRangeWithPagination('', '', 10, '');
+                await stub.putState(key, Buffer.from('x'));
+            },
+            putThenPage: async (stub, key) => {
+                await stub.putState(key, Buffer.from('x'));
+                await stub.getQueryResultWithPagination('{"selector":{}}', 10, '');
+            },
+            compositePageThenPrivatePut: async (stub, key) => {
+                await stub.getStateByPartialCompositeKeyWithPagination('color~name', [], 10, '');
+                await stub.putPrivateData('collection', key, Buffer.from('x'));
+            },
+            putComposite: (stub, color, name) => stub.putState(stub.createCompositeKey('color~name', [color, name]), Buffer.from('\u0000')),
+            byColor: async (stub, color) => (await keys(await stub.getStateByPartialCompositeKey('color~name', [color])))
+                .map((key) => stub.splitCompositeKey(key).attributes),
+            query: async (stub, query) => (await iterators.collect(await stub.getQueryResult(query))).map((record) => record.key),
+            history: async (stub, key) => (await iterators.collect(await stub.getHistoryForKey(key)))
+                .map((record) => ({ txId: record.tx_id, isDelete: record.is_delete, value: record.value.toString() })),
+            event: (stub, name) => stub.setEvent(name, Buffer.from(name)),
+            putPrivate: (stub, collection, key) => stub.putPrivateData(collection, key, Buffer.from(stub.getTransient().get('value'))),
+            getPrivate: async (stub, collection, key) => (await stub.getPrivateData(collection, key)).toString(),
+            creator: (stub) => ({ mspId: stub.getCreator().getMspid(), timestamp: stub.getTxTimestamp().seconds.toNumber() })
+        }));
+    });
+
+    function invoke(txId, args, options) {
+        return stub.mockInvoke(txId, args, options);
+    }
+
+    function payloadOf(response) {
+        expect(response.status, response.message).to.equal(200);
+        const payload = response.payload.toString();
+        return payload ? JSON.parse(payload) : undefined;
+    }
+
+    describe('transactions', () => {
+
+        it('applies the writes of a successful transaction', async () => {
+            await invoke('tx1', ['put', 'a', '1']);
+            expect(payloadOf(await invoke('tx2', ['get', 'a']))).to.equal('1');
+        });
+
+        it('does not let a transaction read its own writes', async () => {
+            expect(payloadOf(await invoke('tx1', ['putAndGet', 'a', '1']))).to.equal('');
+            expect(payloadOf(await invoke('tx2', ['get', 'a']))).to.equal('1');
+        });
+
+        it('discards the writes and the event of a failed transaction', async () => {
+            const response = await invoke('tx1', ['putAndFail', 'a', '1']);
+            expect(response.status).to.equal(500);
+            expect(response.message).to.equal('failed on purpose');
+            expect(stub.state.size).to.equal(0);
+            expect(stub.history.size).to.equal(0);
+        });
+
+        it('refuses state access outside a transaction', async () => {
+            let error;
+            try {
+                await stub.getState('a');
+            } catch (err) {
+                error = err;
+            }
+            expect(error.message).to.equal('No transaction in progress for chaincode test');
+        });
+
+        it('reports a chaincode that returns no response', async () => {
+            stub.chaincode.Invoke = async () => undefined;
+            const response = await invoke('tx1', ['put', 'a', '1']);
+            expect(response.status).to.equal(500);
+            expect(response.message).to.equal('Calling chaincode Invoke() has not called success or error.');
+            expect(stub.state.size).to.equal(0);
+        });
+
+        it('sets the creator and the timestamp of the transaction', async () => {
+            const timestamp = new Date('2019-06-01T12:00:00Z');
+            const creator = payloadOf(await invoke('tx1', ['creator'], { mspId: 'Org2MSP', timestamp }));
+            expect(creator).to.deep.equal({ mspId: 'Org2MSP', timestamp: timestamp.getTime() / 1000 });
+        });
+
+        it('keeps the last event of each committed transaction', async () => {
+            await invoke('tx1', ['event', 'first']);
+            await invoke('tx2', ['putAndFail', 'a', '1']);
+            expect(stub.events.map((event) => [event.tx_id, event.event_name, event.payload.toString()])).to.deep.equal([
+                ['tx1', 'first', 'first']
+            ]);
+        });
+    });
+
+    describe('queries', () => {
+
+        beforeEach(async () => {
+            await invoke('tx1', ['put', 'b', '{"docType":"marble","color":"red"}']);
+            await invoke('tx2', ['put', 'a', '{"docType":"marble","color":"blue"}']);
+            await invoke('tx3', ['put', 'c', '{"docType":"marble","color":"blue"}']);
+            await invoke('tx4', ['putComposite', 'blue', 'a']);
+            await invoke('tx5', ['putComposite', 'blue', 'c']);
+            await invoke('tx6', ['putComposite', 'red', 'b']);
+        });
+
+        it('returns simple keys in key order for range queries', async () => {
+            expect(payloadOf(await invoke('q1', ['range', '', '']))).to.deep.equal(['a', 'b', 'c']);
+            expect(payloadOf(await invoke('q2', ['range', 'b', 'c']))).to.deep.equal(['b']);
+        });
+
+        it('pages range queries with bookmarks', async () => {
+            const first = payloadOf(await invoke('q1', ['page', '2', '']));
+            expect(first).to.deep.equal({ keys: ['a', 'b'], bookmark: 'c' });
+            const second = payloadOf(await invoke('q2', ['page', '2', first.bookmark]));
+            expect(second).to.deep.equal({ keys: ['c'], bookmark: '' });
+        });
+
+        it('finds composite keys by partial key', async () => {
+            expect(payloadOf(await invoke('q1', ['byColor', 'blue']))).to.deep.equal([['blue', 'a'], ['blue', 'c']]);
+        });
+
+        it('evaluates rich queries on the simple keys', async () => {
+            expect(payloadOf(await invoke('q1', ['query', '{"selector":{"color":"blue"}}']))).to.deep.equal(['a', 'c']);
+        });
+
+        it('rejects rich queries like a LevelDB backed peer when told to', async () => {
+            stub.stateDatabase = 'LevelDB';
+            const response = await invoke('q1', ['query', '{"selector":{"color":"blue"}}']);
+            expect(response.message).to.equal('ExecuteQuery not supported for leveldb');
+        });
+
+        it('returns the history of a key in commit order, oldest first', async () => {
+            await invoke('tx7', ['put', 'a', '2']);
+            await invoke('tx8', ['del', 'a']);
+            expect(payloadOf(await invoke('q1', ['history', 'a']))).to.deep.equal([
+                { txId: 'tx2', isDelete: false, value: '{"docType":"marble","color":"blue"}' },
+                { txId: 'tx7', isDelete: false, value: '2' },
+                { txId: 'tx8', isDelete: true, value: '' }
+            ]);
+        });
+    });
+
+    describe('paginated queries', () => {
+
+        it('refuses writes after a paginated query', async () => {
+            const response = await invoke('tx1', ['pageThenPut', 'a']);
+            expect(response.message).to.equal('txid [tx1]: Transaction has already performed a paginated query. Writes are not allowed');
+            expect(stub.state.size).to.equal(0);
+        });
+
+        it('refuses a paginated query after writes', async () => {
+            const response = await invoke('tx1', ['putThenPage', 'a']);
+            expect(response.message).to.equal('txid [tx1]: Paginated queries are supported only in a read-only transaction');
+        });
+
+        it('refuses private data writes after a paginated query', async () => {
+            const response = await invoke('tx1', ['compositePageThenPrivatePut', 'a']);
+            expect(response.message).to.equal('txid [tx1]: Transaction has already performed a paginated query. Writes are not allowed');
+        });
+
+        it('allows writes again in the next transaction', async () => {
+            payloadOf(await invoke('tx1', ['page', '10', '']));
+            payloadOf(await invoke('tx2', ['put', 'a', '1']));
+        });
+    });
+
+    describe('private data', () => {
+
+        it('keeps each collection apart from the world state', async () => {
+            payloadOf(await invoke('tx1', ['putPrivate', 'collectionA', 'a'], { transient: { value: 'secret' } }));
+            expect(payloadOf(await invoke('q1', ['getPrivate', 'collectionA', 'a']))).to.equal('secret');
+            expect(payloadOf(await invoke('q2', ['getPrivate', 'collectionB', 'a']))).to.equal('');
+            expect(payloadOf(await invoke('q3', ['get', 'a']))).to.equal('');
+            expect(stub.history.size).to.equal(0);
+        });
+    });
+
+    describe('mockIdentity', () => {
+
+        const ATTRIBUTES_OID = new jsrsasign.KJUR.asn1.DERObjectIdentifier({ oid: '1.2.3.4.5.6.7.8.1' }).getEncodedHex();
+
+        it('issues a certificate with the subject and the attributes of the identity', () => {
+            const identity = mockIdentity('Org1MSP', 'tom', { 'marbles.role': 'admin' });
+            expect(identity.mspId).to.equal('Org1MSP');
+
+            const certificate = new jsrsasign.X509();
+            certificate.readCertPEM(identity.certificate);
+            expect(certificate.getSubjectString()).to.equal('/CN=tom');
+            expect(certificate.getIssuerString()).to.equal('/CN=ca.Org1MSP');
+            // the extension value is the attributes as JSON, as in certificates issued by Fabric CA
+            const attributes = jsrsasign.utf8tohex(JSON.stringify({ attrs: { 'marbles.role': 'admin' } })).toLowerCase();
+            expect(certificate.hex).to.include(ATTRIBUTES_OID + '04' + (attributes.length / 2).toString(16) + attributes);
+        });
+
+        it('leaves the attribute extension out when there are no attributes', () => {
+            const certificate = new jsrsasign.X509();
+            certificate.readCertPEM(mockIdentity('Org2MSP', 'jerry').certificate);
+            expect(certificate.getSubjectString()).to.equal('/CN=jerry');
+            expect(certificate.hex).not.to.include(ATTRIBUTES_OID);
+        });
+    });
+});
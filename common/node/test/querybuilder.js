@@ -0,0 +1,64 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { expect } = require('chai');
+
+const { QueryBuilder, errors } = require('..');
+
+describe('QueryBuilder', () => {
+
+    let builder;
+
+    beforeEach(() => {
+        builder = new QueryBuilder({
+            docType: 'marble',
+            fields: {
+                owner: { type: 'string', operators: ['$eq', '$in'] },
+                size: { type: 'number', operators: ['$eq', '$gt', '$lte'] }
+            },
+            indexedFields: ['owner'],
+            maxPageSize: 100
+        });
+    });
+
+    describe('#compile', () => {
+
+        it('compiles a filter into a selector on the docType', () => {
+            expect(builder.compile('{"filter":{"owner":"tom","size":{"$gt":10,"$lte":20}},"pageSize":20}')).to.deep.equal({
+                query: '{"selector":{"docType":"marble","owner":"tom","size":{"$gt":10,"$lte":20}}}', pageSize: 20, bookmark: ''
+            });
+            expect(builder.compile({ filter: { owner: { $in: ['tom', 'jerry'] } }, bookmark: 'b1' })).to.deep.equal({
+                query: '{"selector":{"docType":"marble","owner":{"$in":["tom","jerry"]}}}', pageSize: 100, bookmark: 'b1'
+            });
+        });
+
+        it('rejects fields outside the spec, including the names of Object.prototype', () => {
+            for (const field of ['color', 'constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+                const compile = () => builder.compile(`{"filter":{"owner":"tom","${field}":"x"}}`);
+                expect(compile).to.throw(errors.InvalidArgumentError, `Field ${field} cannot be queried`);
+            }
+        });
+
+        it('rejects requests that do not filter on an indexed field', () => {
+            expect(() => builder.compile({ filter: { size: 10 } })).to.throw(errors.InvalidArgumentError, 'at least one of owner');
+        });
+
+        it('rejects operators and values the spec does not allow', () => {
+            expect(() => builder.compile({ filter: { owner: { $ne: 'tom' } } })).to.throw(errors.InvalidArgumentError, 'Operator $ne');
+            expect(() => builder.compile({ filter: { owner: 'tom', size: '10' } })).to.throw(errors.InvalidArgumentError, 'of type number');
+            expect(() => builder.compile({ filter: { owner: { $in: [] } } })).to.throw(errors.InvalidArgumentError, '$in on owner');
+            expect(() => builder.compile({ filter: { owner: 'tom' }, pageSize: 101 })).to.throw(errors.InvalidArgumentError, 'pageSize');
+        });
+    });
+
+    describe('spec', () => {
+
+        it('only accepts indexed fields that are among its own fields', () => {
+            const spec = { docType: 'marble', fields: { owner: { type: 'string', operators: ['$eq'] } }, indexedFields: ['constructor'], maxPageSize: 10 };
+            expect(() => new QueryBuilder(spec)).to.throw('must name at least one indexed field among its fields');
+        });
+    });
+});
@@ -0,0 +1,73 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { expect } = require('chai');
+
+const { ChaincodeMockStub, richQuery, iterators } = require('..');
+
+describe('richQuery on LevelDB', () => {
+
+    const { maxRecords } = iterators.DEFAULT_LIMITS;
+    let stub;
+
+    async function keys(iterator) {
+        return (await iterators.collect(iterator)).map((record) => record.key);
+    }
+
+    // one more marble than a window holds, red ones at the start and past the first window
+    beforeEach(async () => {
+        stub = new ChaincodeMockStub('test', {}, { stateDatabase: 'LevelDB' });
+        stub.mockTransactionStart('tx1', ['init']);
+        for (let i = 0; i <= maxRecords; i++) {
+            const color = i < 2 || i === maxRecords ? 'red' : 'blue';
+            await stub.putState(`marble${String(i).padStart(5, '0')}`, Buffer.from(JSON.stringify({ color, size: i })));
+        }
+        stub.mockTransactionEnd(true);
+        stub.mockTransactionStart('tx2', ['query']);
+    });
+
+    it('fails an unpaginated query over more records than the limit', async () => {
+        try {
+            await richQuery.getQueryResult(stub, '{"selector":{"color":"red"}}');
+            expect.fail('getQueryResult should have thrown');
+        } catch (err) {
+            expect(err.message).to.equal(`Result set exceeds the limit of ${maxRecords} records, use a paginated query instead`);
+        }
+    });
+
+    it('pages an unsorted query one window of keys at a time', async () => {
+        const query = '{"selector":{"color":"red"}}';
+        const last = `marble${maxRecords}`;
+
+        // the first window ends before the last red marble
+        const first = await richQuery.getQueryResultWithPagination(stub, query, 10, '');
+        expect(await keys(first.iterator)).to.deep.equal(['marble00000', 'marble00001']);
+
+        const second = await richQuery.getQueryResultWithPagination(stub, query, 10, first.metadata.bookmark);
+        expect(await keys(second.iterator)).to.deep.equal([last]);
+
+        const third = await richQuery.getQueryResultWithPagination(stub, query, 10, second.metadata.bookmark);
+        expect(await keys(third.iterator)).to.deep.equal([]);
+        expect(third.metadata.bookmark).to.equal(second.metadata.bookmark);
+    });
+
+    it('ends a page at pageSize within a window', async () => {
+        const query = '{"selector":{"color":"blue"}}';
+        const first = await richQuery.getQueryResultWithPagination(stub, query, 2, '');
+        expect(await keys(first.iterator)).to.deep.equal(['marble00002', 'marble00003']);
+        const second = await richQuery.getQueryResultWithPagination(stub, query, 2, first.metadata.bookmark);
+        expect(await keys(second.iterator)).to.deep.equal(['marble00004', 'marble00005']);
+    });
+
+    it('still reads every record for a sorted query', async () => {
+        try {
+            await richQuery.getQueryResultWithPagination(stub, '{"selector":{"color":"red"},"sort":["size"]}', 10, '');
+            expect.fail('getQueryResultWithPagination should have thrown');
+        } catch (err) {
+            expect(err.message).to.equal(`Result set exceeds the limit of ${maxRecords} records, use a paginated query instead`);
+        }
+    });
+});
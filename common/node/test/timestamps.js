@@ -0,0 +1,32 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { expect } = require('chai');
+const Long = require('long');
+
+const { ChaincodeMockStub, timestamps } = require('..');
+
+describe('timestamps', () => {
+
+    it('converts a protobuf Timestamp to milliseconds, truncating the nanos', () => {
+        expect(timestamps.timestampMillis({ seconds: Long.fromNumber(1559383200), nanos: 123999999 })).to.equal(1559383200123);
+        expect(timestamps.timestampMillis({ seconds: '1559383200', nanos: 0 })).to.equal(1559383200000);
+    });
+
+    it('converts milliseconds back, before the epoch too', () => {
+        for (const millis of [1559383200123, 0, -1]) {
+            const timestamp = timestamps.fromMillis(millis);
+            expect(timestamp.seconds).to.be.an.instanceof(Long);
+            expect(timestamps.timestampMillis(timestamp)).to.equal(millis);
+        }
+    });
+
+    it('reads the timestamp of the transaction', () => {
+        const stub = new ChaincodeMockStub('test', {});
+        stub.mockTransactionStart('tx1', ['fcn'], { timestamp: '2019-06-01T10:00:00.250Z' });
+        expect(timestamps.txTimestampMillis(stub)).to.equal(Date.parse('2019-06-01T10:00:00.250Z'));
+    });
+});
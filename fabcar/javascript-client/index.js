@@ -0,0 +1,11 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const CarEventConsumer = require('./lib/eventconsumer');
+const events = require('fabcar/lib/events');
+
+module.exports.CarEventConsumer = CarEventConsumer;
+module.exports.events = events;
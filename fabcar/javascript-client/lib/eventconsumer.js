@@ -0,0 +1,80 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { EventEmitter } = require('events');
+
+const { EVENT_NAMES, decodeEvent } = require('fabcar/lib/events');
+
+/**
+ * Decodes FabCar chaincode events and dispatches them by name. Listeners for
+ * 'CarCreated' and 'CarOwnerChanged' receive the decoded event (see lib/events.js
+ * in the FabCar contract); events the consumer cannot decode are reported through
+ * 'error', so an 'error' listener should always be registered. Events with other
+ * names are ignored.
+ *
+ * @example
+ * const consumer = new CarEventConsumer();
+ * consumer.on('CarOwnerChanged', (event) => console.log(event.carNumber, event.newOwner));
+ * consumer.on('error', (err) => console.error(err));
+ *
+ * // live, with fabric-client
+ * channelEventHub.registerChaincodeEvent('fabcar', '^Car', consumer.listener, onError);
+ *
+ * // offline, from a recorded stream
+ * consumer.replay(recordedEvents);
+ */
+class CarEventConsumer extends EventEmitter {
+
+    constructor() {
+        super();
+        // bound so that it can be handed to an event hub as is
+        this.listener = this.handleEvent.bind(this);
+    }
+
+    /**
+     * Handles one chaincode event. Takes the same arguments as the callback of
+     * fabric-client's ChannelEventHub.registerChaincodeEvent().
+     *
+     * @param {{event_name: string, payload: Buffer|string, tx_id: string}} event Chaincode event
+     * @param {number} [blockNumber] Block number
+     * @param {string} [txId] Transaction id, when not part of the event
+     * @param {string} [txStatus] Validation code of the transaction; events of
+     * transactions that are not VALID are ignored
+     */
+    handleEvent(event, blockNumber, txId, txStatus) {
+        if (txStatus && txStatus !== 'VALID') {
+            return;
+        }
+        if (!EVENT_NAMES.includes(event.event_name)) {
+            return;
+        }
+        let decoded;
+        try {
+            decoded = decodeEvent(Object.assign({ tx_id: txId }, event), blockNumber);
+        } catch (err) {
+            this.emit('error', err);
+            return;
+        }
+        this.emit(decoded.name, decoded);
+    }
+
+    /**
+     * Handles a recorded stream of events in order.
+     *
+     * @param {Iterable<Object>|string} events Chaincode events, each optionally carrying
+     * block_num and tx_status, or the same as newline delimited JSON with string payloads
+     */
+    replay(events) {
+        if (typeof events === 'string') {
+            events = events.split('\n').filter((line) => line.trim()).map((line) => JSON.parse(line));
+        }
+        for (const event of events) {
+            this.handleEvent(event, event.block_num, event.tx_id, event.tx_status);
+        }
+    }
+}
+
+module.exports = CarEventConsumer;
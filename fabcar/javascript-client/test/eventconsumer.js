@@ -0,0 +1,71 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+
+const { CarEventConsumer } = require('..');
+
+// events recorded from a channel event hub, one per line, with the block number and
+// validation code of their transaction
+const RECORDED_EVENTS = fs.readFileSync(path.join(__dirname, 'data', 'events.ndjson'), 'utf8');
+
+describe('CarEventConsumer', () => {
+
+    let consumer;
+    let received;
+
+    beforeEach(() => {
+        consumer = new CarEventConsumer();
+        received = [];
+        consumer.on('CarCreated', (event) => received.push(event));
+        consumer.on('CarOwnerChanged', (event) => received.push(event));
+        consumer.on('error', (err) => received.push(err));
+    });
+
+    describe('#replay', () => {
+
+        it('dispatches the events of valid transactions in order and reports the ones it cannot decode', () => {
+            consumer.replay(RECORDED_EVENTS);
+
+            // JSON.parse's own message differs between Node.js versions, so only the start is compared
+            expect(received.map((event) => event instanceof Error ? event.message.split(':')[0] : [event.name, event.txId, event.blockNumber])).to.deep.equal([
+                ['CarCreated', 'a1f0', 5],
+                ['CarOwnerChanged', 'b2e1', 6],
+                'Unsupported version 2 of event CarOwnerChanged in transaction e5b4',
+                'Payload of event CarCreated in transaction f6a5 is not valid JSON',
+                ['CarOwnerChanged', '07f6', 10],
+            ]);
+            expect(received[0].cars.map((car) => car.carNumber)).to.deep.equal(['CAR0', 'CAR1']);
+            expect(received[1]).to.deep.include({ version: 1, carNumber: 'CAR1', previousOwner: 'Brad', newOwner: 'Dave' });
+        });
+
+        it('skips blank lines', () => {
+            consumer.replay('\n' + RECORDED_EVENTS.split('\n')[1] + '\n\n');
+            expect(received.map((event) => event.txId)).to.deep.equal(['b2e1']);
+        });
+
+        it('takes events with buffer payloads', () => {
+            const events = RECORDED_EVENTS.split('\n').filter((line) => line).map((line) => JSON.parse(line))
+                .map((event) => Object.assign(event, { payload: Buffer.from(event.payload) }));
+            consumer.replay(events.slice(0, 2));
+            expect(received.map((event) => event.newOwner || event.cars.length)).to.deep.equal([2, 'Dave']);
+        });
+    });
+
+    describe('#listener', () => {
+
+        it('takes the arguments of a chaincode event hub callback', () => {
+            const event = { event_name: 'CarOwnerChanged', payload: Buffer.from('{"version":1,"carNumber":"CAR1","previousOwner":"Brad","newOwner":"Dave"}') };
+            const listener = consumer.listener;
+            listener(event, 12, 'tx12', 'VALID');
+            listener(event, 13, 'tx13', 'ENDORSEMENT_POLICY_FAILURE');
+            listener(Object.assign({ tx_id: 'tx14' }, event));
+            expect(received.map((event) => [event.txId, event.blockNumber])).to.deep.equal([['tx12', 12], ['tx14', undefined]]);
+        });
+    });
+});
@@ -6,54 +6,131 @@
 
 'use strict';
 const shim = require('fabric-shim');
-const util = require('util');
+const { iterators, richQuery, Router, Logger, MigrationRegistry, errors } = require('chaincode-common');
+const { NotFoundError, AlreadyExistsError, PermissionDeniedError } = errors;
+
+const logger = new Logger({ name: 'fabcar' });
+
+// Cars are stored with a schemaVersion and read through the registry, which upgrades
+// older cars to the current shape (see MigrationRegistry in chaincode-common). Version 1
+// is the shape cars had before they were versioned; add the upgrade from the previous
+// version whenever the version is bumped.
+const migrations = new MigrationRegistry({
+  car: {
+    version: 1,
+    upgrades: {
+      0: (car) => car
+    }
+  }
+});
+
+// the car fields queryCars can filter on
+const CAR_FILTER_FIELDS = ['make', 'model', 'color', 'owner'];
+
+// The functions clients can invoke, with their arguments; the router checks and
+// converts the arguments before the function is called
+const CAR_NUMBER = { name: 'carNumber', type: 'string', minLength: 1 };
+const router = new Router({
+  queryCar: {
+    description: 'Read a car',
+    readOnly: true,
+    args: [CAR_NUMBER]
+  },
+  initLedger: {
+    description: 'Create the sample cars'
+  },
+  createCar: {
+    description: 'Create a car',
+    args: [CAR_NUMBER].concat(CAR_FILTER_FIELDS.map((field) => ({ name: field, type: 'string' })))
+  },
+  queryAllCars: {
+    description: 'Read the cars CAR0 to CAR999',
+    readOnly: true
+  },
+  queryCars: {
+    description: 'Read one page of the cars matching a filter on ' + CAR_FILTER_FIELDS.join(', '),
+    readOnly: true,
+    args: [
+      {
+        name: 'filter',
+        type: 'object',
+        properties: CAR_FILTER_FIELDS.reduce((properties, field) => Object.assign(properties, { [field]: { type: 'string' } }), {}),
+        additionalProperties: false,
+        optional: true,
+        default: {}
+      },
+      { name: 'pageSize', type: 'integer', minimum: 1 },
+      { name: 'bookmark', type: 'string', optional: true, default: '' }
+    ]
+  },
+  changeCarOwner: {
+    description: 'Set a new owner on a car',
+    args: [CAR_NUMBER, { name: 'newOwner', type: 'string' }]
+  },
+  migrate: {
+    description: 'Upgrade the cars stored in an older schema version, one batch of keys at a time, restricted to admins',
+    args: [
+      { name: 'fromKey', type: 'string', optional: true, default: '' },
+      { name: 'pageSize', type: 'integer', minimum: 1, maximum: MigrationRegistry.MAX_PAGE_SIZE, optional: true, default: MigrationRegistry.DEFAULT_PAGE_SIZE }
+    ]
+  },
+  getMigrationProgress: {
+    description: 'Read the progress of the current or last migration',
+    readOnly: true
+  }
+});
 
 let Chaincode = class {
 
   // The Init method is called when the Smart Contract 'fabcar' is instantiated by the blockchain network
   // Best practice is to have any Ledger initialization in separate function -- see initLedger()
+  // The optional argument, {level, redact} as JSON, configures the logger (see Logger in chaincode-common)
+  // On upgrade, Init also runs the first batch of migrate
   async Init(stub) {
-    console.info('=========== Instantiated fabcar chaincode ===========');
+    let log = logger.forStub(stub);
+    let ret = stub.getFunctionAndParameters();
+    try {
+      if (ret.params[0]) {
+        await logger.configure(stub, ret.params[0]);
+      }
+      let progress = await migrations.migrate(stub, '', MigrationRegistry.DEFAULT_PAGE_SIZE);
+      log.info('Migrated cars', { progress: progress });
+    } catch (err) {
+      log.error('Init failed', { error: err });
+      return shim.error(errors.toMessage(err));
+    }
+    log.info('Instantiated fabcar chaincode');
     return shim.success();
   }
 
   // The Invoke method is called as a result of an application request to run the Smart Contract
   // 'fabcar'. The calling application program has also specified the particular smart contract
-  // function to be called, with arguments
+  // function to be called, with arguments. Errors are returned as {code, message, details}
+  // JSON, see errors in chaincode-common
   async Invoke(stub) {
-    let ret = stub.getFunctionAndParameters();
-    console.info(ret);
-
-    let method = this[ret.fcn];
-    if (!method) {
-      console.error('no function of name:' + ret.fcn + ' found');
-      throw new Error('Received unknown function ' + ret.fcn + ' invocation');
-    }
+    let log = logger.forStub(stub);
     try {
-      let payload = await method(stub, ret.params);
+      await logger.loadConfig(stub);
+      log.debug('Invoke');
+      let payload = await router.invoke(stub, this);
       return shim.success(payload);
     } catch (err) {
-      console.log(err);
-      return shim.error(err);
+      log.error('Transaction failed', { error: err });
+      return shim.error(errors.toMessage(err));
     }
   }
 
   async queryCar(stub, args) {
-    if (args.length != 1) {
-      throw new Error('Incorrect number of arguments. Expecting CarNumber ex: CAR01');
-    }
     let carNumber = args[0];
 
     let carAsBytes = await stub.getState(carNumber); //get the car from chaincode state
     if (!carAsBytes || carAsBytes.toString().length <= 0) {
-      throw new Error(carNumber + ' does not exist: ');
+      throw new NotFoundError(carNumber + ' does not exist', { key: carNumber });
     }
-    console.log(carAsBytes.toString());
-    return carAsBytes;
+    return Buffer.from(JSON.stringify(migrations.parse(carAsBytes)));
   }
 
   async initLedger(stub, args) {
-    console.info('============= START : Initialize Ledger ===========');
     let cars = [];
     cars.push({
       make: 'Toyota',
@@ -118,20 +195,21 @@ let Chaincode = class {
 
     for (let i = 0; i < cars.length; i++) {
       cars[i].docType = 'car';
+      cars[i].schemaVersion = migrations.currentVersion('car');
       await stub.putState('CAR' + i, Buffer.from(JSON.stringify(cars[i])));
-      console.info('Added <--> ', cars[i]);
     }
-    console.info('============= END : Initialize Ledger ===========');
+    logger.forStub(stub).info('Initialized the ledger', { cars: cars.length });
   }
 
   async createCar(stub, args) {
-    console.info('============= START : Create Car ===========');
-    if (args.length != 5) {
-      throw new Error('Incorrect number of arguments. Expecting 5');
+    let existing = await stub.getState(args[0]);
+    if (existing && existing.toString().length > 0) {
+      throw new AlreadyExistsError(args[0] + ' already exists', { key: args[0] });
     }
 
     var car = {
       docType: 'car',
+      schemaVersion: migrations.currentVersion('car'),
       make: args[1],
       model: args[2],
       color: args[3],
@@ -139,7 +217,7 @@ let Chaincode = class {
     };
 
     await stub.putState(args[0], Buffer.from(JSON.stringify(car)));
-    console.info('============= END : Create Car ===========');
+    logger.forStub(stub).info('Created car', { carNumber: args[0], car: car });
   }
 
   async queryAllCars(stub, args) {
@@ -149,45 +227,69 @@ let Chaincode = class {
 
     let iterator = await stub.getStateByRange(startKey, endKey);
 
-    let allResults = [];
-    while (true) {
-      let res = await iterator.next();
-
-      if (res.value && res.value.value.toString()) {
-        let jsonRes = {};
-        console.log(res.value.value.toString('utf8'));
-
-        jsonRes.Key = res.value.key;
-        try {
-          jsonRes.Record = JSON.parse(res.value.value.toString('utf8'));
-        } catch (err) {
-          console.log(err);
-          jsonRes.Record = res.value.value.toString('utf8');
-        }
-        allResults.push(jsonRes);
-      }
-      if (res.done) {
-        console.log('end of data');
-        await iterator.close();
-        console.info(allResults);
-        return Buffer.from(JSON.stringify(allResults));
+    let allResults = await iterators.collect(iterator, { project: migrations.keyRecord });
+    return Buffer.from(JSON.stringify(allResults));
+  }
+
+  // queryCars returns one page of the cars matching a filter, wherever they are stored.
+  // The CouchDB indexes in META-INF/statedb/couchdb/indexes, copies of the ones of the
+  // contract version in ../javascript, cover the empty filter and filters on owner,
+  // make (and model), model and color; on LevelDB the filter is evaluated by the chaincode.
+  // peer chaincode query -C myc1 -n fabcar -c '{"Args":["queryCars","{\"owner\":\"Brad\"}","10",""]}'
+  async queryCars(stub, args) {
+    let selector = Object.assign({ docType: 'car' }, args[0]);
+    let pageSize = args[1];
+    let bookmark = args[2];
+
+    let { iterator, metadata } = await richQuery.getQueryResultWithPagination(stub, JSON.stringify({ selector: selector }), pageSize, bookmark);
+    let results = await iterators.collect(iterator, { project: migrations.keyRecord });
+
+    // use RecordsCount and Bookmark to keep consistency with the marbles samples
+    return Buffer.from(JSON.stringify({
+      Results: results,
+      ResponseMetadata: {
+        RecordsCount: metadata.fetched_records_count,
+        Bookmark: metadata.bookmark
       }
-    }
+    }));
   }
 
   async changeCarOwner(stub, args) {
-    console.info('============= START : changeCarOwner ===========');
-    if (args.length != 2) {
-      throw new Error('Incorrect number of arguments. Expecting 2');
-    }
-
     let carAsBytes = await stub.getState(args[0]);
-    let car = JSON.parse(carAsBytes);
+    if (!carAsBytes || carAsBytes.toString().length <= 0) {
+      throw new NotFoundError(args[0] + ' does not exist', { key: args[0] });
+    }
+    let car = migrations.parse(carAsBytes);
+    let previousOwner = car.owner;
     car.owner = args[1];
 
     await stub.putState(args[0], Buffer.from(JSON.stringify(car)));
-    console.info('============= END : changeCarOwner ===========');
+    logger.forStub(stub).info('Changed car owner', { carNumber: args[0], previousOwner: previousOwner, newOwner: args[1] });
+  }
+
+  // migrate upgrades the cars stored in an older schema version, pageSize keys at a time
+  // from fromKey, or from where the previous call stopped when fromKey is empty. Call it
+  // until done is true. Only identities with the fabcar.role=admin attribute can migrate.
+  // peer chaincode invoke -C myc1 -n fabcar -c '{"Args":["migrate","","100"]}'
+  async migrate(stub, args) {
+    let cid = new shim.ClientIdentity(stub);
+    if (!cid.assertAttributeValue('fabcar.role', 'admin')) {
+      throw new PermissionDeniedError('Access denied: migrate is restricted to admins', { function: 'migrate' });
+    }
+    let progress = await migrations.migrate(stub, args[0], args[1]);
+    logger.forStub(stub).info('Migrated cars', { progress: progress });
+    return Buffer.from(JSON.stringify(progress));
+  }
+
+  // getMigrationProgress returns the progress of the current or last migration, null if none ran
+  async getMigrationProgress(stub, args) {
+    return Buffer.from(JSON.stringify(await migrations.getProgress(stub)));
   }
 };
 
-shim.start(new Chaincode());
+module.exports = Chaincode;
+
+// only connect to the peer when run as the chaincode process, so tests can require this module
+if (require.main === module) {
+  shim.start(new Chaincode());
+}
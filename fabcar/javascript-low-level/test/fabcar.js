@@ -0,0 +1,117 @@
+/*
+# Copyright IBM Corp. All Rights Reserved.
+#
+# SPDX-License-Identifier: Apache-2.0
+*/
+
+'use strict';
+
+// the transactions that fail on purpose would fill the output with error lines
+process.env.CHAINCODE_LOG_LEVEL = 'off';
+
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const { ChaincodeMockStub, mockIdentity } = require('chaincode-common');
+
+const Chaincode = require('../fabcar.js');
+
+const user = mockIdentity('Org1MSP', 'user');
+const admin = mockIdentity('Org1MSP', 'admin', { 'fabcar.role': 'admin' });
+
+describe('fabcar chaincode', () => {
+
+  let stub;
+  let txCount;
+
+  function invoke(args, identity) {
+    txCount++;
+    return stub.mockInvoke('tx' + txCount, args, identity || user);
+  }
+
+  async function payloadOf(promise) {
+    let response = await promise;
+    expect(response.status, response.message).to.equal(200);
+    return response.payload.length > 0 ? JSON.parse(response.payload.toString()) : undefined;
+  }
+
+  async function errorOf(promise) {
+    let response = await promise;
+    expect(response.status).to.equal(500);
+    return JSON.parse(response.message);
+  }
+
+  beforeEach(async () => {
+    stub = new ChaincodeMockStub('fabcar', new Chaincode());
+    txCount = 0;
+    let response = await stub.mockInit('tx0', ['init'], user);
+    expect(response.status, response.message).to.equal(200);
+    await payloadOf(invoke(['initLedger']));
+  });
+
+  it('creates the sample cars', async () => {
+    let cars = await payloadOf(invoke(['queryAllCars']));
+    expect(cars).to.have.lengthOf(10);
+    expect(cars[0]).to.deep.equal({
+      Key: 'CAR0',
+      Record: { make: 'Toyota', model: 'Prius', color: 'blue', owner: 'Tomoko', docType: 'car', schemaVersion: 1 }
+    });
+  });
+
+  it('reads a car', async () => {
+    expect((await payloadOf(invoke(['queryCar', 'CAR1']))).owner).to.equal('Brad');
+    expect((await errorOf(invoke(['queryCar', 'CAR99']))).code).to.equal('NOT_FOUND');
+  });
+
+  it('creates a car and changes its owner', async () => {
+    await payloadOf(invoke(['createCar', 'CAR10', 'Honda', 'Accord', 'black', 'Tom']));
+    await payloadOf(invoke(['changeCarOwner', 'CAR10', 'Dave']));
+    expect(await payloadOf(invoke(['queryCar', 'CAR10']))).to.deep.equal({
+      docType: 'car', schemaVersion: 1, make: 'Honda', model: 'Accord', color: 'black', owner: 'Dave'
+    });
+  });
+
+  it('does not create a car twice or change the owner of a missing car', async () => {
+    let error = await errorOf(invoke(['createCar', 'CAR0', 'Honda', 'Accord', 'black', 'Tom']));
+    expect([error.code, error.message]).to.deep.equal(['ALREADY_EXISTS', 'CAR0 already exists']);
+    error = await errorOf(invoke(['changeCarOwner', 'CAR99', 'Dave']));
+    expect([error.code, error.message]).to.deep.equal(['NOT_FOUND', 'CAR99 does not exist']);
+    expect(stub.state.has('CAR99')).to.equal(false);
+    expect((await payloadOf(invoke(['queryCar', 'CAR0']))).owner).to.equal('Tomoko');
+  });
+
+  it('rejects arguments that do not match their declaration', async () => {
+    expect((await errorOf(invoke(['createCar', 'CAR10', 'Honda']))).code).to.equal('INVALID_ARGUMENT');
+    expect((await errorOf(invoke(['queryCars', '{"year":"2019"}', '10']))).code).to.equal('INVALID_ARGUMENT');
+  });
+
+  it('pages the cars matching a filter', async () => {
+    await payloadOf(invoke(['createCar', 'CAR10', 'Toyota', 'Corolla', 'red', 'Tom']));
+    let page = await payloadOf(invoke(['queryCars', '{"make":"Toyota"}', '1', '']));
+    expect(page.Results.map((car) => car.Key)).to.deep.equal(['CAR0']);
+    expect(page.ResponseMetadata.RecordsCount).to.equal(1);
+    page = await payloadOf(invoke(['queryCars', '{"make":"Toyota"}', '1', page.ResponseMetadata.Bookmark]));
+    expect(page.Results.map((car) => car.Key)).to.deep.equal(['CAR10']);
+  });
+
+  it('ships copies of the CouchDB indexes of the contract version', () => {
+    let indexDir = (dir) => path.join(__dirname, '..', '..', dir, 'META-INF', 'statedb', 'couchdb', 'indexes');
+    let indexes = (dir) => fs.readdirSync(indexDir(dir)).map((file) => [file, fs.readFileSync(path.join(indexDir(dir), file), 'utf8')]);
+    expect(indexes('javascript-low-level')).to.deep.equal(indexes('javascript'));
+    // a symbolic link would point outside the chaincode directory the peer packages
+    for (let [file] of indexes('javascript-low-level')) {
+      expect(fs.lstatSync(path.join(indexDir('javascript-low-level'), file)).isFile(), file).to.equal(true);
+    }
+  });
+
+  it('upgrades cars stored before schema versions, for admins only', async () => {
+    stub.state.set('CAR20', Buffer.from(JSON.stringify({ docType: 'car', make: 'Ford', model: 'T', color: 'black', owner: 'Henry' })));
+    expect((await payloadOf(invoke(['queryCar', 'CAR20']))).schemaVersion).to.equal(1);
+    expect((await errorOf(invoke(['migrate']))).code).to.equal('PERMISSION_DENIED');
+
+    let progress = await payloadOf(invoke(['migrate', '', '100'], admin));
+    expect([progress.done, progress.migrated]).to.deep.equal([true, 1]);
+    expect(JSON.parse(stub.state.get('CAR20').toString()).schemaVersion).to.equal(1);
+    expect((await payloadOf(invoke(['getMigrationProgress']))).updatedBy).to.equal(progress.updatedBy);
+  });
+});
@@ -5,6 +5,8 @@
 'use strict';
 
 const FabCar = require('./lib/fabcar');
+const events = require('./lib/events');
 
 module.exports.FabCar = FabCar;
+module.exports.events = events;
 module.exports.contracts = [ FabCar ];
@@ -0,0 +1,76 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+// Chaincode events emitted by the FabCar contract. Each payload is a JSON object
+// carrying a version, so that consumers can tell which fields to expect; a new
+// version is only introduced when fields are removed or change meaning.
+//
+// CarCreated, version 1:
+//   { "version": 1, "timestamp": "<ISO 8601>", "cars": [ { "carNumber", "make", "model", "color", "owner" } ] }
+//   Emitted by createCar (one car) and initLedger (the cars it creates, when there are any).
+//
+// CarOwnerChanged, version 1:
+//   { "version": 1, "timestamp": "<ISO 8601>", "carNumber", "previousOwner", "newOwner" }
+//   Emitted by changeCarOwner.
+
+const CAR_CREATED = 'CarCreated';
+const CAR_OWNER_CHANGED = 'CarOwnerChanged';
+
+// the payload versions this module can produce and decode, per event name
+const VERSIONS = {
+    [CAR_CREATED]: [1],
+    [CAR_OWNER_CHANGED]: [1],
+};
+const EVENT_NAMES = Object.keys(VERSIONS);
+
+/**
+ * Builds the payload of an event at its current version.
+ *
+ * @param {string} name Event name
+ * @param {Object} body Event fields, without the version
+ * @returns {Buffer} payload to pass to stub.setEvent()
+ */
+function encodeEvent(name, body) {
+    const versions = VERSIONS[name];
+    if (!versions) {
+        throw new Error(`Unknown event ${name}`);
+    }
+    return Buffer.from(JSON.stringify(Object.assign({ version: versions[versions.length - 1] }, body)));
+}
+
+/**
+ * Decodes a chaincode event as delivered to a client, e.g. by fabric-client's
+ * ChannelEventHub.registerChaincodeEvent() or fabric-network's contract listeners.
+ *
+ * @param {{event_name: string, payload: Buffer|string, tx_id: string}} event Chaincode event
+ * @param {number} [blockNumber] Number of the block the transaction was committed in
+ * @returns {Object} the payload fields, plus name, txId and blockNumber
+ */
+function decodeEvent(event, blockNumber) {
+    const name = event.event_name;
+    const versions = VERSIONS[name];
+    if (!versions) {
+        throw new Error(`Unknown event ${name}`);
+    }
+    let payload;
+    try {
+        payload = JSON.parse(event.payload.toString('utf8'));
+    } catch (err) {
+        throw new Error(`Payload of event ${name} in transaction ${event.tx_id} is not valid JSON: ${err.message}`);
+    }
+    if (!payload || typeof payload !== 'object' || !versions.includes(payload.version)) {
+        throw new Error(`Unsupported version ${payload && payload.version} of event ${name} in transaction ${event.tx_id}`);
+    }
+    return Object.assign({ name, txId: event.tx_id, blockNumber }, payload);
+}
+
+module.exports = {
+    CAR_CREATED,
+    CAR_OWNER_CHANGED,
+    EVENT_NAMES,
+    encodeEvent,
+    decodeEvent,
+};
@@ -5,11 +5,73 @@
 'use strict';
 
 const { Contract } = require('fabric-contract-api');
+const { errors, iterators, jsonSchema, Logger, MigrationRegistry, richQuery, timestamps } = require('chaincode-common');
+const { AlreadyExistsError, InvalidArgumentError, NotFoundError, PermissionDeniedError } = errors;
+
+// The log level of a contract is set with the CHAINCODE_LOG_LEVEL environment variable
+const logger = new Logger({ name: 'fabcar' });
+
+// Cars are stored with a schemaVersion and read through the registry, which upgrades
+// older cars to the current shape (see MigrationRegistry in chaincode-common). Version 1
+// is the shape cars had before they were versioned. When a field is added, bump the
+// version, add the upgrade from the previous one and add the field to the Car schema.
+const migrations = new MigrationRegistry({
+    car: {
+        version: 1,
+        upgrades: {
+            0: (car) => car,
+        },
+    },
+});
+
+// The transaction signatures and the Car schema are declared in
+// contract-metadata/metadata.json. The contract runtime validates arguments
+// against it and serves it through org.hyperledger.fabric:GetMetadata; the same
+// schemas are checked here so the rules also hold when a transaction function is
+// called directly.
+const metadata = require('../contract-metadata/metadata.json');
+const { CAR_CREATED, CAR_OWNER_CHANGED, encodeEvent } = require('./events');
+
+function checkParameters(transactionName, values) {
+    const transaction = metadata.contracts.FabCar.transactions.find((t) => t.name === transactionName);
+    transaction.parameters.forEach((parameter, i) => {
+        jsonSchema.assertValid(values[i], parameter.schema, metadata.components.schemas, parameter.name);
+    });
+}
+
+function getTxDateString(ctx) {
+    return new Date(timestamps.txTimestampMillis(ctx.stub)).toISOString();
+}
+
+// A transaction can emit a single event, so each transaction function sets at most one
+function setCarEvent(ctx, name, body) {
+    ctx.stub.setEvent(name, encodeEvent(name, Object.assign({ timestamp: getTxDateString(ctx) }, body)));
+}
+
+function carEventFields(carNumber, car) {
+    return { carNumber, make: car.make, model: car.model, color: car.color, owner: car.owner };
+}
+
+// Turns the filter argument of queryCars into a selector on the car's fields
+function parseCarFilter(filter) {
+    if (!filter) {
+        return {};
+    }
+    let selector;
+    try {
+        selector = JSON.parse(filter);
+    } catch (err) {
+        throw new InvalidArgumentError(`filter is not valid JSON: ${err.message}`);
+    }
+    jsonSchema.assertValid(selector, { $ref: '#/components/schemas/CarFilter' }, metadata.components.schemas, 'filter');
+    return selector;
+}
 
 class FabCar extends Contract {
 
+    // Creates the sample cars CAR0 to CAR9, leaving alone those that already exist,
+    // so that running it again does not undo changes made since
     async initLedger(ctx) {
-        console.info('============= START : Initialize Ledger ===========');
         const cars = [
             {
                 color: 'blue',
@@ -73,25 +135,40 @@ class FabCar extends Contract {
             },
         ];
 
+        const created = [];
         for (let i = 0; i < cars.length; i++) {
+            const carNumber = 'CAR' + i;
+            const existing = await ctx.stub.getState(carNumber);
+            if (existing && existing.length > 0) {
+                continue;
+            }
             cars[i].docType = 'car';
-            await ctx.stub.putState('CAR' + i, Buffer.from(JSON.stringify(cars[i])));
-            console.info('Added <--> ', cars[i]);
+            cars[i].schemaVersion = migrations.currentVersion('car');
+            await ctx.stub.putState(carNumber, Buffer.from(JSON.stringify(cars[i])));
+            created.push(carEventFields(carNumber, cars[i]));
         }
-        console.info('============= END : Initialize Ledger ===========');
+        if (created.length > 0) {
+            setCarEvent(ctx, CAR_CREATED, { cars: created });
+        }
+        logger.forStub(ctx.stub).info('Initialized the ledger', { cars: created.length, skipped: cars.length - created.length });
     }
 
     async queryCar(ctx, carNumber) {
+        checkParameters('queryCar', [carNumber]);
         const carAsBytes = await ctx.stub.getState(carNumber); // get the car from chaincode state
         if (!carAsBytes || carAsBytes.length === 0) {
-            throw new Error(`${carNumber} does not exist`);
+            throw new NotFoundError(`${carNumber} does not exist`, { key: carNumber });
         }
-        console.log(carAsBytes.toString());
-        return carAsBytes.toString();
+        return JSON.stringify(migrations.parse(carAsBytes));
     }
 
     async createCar(ctx, carNumber, make, model, color, owner) {
-        console.info('============= START : Create Car ===========');
+        checkParameters('createCar', [carNumber, make, model, color, owner]);
+
+        const existing = await ctx.stub.getState(carNumber);
+        if (existing && existing.length > 0) {
+            throw new AlreadyExistsError(`${carNumber} already exists`, { key: carNumber });
+        }
 
         const car = {
             color,
@@ -99,10 +176,13 @@ class FabCar extends Contract {
             make,
             model,
             owner,
+            schemaVersion: migrations.currentVersion('car'),
         };
+        jsonSchema.assertValid(car, { $ref: '#/components/schemas/Car' }, metadata.components.schemas, 'car');
 
         await ctx.stub.putState(carNumber, Buffer.from(JSON.stringify(car)));
-        console.info('============= END : Create Car ===========');
+        setCarEvent(ctx, CAR_CREATED, { cars: [carEventFields(carNumber, car)] });
+        logger.forStub(ctx.stub).info('Created car', { carNumber, car });
     }
 
     async queryAllCars(ctx) {
@@ -111,44 +191,65 @@ class FabCar extends Contract {
 
         const iterator = await ctx.stub.getStateByRange(startKey, endKey);
 
-        const allResults = [];
-        while (true) {
-            const res = await iterator.next();
-
-            if (res.value && res.value.value.toString()) {
-                console.log(res.value.value.toString('utf8'));
-
-                const Key = res.value.key;
-                let Record;
-                try {
-                    Record = JSON.parse(res.value.value.toString('utf8'));
-                } catch (err) {
-                    console.log(err);
-                    Record = res.value.value.toString('utf8');
-                }
-                allResults.push({ Key, Record });
-            }
-            if (res.done) {
-                console.log('end of data');
-                await iterator.close();
-                console.info(allResults);
-                return JSON.stringify(allResults);
-            }
-        }
+        const allResults = await iterators.collect(iterator, { project: migrations.keyRecord });
+        return JSON.stringify(allResults);
+    }
+
+    // Returns one page of the cars matching the filter, wherever they are stored.
+    // The CouchDB indexes in META-INF/statedb/couchdb/indexes cover the empty
+    // filter and filters on owner, make (and model), model and color; on LevelDB
+    // the filter is evaluated by the chaincode. Pass the returned bookmark back
+    // to read the next page.
+    async queryCars(ctx, filter, pageSize, bookmark) {
+        checkParameters('queryCars', [filter, pageSize, bookmark]);
+        const selector = Object.assign({ docType: 'car' }, parseCarFilter(filter));
+
+        const { iterator, metadata: page } = await richQuery.getQueryResultWithPagination(ctx.stub, JSON.stringify({ selector }), pageSize, bookmark);
+        const results = await iterators.collect(iterator, { project: migrations.keyRecord });
+
+        // use RecordsCount and Bookmark to keep consistency with the marbles samples
+        return JSON.stringify({
+            Results: results,
+            ResponseMetadata: {
+                RecordsCount: page.fetched_records_count,
+                Bookmark: page.bookmark,
+            },
+        });
     }
 
     async changeCarOwner(ctx, carNumber, newOwner) {
-        console.info('============= START : changeCarOwner ===========');
+        checkParameters('changeCarOwner', [carNumber, newOwner]);
 
         const carAsBytes = await ctx.stub.getState(carNumber); // get the car from chaincode state
         if (!carAsBytes || carAsBytes.length === 0) {
-            throw new Error(`${carNumber} does not exist`);
+            throw new NotFoundError(`${carNumber} does not exist`, { key: carNumber });
         }
-        const car = JSON.parse(carAsBytes.toString());
+        const car = migrations.parse(carAsBytes);
+        const previousOwner = car.owner;
         car.owner = newOwner;
 
         await ctx.stub.putState(carNumber, Buffer.from(JSON.stringify(car)));
-        console.info('============= END : changeCarOwner ===========');
+        setCarEvent(ctx, CAR_OWNER_CHANGED, { carNumber, previousOwner, newOwner });
+        logger.forStub(ctx.stub).info('Changed car owner', { carNumber, previousOwner, newOwner });
+    }
+
+    // Upgrades the cars stored in an older schema version, pageSize keys at a time from
+    // fromKey, or from where the previous call stopped when fromKey is empty. Call it until
+    // done is true; it can also be the function called by the chaincode upgrade. Only
+    // identities with the fabcar.role=admin attribute can migrate.
+    async migrate(ctx, fromKey, pageSize) {
+        checkParameters('migrate', [fromKey, pageSize]);
+        if (!ctx.clientIdentity.assertAttributeValue('fabcar.role', 'admin')) {
+            throw new PermissionDeniedError('Access denied: migrate is restricted to admins', { function: 'migrate' });
+        }
+        const progress = await migrations.migrate(ctx.stub, fromKey, pageSize);
+        logger.forStub(ctx.stub).info('Migrated cars', { progress });
+        return JSON.stringify(progress);
+    }
+
+    // Returns the progress of the current or last migration, null if none ran
+    async getMigrationProgress(ctx) {
+        return JSON.stringify(await migrations.getProgress(ctx.stub));
     }
 
 }
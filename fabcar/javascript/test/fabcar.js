@@ -0,0 +1,224 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+// the transactions that fail on purpose would fill the output with error lines
+process.env.CHAINCODE_LOG_LEVEL = 'off';
+process.env.CORE_CHAINCODE_LOGGING_LEVEL = 'CRITICAL';
+
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const { JSONSerializer } = require('fabric-contract-api');
+// the chaincode that fabric-chaincode-node start builds from the contracts of index.js
+const ChaincodeFromContract = require('fabric-shim/lib/contract-spi/chaincodefromcontract');
+const { ChaincodeMockStub, mockIdentity, errors } = require('chaincode-common');
+
+const { contracts, events } = require('..');
+const metadata = require('../contract-metadata/metadata.json');
+
+const user = mockIdentity('Org1MSP', 'user');
+const admin = mockIdentity('Org1MSP', 'admin', { 'fabcar.role': 'admin' });
+
+describe('FabCar', () => {
+
+    let stub;
+    let txCount;
+
+    // runs a transaction, timestamped at the given ISO 8601 date or now
+    function invoke(args, identity, timestamp) {
+        txCount++;
+        return stub.mockInvoke('tx' + txCount, args, Object.assign({ timestamp }, identity || user));
+    }
+
+    async function payloadOf(promise) {
+        const response = await promise;
+        expect(response.status, String(response.message)).to.equal(200);
+        return response.payload.length > 0 ? JSON.parse(response.payload.toString()) : undefined;
+    }
+
+    // the contract runtime sends the peer the error's toString(), which is the JSON of a ChaincodeError
+    async function errorOf(promise) {
+        const response = await promise;
+        expect(response.status).to.equal(500);
+        return errors.decodeError(String(response.message));
+    }
+
+    beforeEach(async () => {
+        const serializers = { transaction: 'jsonSerializer', serializers: { jsonSerializer: JSONSerializer } };
+        const chaincode = new ChaincodeFromContract(contracts.slice(), serializers, JSON.parse(JSON.stringify(metadata)), 'fabcar', '1.0.0');
+        stub = new ChaincodeMockStub('fabcar', chaincode);
+        txCount = 0;
+        await payloadOf(invoke(['initLedger'], user, '2019-06-01T10:00:00Z'));
+    });
+
+    describe('#initLedger', () => {
+
+        it('creates the sample cars', async () => {
+            const cars = await payloadOf(invoke(['queryAllCars']));
+            expect(cars.map((car) => car.Key)).to.deep.equal(['CAR0', 'CAR1', 'CAR2', 'CAR3', 'CAR4', 'CAR5', 'CAR6', 'CAR7', 'CAR8', 'CAR9']);
+            expect(cars[0].Record).to.deep.equal({ color: 'blue', docType: 'car', make: 'Toyota', model: 'Prius', owner: 'Tomoko', schemaVersion: 1 });
+        });
+
+        it('leaves existing cars alone and only announces the cars it creates', async () => {
+            await payloadOf(invoke(['changeCarOwner', 'CAR1', 'Dave']));
+            stub.state.delete('CAR2');
+            await payloadOf(invoke(['initLedger']));
+            await payloadOf(invoke(['initLedger']));
+
+            expect((await payloadOf(invoke(['queryCar', 'CAR1']))).owner).to.equal('Dave');
+            expect((await payloadOf(invoke(['queryCar', 'CAR2']))).owner).to.equal('Jin Soo');
+            const created = stub.events.map((event) => events.decodeEvent(event)).filter((event) => event.name === 'CarCreated');
+            expect(created.map((event) => event.cars.map((car) => car.carNumber))).to.deep.equal([
+                ['CAR0', 'CAR1', 'CAR2', 'CAR3', 'CAR4', 'CAR5', 'CAR6', 'CAR7', 'CAR8', 'CAR9'],
+                ['CAR2']
+            ]);
+        });
+    });
+
+    describe('#queryCar', () => {
+
+        it('reads a car', async () => {
+            expect((await payloadOf(invoke(['queryCar', 'CAR1']))).owner).to.equal('Brad');
+        });
+
+        it('reports a missing car', async () => {
+            const error = await errorOf(invoke(['queryCar', 'CAR99']));
+            expect([error.code, error.message]).to.deep.equal(['NOT_FOUND', 'CAR99 does not exist']);
+        });
+    });
+
+    describe('#createCar', () => {
+
+        it('creates a car', async () => {
+            await payloadOf(invoke(['createCar', 'CAR10', 'Honda', 'Accord', 'black', 'Tom']));
+            expect(await payloadOf(invoke(['queryCar', 'CAR10']))).to.deep.equal({
+                color: 'black', docType: 'car', make: 'Honda', model: 'Accord', owner: 'Tom', schemaVersion: 1
+            });
+        });
+
+        it('takes any non-empty key, so cars created by earlier versions stay reachable', async () => {
+            await payloadOf(invoke(['createCar', 'VIN-1HGCM82633A004352', 'Honda', 'Accord', 'black', 'Tom']));
+            expect((await payloadOf(invoke(['queryCar', 'VIN-1HGCM82633A004352']))).owner).to.equal('Tom');
+            // the contract runtime checks the metadata schema before the transaction runs
+            const error = await errorOf(invoke(['createCar', '', 'Honda', 'Accord', 'black', 'Tom']));
+            expect(error.message).to.match(/^Error: Unable to validate parameter/);
+        });
+
+        it('does not create a car twice', async () => {
+            expect((await errorOf(invoke(['createCar', 'CAR0', 'Honda', 'Accord', 'black', 'Tom']))).code).to.equal('ALREADY_EXISTS');
+        });
+
+        it('checks the arguments when called directly', async () => {
+            const contract = new contracts[0]();
+            let error;
+            try {
+                await contract.createCar({ stub: null }, 'CAR10', 'Honda', 'Accord', 'black', '');
+            } catch (err) {
+                error = err;
+            }
+            expect(error.code).to.equal('INVALID_ARGUMENT');
+        });
+    });
+
+    describe('#changeCarOwner', () => {
+
+        it('sets a new owner on a car', async () => {
+            await payloadOf(invoke(['changeCarOwner', 'CAR1', 'Dave']));
+            expect((await payloadOf(invoke(['queryCar', 'CAR1']))).owner).to.equal('Dave');
+        });
+
+        it('reports a missing car', async () => {
+            expect((await errorOf(invoke(['changeCarOwner', 'CAR99', 'Dave']))).code).to.equal('NOT_FOUND');
+        });
+    });
+
+    describe('#queryCars', () => {
+
+        it('pages the cars matching a filter', async () => {
+            await payloadOf(invoke(['createCar', 'CAR10', 'Toyota', 'Corolla', 'red', 'Tom']));
+            let page = await payloadOf(invoke(['queryCars', '{"make":"Toyota"}', '1', '']));
+            expect(page.Results.map((car) => car.Key)).to.deep.equal(['CAR0']);
+            expect(page.ResponseMetadata.RecordsCount).to.equal(1);
+            page = await payloadOf(invoke(['queryCars', '{"make":"Toyota"}', '1', page.ResponseMetadata.Bookmark]));
+            expect(page.Results.map((car) => car.Key)).to.deep.equal(['CAR10']);
+        });
+
+        it('reads every car without a filter', async () => {
+            const page = await payloadOf(invoke(['queryCars', '', '20', '']));
+            expect(page.Results).to.have.lengthOf(10);
+        });
+
+        it('rejects a filter that is not JSON or not on the car fields', async () => {
+            let error = await errorOf(invoke(['queryCars', '{make', '10', '']));
+            expect(error.code).to.equal('INVALID_ARGUMENT');
+            expect(error.message).to.match(/^filter is not valid JSON/);
+            error = await errorOf(invoke(['queryCars', '{"year":"2019"}', '10', '']));
+            expect(error.code).to.equal('INVALID_ARGUMENT');
+        });
+
+        it('ships a CouchDB index for the empty filter and each filter field', () => {
+            const indexDir = path.join(__dirname, '..', 'META-INF', 'statedb', 'couchdb', 'indexes');
+            const indexed = fs.readdirSync(indexDir)
+                .map((file) => JSON.parse(fs.readFileSync(path.join(indexDir, file), 'utf8')).index.fields)
+                .filter((fields) => fields[0] === 'docType')
+                .map((fields) => fields.slice(0, 2).join(','));
+            const filterFields = Object.keys(metadata.components.schemas.CarFilter.properties);
+            expect(indexed).to.include.members(['docType'].concat(filterFields.map((field) => 'docType,' + field)));
+        });
+    });
+
+    describe('#migrate', () => {
+
+        it('upgrades cars stored before schema versions, for admins only', async () => {
+            stub.state.set('CAR20', Buffer.from(JSON.stringify({ docType: 'car', make: 'Ford', model: 'T', color: 'black', owner: 'Henry' })));
+            expect((await payloadOf(invoke(['queryCar', 'CAR20']))).schemaVersion).to.equal(1);
+            expect((await errorOf(invoke(['migrate', '', '100']))).code).to.equal('PERMISSION_DENIED');
+
+            const progress = await payloadOf(invoke(['migrate', '', '100'], admin));
+            expect([progress.done, progress.migrated]).to.deep.equal([true, 1]);
+            expect(JSON.parse(stub.state.get('CAR20').toString()).schemaVersion).to.equal(1);
+            expect((await payloadOf(invoke(['getMigrationProgress']))).updatedBy).to.equal(progress.updatedBy);
+        });
+    });
+
+    describe('events', () => {
+
+        // the stream of events committed by the mock stub, as a client would receive it
+        function committedEvents() {
+            return stub.events.map((event, blockNumber) => events.decodeEvent(event, blockNumber));
+        }
+
+        it('emits a versioned event for each change, in commit order', async () => {
+            await payloadOf(invoke(['createCar', 'CAR10', 'Honda', 'Accord', 'black', 'Tom'], user, '2019-06-01T11:00:00Z'));
+            await errorOf(invoke(['changeCarOwner', 'CAR99', 'Dave'], user, '2019-06-01T11:30:00Z'));
+            await payloadOf(invoke(['changeCarOwner', 'CAR10', 'Dave'], user, '2019-06-01T12:00:00Z'));
+            await payloadOf(invoke(['queryCar', 'CAR10']));
+
+            const stream = committedEvents();
+            expect(stream.map((event) => [event.name, event.txId, event.version, event.timestamp])).to.deep.equal([
+                ['CarCreated', 'tx1', 1, '2019-06-01T10:00:00.000Z'],
+                ['CarCreated', 'tx2', 1, '2019-06-01T11:00:00.000Z'],
+                ['CarOwnerChanged', 'tx4', 1, '2019-06-01T12:00:00.000Z']
+            ]);
+            expect(stream[0].cars).to.have.lengthOf(10);
+            expect(stream[1].cars).to.deep.equal([{ carNumber: 'CAR10', make: 'Honda', model: 'Accord', color: 'black', owner: 'Tom' }]);
+            expect(stream[2]).to.deep.include({ carNumber: 'CAR10', previousOwner: 'Tom', newOwner: 'Dave' });
+        });
+
+        it('only encodes the events it knows', () => {
+            expect(() => events.encodeEvent('CarScrapped', {})).to.throw('Unknown event CarScrapped');
+        });
+
+        it('rejects events it cannot decode', () => {
+            const decode = (name, payload) => () => events.decodeEvent({ event_name: name, payload: Buffer.from(payload), tx_id: 'tx1' });
+            expect(decode('CarScrapped', '{"version":1}')).to.throw('Unknown event CarScrapped');
+            expect(decode('CarCreated', '{"version":')).to.throw(/^Payload of event CarCreated in transaction tx1 is not valid JSON/);
+            expect(decode('CarCreated', 'null')).to.throw('Unsupported version null of event CarCreated in transaction tx1');
+            expect(decode('CarCreated', '"CAR1"')).to.throw('Unsupported version undefined of event CarCreated in transaction tx1');
+            expect(decode('CarCreated', '{"version":2}')).to.throw('Unsupported version 2 of event CarCreated in transaction tx1');
+        });
+    });
+});
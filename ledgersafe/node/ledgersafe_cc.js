@@ -6,218 +6,715 @@
 
 // ====CHAINCODE EXECUTION SAMPLES (CLI) ==================
 
-// ==== Invoke assets ====
-// peer chaincode invoke -C myc1 -n assets -c '{"Args":["initAsset","asset1","blue","35","tom"]}'
-// peer chaincode invoke -C myc1 -n assets -c '{"Args":["initAsset","asset2","red","50","tom"]}'
-// peer chaincode invoke -C myc1 -n assets -c '{"Args":["initAsset","asset3","blue","70","tom"]}'
-// peer chaincode invoke -C myc1 -n assets -c '{"Args":["transferAsset","asset2","jerry"]}'
-// peer chaincode invoke -C myc1 -n assets -c '{"Args":["transferAssetsBasedOnType","blue","jerry"]}'
-// peer chaincode invoke -C myc1 -n assets -c '{"Args":["delete","asset1"]}'
+// ==== Instantiate, naming the MSPs whose identities with the ledgersafe.role=admin attribute are admins ====
+// peer chaincode instantiate -C myc1 -n assets -l node -v 1.0 -c '{"Args":["init","Org1MSP"]}'
+// ==== or also setting the log level and the fields to redact from the logs ====
+// peer chaincode instantiate -C myc1 -n assets -l node -v 1.0 -c '{"Args":["init","Org1MSP","{\"level\":\"warn\",\"redact\":[\"owner\"]}"]}'
+
+// ==== Invoke assets (created for the submitting identity unless it is an admin; deleted
+// and revalued by the holder of the asset or an admin) ====
+// peer chaincode invoke -C myc1 -n assets -c '{"Args":["initAsset","asset1","blue","35","tom","Org1MSP"]}'
+// peer chaincode invoke -C myc1 -n assets -c '{"Args":["initAsset","asset2","red","50","tom","Org1MSP"]}'
+// peer chaincode invoke -C myc1 -n assets -c '{"Args":["initAsset","asset3","blue","70","tom","Org1MSP"]}'
+// peer chaincode invoke -C myc1 -n assets -c '{"Args":["delete","asset1","entered twice"]}'
+// peer chaincode invoke -C myc1 -n assets -c '{"Args":["updateAssetPrice","asset1","40","annual revaluation"]}'
+
+// ==== Custody handoff (submitted by the identity named in the comment) ====
+// tom:   peer chaincode invoke -C myc1 -n assets -c '{"Args":["offerTransfer","asset1","jerry","Org2MSP"]}'
+// tom:   peer chaincode invoke -C myc1 -n assets -c '{"Args":["cancelOffer","asset1"]}'
+// jerry: peer chaincode invoke -C myc1 -n assets -c '{"Args":["acceptTransfer","asset1"]}'
+// jerry: peer chaincode invoke -C myc1 -n assets -c '{"Args":["rejectTransfer","asset1"]}'
+
+// ==== Admins can set the owner of assets directly, bypassing the custody handoff ====
+// peer chaincode invoke -C myc1 -n assets -c '{"Args":["transferAsset","asset2","jerry","Org2MSP"]}'
+// peer chaincode invoke -C myc1 -n assets -c '{"Args":["transferAssetsBasedOnType","blue","jerry","Org2MSP"]}'
+
+// ==== Admins can restore a deleted asset, or purge it to free its name ====
+// peer chaincode invoke -C myc1 -n assets -c '{"Args":["restoreAsset","asset1"]}'
+// peer chaincode invoke -C myc1 -n assets -c '{"Args":["purge","asset1"]}'
+
+// ==== Admins can check the composite key indexes against the assets, and rebuild one ====
+// peer chaincode query -C myc1 -n assets -c '{"Args":["verifyIndexes"]}'
+// peer chaincode invoke -C myc1 -n assets -c '{"Args":["rebuildIndex","assetType~name"]}'
+
+// ==== After an upgrade, admins migrate the remaining assets in batches until done is true ====
+// peer chaincode invoke -C myc1 -n assets -c '{"Args":["migrate","","100"]}'
+// peer chaincode query -C myc1 -n assets -c '{"Args":["getMigrationProgress"]}'
 
 // ==== Query assets ====
+// peer chaincode query -C myc1 -n assets -c '{"Args":["listFunctions"]}'
 // peer chaincode query -C myc1 -n assets -c '{"Args":["readAsset","asset1"]}'
 // peer chaincode query -C myc1 -n assets -c '{"Args":["getAssetsByRange","asset1","asset3"]}'
 // peer chaincode query -C myc1 -n assets -c '{"Args":["getHistoryForAsset","asset1"]}'
+// peer chaincode query -C myc1 -n assets -c '{"Args":["readAssetAsOf","asset1","2019-06-01T12:00:00Z"]}'
+// peer chaincode query -C myc1 -n assets -c '{"Args":["diffAssetVersions","asset1","<txId>","<txId>"]}'
+// peer chaincode query -C myc1 -n assets -c '{"Args":["getPriceHistory","asset1"]}'
+// peer chaincode query -C myc1 -n assets -c '{"Args":["getValuationByType","blue"]}'
 // peer chaincode query -C myc1 -n assets -c '{"Args":["getAssetsByRangeWithPagination","asset1","asset3","3",""]}'
 
-// Rich Query (Only supported if CouchDB is used as state database):
-// peer chaincode query -C myc1 -n assets -c '{"Args":["queryAssetsByOwner","tom"]}'
-// peer chaincode query -C myc1 -n assets -c '{"Args":["queryAssets","{\"selector\":{\"owner\":\"tom\"}}"]}'
+// Rich Query (evaluated by the chaincode itself when LevelDB is used as state database):
+// peer chaincode query -C myc1 -n assets -c '{"Args":["queryAssetsByOwner","tom","Org1MSP"]}'
+// peer chaincode query -C myc1 -n assets -c '{"Args":["searchAssets","{\"filter\":{\"owner\":\"tom\",\"price\":{\"$gte\":40}},\"pageSize\":10}"]}'
 
-// Rich Query with Pagination (Only supported if CouchDB is used as state database):
+// Raw rich queries, restricted to admins (evaluated by the chaincode itself when LevelDB is used as state database):
+// peer chaincode query -C myc1 -n assets -c '{"Args":["queryAssets","{\"selector\":{\"owner\":\"tom\"}}"]}'
 // peer chaincode query -C myc1 -n assets -c '{"Args":["queryAssetsWithPagination","{\"selector\":{\"owner\":\"tom\"}}","3",""]}'
 
 'use strict';
 const shim = require('fabric-shim');
 const util = require('util');
+const { iterators, richQuery, QueryBuilder, Router, Logger, MigrationRegistry, tombstones, IndexManager, history, timestamps, errors } = require('chaincode-common');
+const { NotFoundError, AlreadyExistsError, InvalidArgumentError, PermissionDeniedError, ConflictError } = errors;
+
+// asset prices are kept out of the logs
+const logger = new Logger({ name: 'ledgersafe', redact: ['price', 'previousPrice'] });
+
+// Assets are stored with a schemaVersion and read through the registry, which upgrades
+// older assets to the current shape (see MigrationRegistry in chaincode-common).
+// Version 1 is the shape assets had before they were versioned. When a field is added,
+// bump the version and add the upgrade from the previous one; upgrades must not change
+// the assetType or name, which the assetType~name index is built from.
+const migrations = new MigrationRegistry({
+  asset: {
+    version: 1,
+    upgrades: {
+      0: (asset) => asset
+    }
+  }
+});
+
+// Assets are written and deleted through the index manager, which keeps the entries of
+// these composite key indexes in step (see IndexManager in chaincode-common). Ledgers
+// written before delete removed the right entry can be repaired with rebuildIndex.
+const indexes = new IndexManager({
+  asset: [
+    { name: 'assetType~name', fields: ['assetType', 'name'] }
+  ]
+});
+
+const PENDING_TRANSFER_INDEX = 'transfer~asset';
+const OFFERED = 'OFFERED';
+
+// ===============================================================================
+// Custody helpers. These live outside the Chaincode class so that Invoke cannot
+// dispatch to them.
+// ===============================================================================
+
+// A holder is an enrollment ID (the common name of a certificate), lowercased, within
+// an MSP: an asset records them as owner and ownerMSP, a transfer record as {name, mspId}.
+// Names are only unique within an MSP, so holders match when both are the same. Assets
+// created before their owner's MSP was recorded have no ownerMSP; they match no holder
+// until an admin transfers them.
+
+// The submitting identity as a holder, plus its full ID.
+function getCallerHolder(stub) {
+  let cid = new shim.ClientIdentity(stub);
+  // getID() is 'x509::<subject DN>::<issuer DN>'
+  let subject = cid.getID().split('::')[1] || '';
+  let match = /(?:^|[/,+])CN=([^/,+]+)/.exec(subject);
+  if (!match) {
+    throw new PermissionDeniedError('Unable to determine the enrollment ID of the submitting identity');
+  }
+  return {
+    name: match[1].toLowerCase(),
+    mspId: cid.getMSPID(),
+    id: cid.getID()
+  };
+}
+
+function getAssetHolder(asset) {
+  return { name: asset.owner, mspId: asset.ownerMSP };
+}
+
+function isSameHolder(a, b) {
+  return a.mspId !== undefined && a.mspId === b.mspId && a.name === b.name;
+}
+
+function describeHolder(holder) {
+  return util.format('%s of %s', holder.name, holder.mspId || 'an unrecorded MSP');
+}
+
+// ===============================================================================
+// Query helpers. searchAssets accepts structured queries on the fields below only, and
+// every query has to filter on the owner, which META-INF/statedb/couchdb/indexes/indexOwner.json
+// covers. Raw Mango queries can read every docType without an index, so queryAssets and
+// queryAssetsWithPagination are kept for admins.
+// ===============================================================================
+const ASSET_QUERY = new QueryBuilder({
+  docType: 'asset',
+  fields: {
+    owner: { type: 'string', operators: ['$eq', '$in'] },
+    ownerMSP: { type: 'string', operators: ['$eq', '$in'] },
+    assetType: { type: 'string', operators: ['$eq', '$ne', '$in', '$nin'] },
+    price: { type: 'number', operators: ['$eq', '$gt', '$gte', '$lt', '$lte'] }
+  },
+  indexedFields: ['owner'],
+  maxPageSize: 100
+});
+
+// ===============================================================================
+// Admins are identities with the ledgersafe.role=admin attribute that belong to one of
+// the MSPs passed to Init, or to any MSP when none was passed.
+// ===============================================================================
+const CONFIG_KEY = 'ledgersafe~config';
+const ADMIN_ATTRIBUTE = 'ledgersafe.role';
+const ADMIN_ROLE = 'admin';
+
+async function isAdmin(stub) {
+  let cid = new shim.ClientIdentity(stub);
+  let configAsBytes = await stub.getState(stub.createCompositeKey(CONFIG_KEY, ['admins']));
+  let adminMspIds = configAsBytes && configAsBytes.toString() ? JSON.parse(configAsBytes.toString()).mspIds : [];
+  return cid.assertAttributeValue(ADMIN_ATTRIBUTE, ADMIN_ROLE) &&
+    (adminMspIds.length == 0 || adminMspIds.includes(cid.getMSPID()));
+}
+
+// for the functions that only admins can call; alternative names the function that
+// callers who are not admins can use instead, if any
+async function requireAdmin(stub, fcn, alternative) {
+  if (!await isAdmin(stub)) {
+    let hint = alternative ? util.format(', use %s instead', alternative) : '';
+    throw new PermissionDeniedError(util.format('Access denied: %s is restricted to admins%s', fcn, hint), { function: fcn });
+  }
+}
+
+// for the functions that the holder of an asset or an admin can call
+async function checkHolderOrAdmin(stub, asset, action) {
+  if (!isSameHolder(getAssetHolder(asset), getCallerHolder(stub)) && !await isAdmin(stub)) {
+    throw new PermissionDeniedError(util.format('Access denied: only the holder of asset %s or an admin can %s it', asset.name, action),
+      { asset: asset.name, action: action });
+  }
+}
+
+function getTxDateString(stub) {
+  return new Date(timestamps.txTimestampMillis(stub)).toISOString();
+}
+
+// reads an asset in the current shape; deleted assets are reported as not found, only
+// restoreAsset and purge see their tombstones
+async function getAsset(stub, assetName) {
+  let assetAsBytes = await stub.getState(assetName);
+  if (!assetAsBytes || !assetAsBytes.toString()) {
+    throw new NotFoundError('Asset does not exist: ' + assetName, { key: assetName });
+  }
+  let asset = migrations.parse(assetAsBytes);
+  if (tombstones.isTombstone(asset)) {
+    throw new NotFoundError(util.format('Asset %s was deleted at %s', assetName, asset.deletedAt), { key: assetName, deleted: true });
+  }
+  return asset;
+}
+
+// ===============================================================================
+// Valuation helpers. A price set by updateAssetPrice is stored on the asset with the
+// reason given and the ID of the transaction that set it, so that getPriceHistory can
+// tell price changes apart from other updates in the history of the asset's key.
+// ===============================================================================
+const MAX_REASON_LENGTH = 256;
+
+// Turns the versions of an asset's key (see history in chaincode-common) into its price
+// changes, oldest first. Assets created before prices carried a priceTxId contribute a
+// point whenever the price differs from the previous one; after a delete (or purge) the
+// asset starts over.
+function toPriceSeries(versions) {
+  let series = [];
+  let previous = null;
+  for (let version of versions) {
+    let asset = version.value;
+    if (!asset || tombstones.isTombstone(asset)) {
+      previous = null;
+      continue;
+    }
+    let changed = asset.priceTxId !== undefined ? asset.priceTxId === version.txId :
+      previous === null || asset.price !== previous.price;
+    if (changed) {
+      previous = {
+        txId: version.txId,
+        timestamp: version.timestamp,
+        price: asset.price,
+        previousPrice: previous ? previous.price : null,
+        reason: asset.priceTxId === version.txId ? asset.priceReason : null
+      };
+      series.push(previous);
+    }
+  }
+  return series;
+}
+
+// ===============================================================================
+// Point-in-time helpers. A version of an asset's key holds the asset, its tombstone
+// once deleted, or nothing once purged.
+// ===============================================================================
+function assetOfVersion(version) {
+  let tombstone = tombstones.isTombstone(version.value) ? version.value : null;
+  return {
+    asset: tombstone ? tombstone.record : version.value,
+    deleted: version.isDelete || tombstone !== null,
+    deletion: tombstone ? { deletedBy: tombstone.deletedBy, deletedAt: tombstone.deletedAt, reason: tombstone.reason } : null
+  };
+}
+
+// returns the pending-transfer record of an asset, or null if none was ever made
+async function getTransferRecord(stub, assetName) {
+  let transferKey = stub.createCompositeKey(PENDING_TRANSFER_INDEX, [assetName]);
+  let transferAsBytes = await stub.getState(transferKey);
+  if (!transferAsBytes || !transferAsBytes.toString()) {
+    return null;
+  }
+  return JSON.parse(transferAsBytes.toString());
+}
+
+async function putTransferRecord(stub, transfer) {
+  let transferKey = stub.createCompositeKey(PENDING_TRANSFER_INDEX, [transfer.asset]);
+  await stub.putState(transferKey, Buffer.from(JSON.stringify(transfer)));
+}
+
+// returns the open offer for an asset, failing if there is none
+async function getOpenOffer(stub, assetName) {
+  let transfer = await getTransferRecord(stub, assetName);
+  if (!transfer || transfer.status !== OFFERED) {
+    throw new NotFoundError('There is no pending transfer offer for asset ' + assetName, { asset: assetName });
+  }
+  return transfer;
+}
+
+// closes an open offer, recording who closed it and when
+async function closeOffer(stub, transfer, status, caller) {
+  transfer.status = status;
+  transfer.closedBy = caller.id;
+  transfer.closedAt = getTxDateString(stub);
+  await putTransferRecord(stub, transfer);
+}
+
+// ===============================================================================
+// The functions clients can invoke, with their arguments. The router checks and
+// converts the arguments before the function is called, and gives read-only
+// functions a stub that refuses writes.
+// ===============================================================================
+const ASSET_NAME = { name: 'assetName', type: 'string', minLength: 1 };
+const HOLDER = { type: 'string', minLength: 1, lowercase: true };
+const MSP_ID = { type: 'string', minLength: 1 };
+const router = new Router({
+  initAsset: {
+    description: 'Create an asset',
+    args: [
+      ASSET_NAME,
+      { name: 'assetType', type: 'string', minLength: 1, lowercase: true },
+      { name: 'price', type: 'integer', minimum: 0 },
+      Object.assign({ name: 'owner' }, HOLDER),
+      Object.assign({ name: 'ownerMSP' }, MSP_ID)
+    ]
+  },
+  readAsset: {
+    description: 'Read an asset, with its open transfer offer if there is one',
+    readOnly: true,
+    args: [ASSET_NAME]
+  },
+  delete: {
+    description: 'Delete an asset, leaving a tombstone it can be restored from',
+    args: [ASSET_NAME, { name: 'reason', type: 'string', maxLength: MAX_REASON_LENGTH, optional: true, default: '' }]
+  },
+  restoreAsset: {
+    description: 'Restore a deleted asset, restricted to admins',
+    args: [ASSET_NAME]
+  },
+  purge: {
+    description: 'Remove the tombstone of a deleted asset for good, freeing its name, restricted to admins',
+    args: [ASSET_NAME]
+  },
+  transferAsset: {
+    description: 'Set a new owner on an asset, restricted to admins',
+    args: [ASSET_NAME, Object.assign({ name: 'newOwner' }, HOLDER), Object.assign({ name: 'newOwnerMSP' }, MSP_ID)]
+  },
+  offerTransfer: {
+    description: 'Offer an asset held by the caller to another holder',
+    args: [ASSET_NAME, Object.assign({ name: 'toHolder' }, HOLDER), Object.assign({ name: 'toHolderMSP' }, MSP_ID)]
+  },
+  acceptTransfer: {
+    description: 'Accept the transfer offer of an asset and take custody',
+    args: [ASSET_NAME]
+  },
+  rejectTransfer: {
+    description: 'Reject the transfer offer of an asset',
+    args: [ASSET_NAME]
+  },
+  cancelOffer: {
+    description: 'Withdraw the transfer offer of an asset',
+    args: [ASSET_NAME]
+  },
+  getAssetsByRange: {
+    description: 'Read the assets in a key range',
+    readOnly: true,
+    args: [
+      { name: 'startKey', type: 'string' },
+      { name: 'endKey', type: 'string' }
+    ]
+  },
+  transferAssetsBasedOnType: {
+    description: 'Set a new owner on all assets of a type, restricted to admins',
+    args: [
+      { name: 'assetType', type: 'string', minLength: 1, lowercase: true },
+      Object.assign({ name: 'newOwner' }, HOLDER),
+      Object.assign({ name: 'newOwnerMSP' }, MSP_ID)
+    ]
+  },
+  queryAssetsByOwner: {
+    description: 'Read the assets of an owner, in any MSP or in the one given',
+    readOnly: true,
+    args: [Object.assign({ name: 'owner' }, HOLDER), Object.assign({ name: 'ownerMSP', optional: true }, MSP_ID)]
+  },
+  searchAssets: {
+    description: 'Run a structured query on assets, see ASSET_QUERY',
+    readOnly: true,
+    args: [{ name: 'query', type: 'object' }]
+  },
+  queryAssets: {
+    description: 'Run a rich query as is, restricted to admins',
+    readOnly: true,
+    args: [{ name: 'queryString', type: 'string', minLength: 1 }]
+  },
+  getHistoryForAsset: {
+    description: 'Read the history of an asset',
+    readOnly: true,
+    args: [ASSET_NAME]
+  },
+  readAssetAsOf: {
+    description: 'Read an asset as it was at an instant, from its history',
+    readOnly: true,
+    args: [ASSET_NAME, { name: 'timestamp', type: 'string', minLength: 1 }]
+  },
+  diffAssetVersions: {
+    description: 'List the fields of an asset that changed between the versions written by two transactions',
+    readOnly: true,
+    args: [
+      ASSET_NAME,
+      { name: 'txA', type: 'string', minLength: 1 },
+      { name: 'txB', type: 'string', minLength: 1 }
+    ]
+  },
+  updateAssetPrice: {
+    description: 'Set a new price on an asset, with the reason for the change',
+    args: [
+      ASSET_NAME,
+      { name: 'price', type: 'integer', minimum: 0 },
+      { name: 'reason', type: 'string', pattern: '\\S', maxLength: MAX_REASON_LENGTH }
+    ]
+  },
+  getPriceHistory: {
+    description: 'Read the price changes of an asset, oldest first',
+    readOnly: true,
+    args: [ASSET_NAME]
+  },
+  getValuationByType: {
+    description: 'Summarize the prices of all assets of a type',
+    readOnly: true,
+    args: [{ name: 'assetType', type: 'string', minLength: 1, lowercase: true }]
+  },
+  getAssetsByRangeWithPagination: {
+    description: 'Read one page of the assets in a key range',
+    readOnly: true,
+    args: [
+      { name: 'startKey', type: 'string' },
+      { name: 'endKey', type: 'string' },
+      { name: 'pageSize', type: 'integer', minimum: 1 },
+      { name: 'bookmark', type: 'string', optional: true, default: '' }
+    ]
+  },
+  queryAssetsWithPagination: {
+    description: 'Run a rich query as is and read one page of its results, restricted to admins',
+    readOnly: true,
+    args: [
+      { name: 'queryString', type: 'string', minLength: 1 },
+      { name: 'pageSize', type: 'integer', minimum: 1 },
+      { name: 'bookmark', type: 'string', optional: true, default: '' }
+    ]
+  },
+  migrate: {
+    description: 'Upgrade the assets stored in an older schema version, one batch of keys at a time, restricted to admins',
+    args: [
+      { name: 'fromKey', type: 'string', optional: true, default: '' },
+      { name: 'pageSize', type: 'integer', minimum: 1, maximum: MigrationRegistry.MAX_PAGE_SIZE, optional: true, default: MigrationRegistry.DEFAULT_PAGE_SIZE }
+    ]
+  },
+  getMigrationProgress: {
+    description: 'Read the progress of the current or last migration',
+    readOnly: true
+  },
+  rebuildIndex: {
+    description: 'Delete the orphaned entries of a composite key index and add the missing ones, restricted to admins',
+    args: [{ name: 'name', type: 'string', enum: indexes.names() }]
+  },
+  verifyIndexes: {
+    description: 'Report the orphaned and missing entries of every composite key index, restricted to admins',
+    readOnly: true
+  }
+});
 
 let Chaincode = class {
   
   // ===============================================
-  // Init -- Instantiate LedgerSafe Chaincode
+  // Init -- Instantiate LedgerSafe Chaincode. The arguments are the MSP IDs whose
+  // identities with the ledgersafe.role=admin attribute are admins; without arguments
+  // such identities of any MSP are admins. The list is replaced on every instantiate
+  // and upgrade. An argument that is a JSON object, {level, redact}, configures the
+  // logger (see Logger in chaincode-common). Init also runs the first batch of migrate,
+  // the rest is left to admins.
   // ===============================================
   async Init(stub) {
+    let log = logger.forStub(stub);
     let ret = stub.getFunctionAndParameters();
-    console.info(ret);
-    console.info('=========== Instantiated LedgerSafe Chaincode ===========');
+    let mspIds = ret.params.filter((param) => !param.startsWith('{'));
+    let loggingConfig = ret.params.find((param) => param.startsWith('{'));
+    if (mspIds.some((mspId) => !mspId)) {
+      return shim.error(errors.toMessage(new InvalidArgumentError('Admin MSP IDs must not be empty')));
+    }
+    try {
+      if (loggingConfig) {
+        await logger.configure(stub, loggingConfig);
+      }
+      await stub.putState(stub.createCompositeKey(CONFIG_KEY, ['admins']), Buffer.from(JSON.stringify({ mspIds: mspIds })));
+      // on upgrade, start upgrading the assets stored in an older schema version
+      let progress = await migrations.migrate(stub, '', MigrationRegistry.DEFAULT_PAGE_SIZE);
+      log.info('Migrated assets', { progress: progress });
+    } catch (err) {
+      log.error('Init failed', { error: err });
+      return shim.error(errors.toMessage(err));
+    }
+    log.info('Instantiated LedgerSafe chaincode', { adminMSPs: mspIds });
     return shim.success();
   }
 
   // ===============================================
-  // Invoke -- Invokes a chaincode function
+  // Invoke -- Invokes a chaincode function. Errors are returned as
+  // {code, message, details} JSON, see errors in chaincode-common
   // ===============================================
   async Invoke(stub) {
-    console.info('Transaction ID: ' + stub.getTxID());
-    console.info(util.format('Args: %j', stub.getArgs()));
-
-    let ret = stub.getFunctionAndParameters();
-    console.info(ret);
-
-    let method = this[ret.fcn];
-    if (!method) {
-      console.log('no function of name:' + ret.fcn + ' found');
-      throw new Error('Received unknown function ' + ret.fcn + ' invocation');
-    }
+    let log = logger.forStub(stub);
     try {
-      let payload = await method(stub, ret.params, this);
+      await logger.loadConfig(stub);
+      log.debug('Invoke');
+      let payload = await router.invoke(stub, this);
       return shim.success(payload);
     } catch (err) {
-      console.log(err);
-      return shim.error(err);
+      log.error('Transaction failed', { error: err });
+      return shim.error(errors.toMessage(err));
     }
   }
 
   // ===============================================
-  // initAsset - create a new asset
+  // initAsset - create a new asset. Its holder has to be the submitting identity,
+  // unless that is an admin.
   // ===============================================
   async initAsset(stub, args, thisClass) {
-    if (args.length != 4) {
-      throw new Error('Incorrect number of arguments. Expecting 4');
-    }
-    // ==== Input sanitation ====
-    console.info('--- start init asset ---')
-    if (args[0].lenth <= 0) {
-      throw new Error('1st argument must be a non-empty string');
-    }
-    if (args[1].lenth <= 0) {
-      throw new Error('2nd argument must be a non-empty string');
-    }
-    if (args[2].lenth <= 0) {
-      throw new Error('3rd argument must be a non-empty string');
-    }
-    if (args[3].lenth <= 0) {
-      throw new Error('4th argument must be a non-empty string');
-    }
     let assetName = args[0];
-    let assetType = args[1].toLowerCase();
-    let owner = args[3].toLowerCase();
-    let price = parseInt(args[2]);
-    if (typeof price !== 'number') {
-      throw new Error('3rd argument must be a numeric string');
+    let assetType = args[1];
+    let owner = args[3];
+    let ownerMSP = args[4];
+    let price = args[2];
+
+    let holder = { name: owner, mspId: ownerMSP };
+    if (!isSameHolder(holder, getCallerHolder(stub)) && !await isAdmin(stub)) {
+      throw new PermissionDeniedError('Access denied: only an admin can create an asset for ' + describeHolder(holder), { asset: assetName });
     }
 
     // ==== Check if asset already exists ====
     let assetState = await stub.getState(assetName);
     if (assetState.toString()) {
-      throw new Error('This asset already exists: ' + assetName);
+      if (tombstones.isTombstone(iterators.parseValue(assetState))) {
+        throw new AlreadyExistsError('Asset ' + assetName + ' was deleted, restore or purge it first', { key: assetName, deleted: true });
+      }
+      throw new AlreadyExistsError('This asset already exists: ' + assetName, { key: assetName });
     }
 
     // ==== Create asset object and marshal to JSON ====
     let asset = {};
     asset.docType = 'asset';
+    asset.schemaVersion = migrations.currentVersion('asset');
     asset.name = assetName;
     asset.assetType = assetType;
     asset.price = price;
     asset.owner = owner;
+    asset.ownerMSP = ownerMSP;
 
-    // === Save asset to state ===
-    await stub.putState(assetName, Buffer.from(JSON.stringify(asset)));
-    let indexName = 'assetType~name'
-    let assetNameIndexKey = await stub.createCompositeKey(indexName, [asset.assetType, asset.name]);
-    console.info(assetNameIndexKey);
-    //  Save index entry to state. Only the key name is needed, no need to store a duplicate copy of the asset.
-    //  Note - passing a 'nil' value will effectively delete the key from state, therefore we pass null character as value
-    await stub.putState(assetNameIndexKey, Buffer.from('\u0000'));
+    // === Save asset to state, with its assetType~name index entry ===
+    await indexes.put(stub, assetName, asset);
     // ==== asset saved and indexed. Return success ====
-    console.info('- end init asset');
+    logger.forStub(stub).info('Created asset', { asset: asset });
   }
 
   // ===============================================
   // readAsset - read a asset from chaincode state
   // ===============================================
   async readAsset(stub, args, thisClass) {
-    if (args.length != 1) {
-      throw new Error('Incorrect number of arguments. Expecting name of the asset to query');
-    }
-
     let name = args[0];
-    if (!name) {
-      throw new Error(' asset name must not be empty');
-    }
-    let assetAsbytes = await stub.getState(name); //get the asset from chaincode state
-    if (!assetAsbytes.toString()) {
-      let jsonResp = {};
-      jsonResp.Error = 'Asset does not exist: ' + name;
-      throw new Error(JSON.stringify(jsonResp));
+    let asset = await getAsset(stub, name); //get the asset from chaincode state
+
+    // include any open custody offer so holders can see a handoff is in progress
+    let transfer = await getTransferRecord(stub, name);
+    if (transfer && transfer.status === OFFERED) {
+      asset.pendingTransfer = transfer;
     }
-    console.info('=======================================');
-    console.log(assetAsbytes.toString());
-    console.info('=======================================');
-    return assetAsbytes;
+    return Buffer.from(JSON.stringify(asset));
   }
 
   // ==================================================
-  // delete - remove a asset key/value pair from state
+  // delete - replace an asset with a tombstone recording who deleted it, when and why.
+  // The asset disappears from reads and queries but can be restored by an admin until
+  // it is purged. Restricted to the holder of the asset and admins; assets with a
+  // pending transfer offer cannot be deleted.
   // ==================================================
   async delete(stub, args, thisClass) {
-    if (args.length != 1) {
-      throw new Error('Incorrect number of arguments. Expecting name of the asset to delete');
-    }
     let assetName = args[0];
-    if (!assetName) {
-      throw new Error('asset name must not be empty');
-    }
-    // to maintain the asset~name index, we need to read the asset first and get its asset
-    let valAsbytes = await stub.getState(assetName); //get the asset from chaincode state
-    let jsonResp = {};
-    if (!valAsbytes) {
-      jsonResp.error = 'asset does not exist: ' + name;
-      throw new Error(jsonResp);
-    }
-    let assetJSON = {};
-    try {
-      assetJSON = JSON.parse(valAsbytes.toString());
-    } catch (err) {
-      jsonResp = {};
-      jsonResp.error = 'Failed to decode JSON of: ' + assetName;
-      throw new Error(jsonResp);
+    let reason = args[1].trim();
+    let assetJSON = await getAsset(stub, assetName); //get the asset from chaincode state
+    await checkHolderOrAdmin(stub, assetJSON, 'delete');
+    let transfer = await getTransferRecord(stub, assetName);
+    if (transfer && transfer.status === OFFERED) {
+      throw new ConflictError('Asset ' + assetName + ' has a pending transfer offer to ' + describeHolder(transfer.to), { asset: assetName, to: transfer.to });
     }
 
-    await stub.deleteState(assetName); //remove the asset from chaincode state
+    let cid = new shim.ClientIdentity(stub);
+    let tombstone = await tombstones.remove(stub, assetName, assetJSON, { id: cid.getID(), mspId: cid.getMSPID() }, reason);
+    // a deleted asset has no index entries
+    await indexes.update(stub, assetJSON, null);
+    logger.forStub(stub).info('Deleted asset', { assetName: assetName, reason: reason, deletedAt: tombstone.deletedAt });
+  }
 
-    // delete the index
-    let indexName = 'asset~name';
-    let assetNameIndexKey = stub.createCompositeKey(indexName, [assetJSON.assetType, assetJSON.name]);
-    if (!assetNameIndexKey) {
-      throw new Error(' Failed to create the createCompositeKey');
-    }
-    //  Delete index entry to state.
-    await stub.deleteState(assetNameIndexKey);
+  // ==================================================
+  // restoreAsset - put a deleted asset back, with its assetType~name index entry, as it
+  // was when it was deleted. Restricted to admins.
+  // ==================================================
+  async restoreAsset(stub, args, thisClass) {
+    let assetName = args[0];
+    await requireAdmin(stub, 'restoreAsset');
+    let tombstone = await tombstones.get(stub, assetName, 'asset');
+    let asset = migrations.upgrade(tombstone.record);
+
+    await indexes.put(stub, assetName, asset);
+    logger.forStub(stub).info('Restored asset', { assetName: assetName, deletedBy: tombstone.deletedBy, deletedAt: tombstone.deletedAt });
+    return Buffer.from(JSON.stringify(asset));
+  }
+
+  // ==================================================
+  // purge - remove the tombstone of a deleted asset for good, so that its name can be
+  // used again. The asset stays in the history of its key. Restricted to admins.
+  // ==================================================
+  async purge(stub, args, thisClass) {
+    let assetName = args[0];
+    await requireAdmin(stub, 'purge');
+    let tombstone = await tombstones.purge(stub, assetName, 'asset');
+    logger.forStub(stub).info('Purged asset', { assetName: assetName, deletedBy: tombstone.deletedBy, deletedAt: tombstone.deletedAt });
   }
 
   // ===========================================================
-  // transfer an asset by setting a new owner name on the asset
+  // transfer an asset by setting a new owner on the asset. Restricted to admins:
+  // holders hand assets over with offerTransfer and acceptTransfer.
   // ===========================================================
   async transferAsset(stub, args, thisClass) {
-    //   0       1
-    // 'name', 'bob'
-    if (args.length < 2) {
-      throw new Error('Incorrect number of arguments. Expecting assetName and owner')
+    //   0       1        2
+    // 'name', 'bob', 'Org2MSP'
+    let assetName = args[0];
+    let newOwner = args[1];
+    let newOwnerMSP = args[2];
+    await requireAdmin(stub, 'transferAsset');
+    let assetToTransfer = await getAsset(stub, assetName);
+    let transfer = await getTransferRecord(stub, assetName);
+    if (transfer && transfer.status === OFFERED) {
+      throw new ConflictError('Asset ' + assetName + ' has a pending transfer offer to ' + describeHolder(transfer.to), { asset: assetName, to: transfer.to });
     }
+    assetToTransfer.owner = newOwner; //change the owner
+    assetToTransfer.ownerMSP = newOwnerMSP;
+
+    await indexes.put(stub, assetName, assetToTransfer); //rewrite the asset
+
+    logger.forStub(stub).info('Transferred asset', { assetName: assetName, newOwner: newOwner, newOwnerMSP: newOwnerMSP });
+  }
 
+  // ===========================================================================================
+  // Two-phase custody handoff. The current holder offers an asset to another holder, and
+  // custody only moves once the receiving identity accepts the offer. Holders are identified
+  // by the enrollment ID of their certificate and their MSP, which must match the asset's
+  // owner and ownerMSP.
+  // Every step is written to a transfer record under the transfer~asset composite key, so
+  // the history of that key is the asset's chain of custody.
+  // ===========================================================================================
+
+  // offerTransfer - the current holder offers the asset to toHolder
+  async offerTransfer(stub, args, thisClass) {
+    //   0        1          2
+    // 'asset1', 'jerry', 'Org2MSP'
     let assetName = args[0];
-    let newOwner = args[1].toLowerCase();
-    console.info('- start transferAsset ', assetName, newOwner);
+    let toHolder = { name: args[1], mspId: args[2] };
+    let caller = getCallerHolder(stub);
+    let asset = await getAsset(stub, assetName);
+    let holder = getAssetHolder(asset);
+    if (!isSameHolder(holder, caller)) {
+      throw new PermissionDeniedError('Only the current holder ' + describeHolder(holder) + ' can offer asset ' + assetName, { asset: assetName });
+    }
+    if (isSameHolder(holder, toHolder)) {
+      throw new ConflictError('Asset ' + assetName + ' is already held by ' + describeHolder(toHolder), { asset: assetName });
+    }
+    let existing = await getTransferRecord(stub, assetName);
+    if (existing && existing.status === OFFERED) {
+      throw new ConflictError('Asset ' + assetName + ' already has a pending transfer offer to ' + describeHolder(existing.to), { asset: assetName, to: existing.to });
+    }
+
+    let transfer = {};
+    transfer.docType = 'pendingTransfer';
+    transfer.asset = assetName;
+    transfer.from = holder;
+    transfer.to = toHolder;
+    transfer.status = OFFERED;
+    transfer.offeredBy = caller.id;
+    transfer.offeredAt = getTxDateString(stub);
+    await putTransferRecord(stub, transfer);
+
+    logger.forStub(stub).info('Offered asset', { assetName: assetName, from: transfer.from, to: toHolder });
+  }
 
-    let assetAsBytes = await stub.getState(assetName);
-    if (!assetAsBytes || !assetAsBytes.toString()) {
-      throw new Error('asset does not exist');
+  // acceptTransfer - the receiving holder accepts the offer and takes custody
+  async acceptTransfer(stub, args, thisClass) {
+    let assetName = args[0];
+    let caller = getCallerHolder(stub);
+    let transfer = await getOpenOffer(stub, assetName);
+    if (!isSameHolder(transfer.to, caller)) {
+      throw new PermissionDeniedError('Only the receiving holder ' + describeHolder(transfer.to) + ' can accept the offer for asset ' + assetName, { asset: assetName });
     }
-    let assetToTransfer = {};
-    try {
-      assetToTransfer = JSON.parse(assetAsBytes.toString()); //unmarshal
-    } catch (err) {
-      let jsonResp = {};
-      jsonResp.error = 'Failed to decode JSON of: ' + assetName;
-      throw new Error(jsonResp);
+    let asset = await getAsset(stub, assetName);
+    if (!isSameHolder(getAssetHolder(asset), transfer.from)) {
+      throw new ConflictError('Asset ' + assetName + ' is no longer held by ' + describeHolder(transfer.from), { asset: assetName });
     }
-    console.info(assetToTransfer);
-    assetToTransfer.owner = newOwner; //change the owner
 
-    let assetJSONasBytes = Buffer.from(JSON.stringify(assetToTransfer));
-    await stub.putState(assetName, assetJSONasBytes); //rewrite the asset
+    asset.owner = transfer.to.name;
+    asset.ownerMSP = transfer.to.mspId;
+    await indexes.put(stub, assetName, asset);
+    await closeOffer(stub, transfer, 'ACCEPTED', caller);
+
+    logger.forStub(stub).info('Accepted the transfer offer', { assetName: assetName, from: transfer.from, to: transfer.to });
+  }
+
+  // rejectTransfer - the receiving holder declines the offer; custody stays put
+  async rejectTransfer(stub, args, thisClass) {
+    let assetName = args[0];
+    let caller = getCallerHolder(stub);
+    let transfer = await getOpenOffer(stub, assetName);
+    if (!isSameHolder(transfer.to, caller)) {
+      throw new PermissionDeniedError('Only the receiving holder ' + describeHolder(transfer.to) + ' can reject the offer for asset ' + assetName, { asset: assetName });
+    }
+    await closeOffer(stub, transfer, 'REJECTED', caller);
+
+    logger.forStub(stub).info('Rejected the transfer offer', { assetName: assetName, from: transfer.from, to: transfer.to });
+  }
+
+  // cancelOffer - the offering holder withdraws the offer before it is accepted
+  async cancelOffer(stub, args, thisClass) {
+    let assetName = args[0];
+    let caller = getCallerHolder(stub);
+    let transfer = await getOpenOffer(stub, assetName);
+    if (!isSameHolder(transfer.from, caller)) {
+      throw new PermissionDeniedError('Only the offering holder ' + describeHolder(transfer.from) + ' can cancel the offer for asset ' + assetName, { asset: assetName });
+    }
+    await closeOffer(stub, transfer, 'CANCELLED', caller);
 
-    console.info('- end transferAsset (success)');
+    logger.forStub(stub).info('Cancelled the transfer offer', { assetName: assetName, from: transfer.from, to: transfer.to });
   }
 
   // ===========================================================================================
@@ -232,17 +729,12 @@ let Chaincode = class {
   // Therefore, range queries are a safe option for performing update transactions based on query results.
   // ===========================================================================================
   async getAssetsByRange(stub, args, thisClass) {
-
-    if (args.length < 2) {
-      throw new Error('Incorrect number of arguments. Expecting 2');
-    }
-
     let startKey = args[0];
     let endKey = args[1];
 
     let resultsIterator = await stub.getStateByRange(startKey, endKey);
-    let method = thisClass['getAllResults'];
-    let results = await method(resultsIterator, false);
+    let results = (await iterators.collect(resultsIterator, { project: migrations.keyRecord }))
+      .filter((result) => !tombstones.isTombstone(result.Record));
 
     return Buffer.from(JSON.stringify(results));
   }
@@ -257,163 +749,247 @@ let Chaincode = class {
   // ===========================================================================================
   async transferAssetsBasedOnType(stub, args, thisClass) {
 
-    //   0       1
-    // 'color', 'bob'
-    if (args.length < 2) {
-      throw new Error('Incorrect number of arguments. Expecting assetType and owner');
-    }
-
+    //   0       1        2
+    // 'color', 'bob', 'Org2MSP'
     let assetType = args[0];
-    let newOwner = args[1].toLowerCase();
-    console.info('- start transferAssetsBasedOnType ', assetType, newOwner);
+    let newOwner = args[1];
+    let newOwnerMSP = args[2];
+    await requireAdmin(stub, 'transferAssetsBasedOnType');
+    let log = logger.forStub(stub);
 
     // Query the asset~name index by asset
     // This will execute a key range query on all keys starting with 'asset'
-    let assetTypeedAssetResultsIterator = await stub.getStateByPartialCompositeKey('assetType~name', [assetType]);
+    let assetTypedAssetResultsIterator = await stub.getStateByPartialCompositeKey('assetType~name', [assetType]);
 
     let method = thisClass['transferAsset'];
     // Iterate through result set and for each asset found, transfer to newOwner
-    while (true) {
-      let responseRange = await assetedAssetResultsIterator.next();
-      if (!responseRange || !responseRange.value || !responseRange.value.key) {
-        return;
-      }
-      console.log(responseRange.value.key);
-
-      // let value = res.value.value.toString('utf8');
+    for await (const indexEntry of iterators.iterate(assetTypedAssetResultsIterator)) {
       let objectType;
       let attributes;
       ({
         objectType,
         attributes
-      } = await stub.splitCompositeKey(responseRange.value.key));
+      } = await stub.splitCompositeKey(indexEntry.key));
 
-      let returnedAsset = attributes[0];
+      let returnedAssetType = attributes[0];
       let returnedAssetName = attributes[1];
-      console.info(util.format('- found a asset from index:%s assetType:%s name:%s\n', objectType, returnedAsset, returnedAssetName));
+      log.debug('Found an asset from the index', { index: objectType, assetType: returnedAssetType, assetName: returnedAssetName });
 
       // Now call the transfer function for the found asset.
       // Re-use the same function that is used to transfer individual assets
-      let response = await method(stub, [returnedassetName, newOwner]);
+      await method(stub, [returnedAssetName, newOwner, newOwnerMSP], thisClass);
     }
 
-    let responsePayload = util.format('Transferred %s assets to %s', assetType, newOwner);
-    console.info('- end transferAssetsBasedOnType: ' + responsePayload);
+    log.info('Transferred assets by type', { assetType: assetType, newOwner: newOwner, newOwnerMSP: newOwnerMSP });
   }
 
 
   // ===== Example: Parameterized rich query =================================================
-  // queryAssetsByOwner queries for assets based on a passed in owner.
+  // queryAssetsByOwner queries for assets based on a passed in owner, and optionally its MSP.
   // This is an example of a parameterized query where the query logic is baked into the chaincode,
-  // and accepting a single query parameter (owner).
-  // Only available on state databases that support rich query (e.g. CouchDB)
+  // and accepting query parameters (owner, ownerMSP).
+  // Runs natively on CouchDB; on LevelDB the selector is evaluated by the chaincode
+  // (see richQuery in chaincode-common), which scans every key in the namespace.
   // =========================================================================================
   async queryAssetsByOwner(stub, args, thisClass) {
-    //   0
-    // 'bob'
-    if (args.length < 1) {
-      throw new Error('Incorrect number of arguments. Expecting owner name.')
-    }
-
-    let owner = args[0].toLowerCase();
+    //   0        1
+    // 'bob', 'Org1MSP'
+    let owner = args[0];
     let queryString = {};
     queryString.selector = {};
     queryString.selector.docType = 'asset';
     queryString.selector.owner = owner;
+    if (args[1]) {
+      queryString.selector.ownerMSP = args[1];
+    }
     let method = thisClass['getQueryResultForQueryString'];
     let queryResults = await method(stub, JSON.stringify(queryString), thisClass);
     return queryResults; //shim.success(queryResults);
   }
 
+  // ===== Example: Structured ad hoc query ==================================================
+  // searchAssets runs a query defined at runtime by the client, limited to the fields,
+  // operators and page size allowed by ASSET_QUERY, e.g.
+  //   {"filter": {"owner": "tom", "price": {"$gte": 40}}, "pageSize": 10, "bookmark": ""}
+  // The query is compiled to a Mango selector on assets only. Returns one page as
+  // {Results, ResponseMetadata: {RecordsCount, Bookmark}}.
+  // =========================================================================================
+  async searchAssets(stub, args, thisClass) {
+    let { query, pageSize, bookmark } = ASSET_QUERY.compile(args[0]);
+    logger.forStub(stub).debug('Searching assets', { query: query });
+
+    let { iterator, metadata } = await richQuery.getQueryResultWithPagination(stub, query, pageSize, bookmark);
+    let results = await iterators.collect(iterator, { project: migrations.keyRecord });
+    return Buffer.from(JSON.stringify({
+      Results: results,
+      ResponseMetadata: {
+        RecordsCount: metadata.fetched_records_count,
+        Bookmark: metadata.bookmark
+      }
+    }));
+  }
+
   // ===== Example: Ad hoc rich query ========================================================
   // queryAssets uses a query string to perform a query for assets.
   // Query string matching state database syntax is passed in and executed as is.
   // Supports ad hoc queries that can be defined at runtime by the client.
-  // If this is not desired, follow the queryAssetsForOwner example for parameterized queries.
-  // Only available on state databases that support rich query (e.g. CouchDB)
+  // As such a query can select any docType and need not use an index, only admins may
+  // run it; other callers use searchAssets or the parameterized queryAssetsByOwner.
+  // Runs natively on CouchDB; on LevelDB the selector is evaluated by the chaincode
+  // (see richQuery in chaincode-common), which scans every key in the namespace.
   // =========================================================================================
   async queryAssets(stub, args, thisClass) {
     //   0
     // 'queryString'
-    if (args.length < 1) {
-      throw new Error('Incorrect number of arguments. Expecting queryString');
-    }
+    await requireAdmin(stub, 'queryAssets', 'searchAssets');
     let queryString = args[0];
-    if (!queryString) {
-      throw new Error('queryString must not be empty');
-    }
     let method = thisClass['getQueryResultForQueryString'];
     let queryResults = await method(stub, queryString, thisClass);
     return queryResults;
   }
 
-  async getAllResults(iterator, isHistory) {
-    let allResults = [];
-    while (true) {
-      let res = await iterator.next();
-
-      if (res.value && res.value.value.toString()) {
-        let jsonRes = {};
-        console.log(res.value.value.toString('utf8'));
-
-        if (isHistory && isHistory === true) {
-          jsonRes.TxId = res.value.tx_id;
-          jsonRes.Timestamp = res.value.timestamp;
-          jsonRes.IsDelete = res.value.is_delete.toString();
-          try {
-            jsonRes.Value = JSON.parse(res.value.value.toString('utf8'));
-          } catch (err) {
-            console.log(err);
-            jsonRes.Value = res.value.value.toString('utf8');
-          }
-        } else {
-          jsonRes.Key = res.value.key;
-          try {
-            jsonRes.Record = JSON.parse(res.value.value.toString('utf8'));
-          } catch (err) {
-            console.log(err);
-            jsonRes.Record = res.value.value.toString('utf8');
-          }
-        }
-        allResults.push(jsonRes);
-      }
-      if (res.done) {
-        console.log('end of data');
-        await iterator.close();
-        console.info(allResults);
-        return allResults;
-      }
-    }
-  }
-
   // =========================================================================================
   // getQueryResultForQueryString executes the passed in query string.
   // Result set is built and returned as a byte array containing the JSON results.
   // =========================================================================================
   async getQueryResultForQueryString(stub, queryString, thisClass) {
-
-    console.info('- getQueryResultForQueryString queryString:\n' + queryString)
-    let resultsIterator = await stub.getQueryResult(queryString);
-    let method = thisClass['getAllResults'];
-
-    let results = await method(resultsIterator, false);
+    logger.forStub(stub).debug('Running rich query', { query: queryString });
+    let resultsIterator = await richQuery.getQueryResult(stub, queryString);
+    let results = await iterators.collect(resultsIterator, { project: migrations.keyRecord });
 
     return Buffer.from(JSON.stringify(results));
   }
 
   async getHistoryForAsset(stub, args, thisClass) {
+    let assetName = args[0];
+    let resultsIterator = await stub.getHistoryForKey(assetName);
+    let results = await iterators.collect(resultsIterator, { project: iterators.historyRecord });
+
+    return Buffer.from(JSON.stringify(results));
+  }
 
-    if (args.length < 1) {
-      throw new Error('Incorrect number of arguments. Expecting 1')
+  // ===========================================================================================
+  // readAssetAsOf returns the asset as it was at an instant (an ISO 8601 date), from the
+  // history of its key: {name, asOf, txId, timestamp, deleted, deletion, asset}, where txId
+  // and timestamp identify the transaction that wrote that version. An asset deleted at the
+  // time comes with the who, when and why of its tombstone in deletion, and with the asset
+  // as it was deleted, unless it had been purged.
+  // ===========================================================================================
+  async readAssetAsOf(stub, args, thisClass) {
+    let assetName = args[0];
+    let asOf = new Date(args[1]);
+    if (isNaN(asOf.getTime())) {
+      throw new InvalidArgumentError(util.format('Expecting an ISO 8601 date for timestamp, got "%s"', args[1]));
     }
+    let version = await history.versionAsOf(stub, assetName, asOf);
+    if (!version) {
+      throw new NotFoundError(util.format('Asset %s did not exist at %s', assetName, asOf.toISOString()), { key: assetName });
+    }
+
+    let { asset, deleted, deletion } = assetOfVersion(version);
+    return Buffer.from(JSON.stringify({
+      name: assetName,
+      asOf: asOf.toISOString(),
+      txId: version.txId,
+      timestamp: version.timestamp,
+      deleted: deleted,
+      deletion: deletion,
+      asset: asset ? migrations.upgrade(asset) : null
+    }));
+  }
+
+  // ===========================================================================================
+  // diffAssetVersions compares the versions of an asset written by two transactions, for
+  // audits: {asset, from, to, changes}, with the txId, timestamp and deleted status of both
+  // versions in from and to, and changes listing {field, change, from, to} for every field
+  // added, removed or changed, nested fields by their dotted name. The versions are compared
+  // as stored, so an upgrade to a newer schema version shows up as changes.
+  // ===========================================================================================
+  async diffAssetVersions(stub, args, thisClass) {
     let assetName = args[0];
-    console.info('- start getHistoryForAsset: %s\n', assetName);
+    let from = await history.versionAt(stub, assetName, args[1]);
+    let to = await history.versionAt(stub, assetName, args[2]);
+    let before = assetOfVersion(from);
+    let after = assetOfVersion(to);
+
+    return Buffer.from(JSON.stringify({
+      asset: assetName,
+      from: { txId: from.txId, timestamp: from.timestamp, deleted: before.deleted },
+      to: { txId: to.txId, timestamp: to.timestamp, deleted: after.deleted },
+      changes: history.diff(before.asset || {}, after.asset || {})
+    }));
+  }
 
-    let resultsIterator = await stub.getHistoryForKey(assetName);
-    let method = thisClass['getAllResults'];
-    let results = await method(resultsIterator, true);
+  // ===========================================================
+  // updateAssetPrice - revalue an asset, recording why its price changed. Restricted to
+  // the holder of the asset and admins.
+  // ===========================================================
+  async updateAssetPrice(stub, args, thisClass) {
+    //   0          1          2
+    // 'asset1', '40', 'annual revaluation'
+    let assetName = args[0];
+    let price = args[1];
+    let reason = args[2].trim();
+    let asset = await getAsset(stub, assetName);
+    await checkHolderOrAdmin(stub, asset, 'revalue');
+    asset.price = price;
+    asset.priceReason = reason;
+    asset.priceTxId = stub.getTxID();
+    await indexes.put(stub, assetName, asset);
 
-    return Buffer.from(JSON.stringify(results));
+    logger.forStub(stub).info('Updated asset price', { assetName: assetName, price: price, reason: reason });
+  }
+
+  // ===========================================================================================
+  // getPriceHistory returns the price changes of an asset, oldest first, as
+  // {asset, prices: [{txId, timestamp, price, previousPrice, reason}]}. The first entry
+  // is the price the asset was created with; transfers and other updates that leave the
+  // price alone are left out.
+  // ===========================================================================================
+  async getPriceHistory(stub, args, thisClass) {
+    let assetName = args[0];
+    let versions = await history.versions(stub, assetName);
+    if (versions.length == 0) {
+      throw new NotFoundError('Asset does not exist: ' + assetName, { key: assetName });
+    }
+
+    return Buffer.from(JSON.stringify({ asset: assetName, prices: toPriceSeries(versions) }));
+  }
+
+  // ===========================================================================================
+  // getValuationByType returns count, sum, min, max and average of the prices of all assets
+  // of a type, found through the assetType~name index. Assets without a numeric price are
+  // counted separately as unpriced. min, max and average are null when no asset has a price.
+  // ===========================================================================================
+  async getValuationByType(stub, args, thisClass) {
+    let assetType = args[0];
+    let valuation = { assetType: assetType, count: 0, unpriced: 0, sum: 0, min: null, max: null, average: null };
+    let typedAssetResultsIterator = await stub.getStateByPartialCompositeKey('assetType~name', [assetType]);
+    for await (const indexEntry of iterators.iterate(typedAssetResultsIterator)) {
+      let assetName = stub.splitCompositeKey(indexEntry.key).attributes[1];
+      let assetAsBytes = await stub.getState(assetName);
+      // skip index entries left behind by assets deleted before delete kept the index in step
+      if (!assetAsBytes || !assetAsBytes.toString()) {
+        continue;
+      }
+      let asset = migrations.parse(assetAsBytes);
+      if (tombstones.isTombstone(asset)) {
+        continue;
+      }
+      if (!Number.isFinite(asset.price)) {
+        valuation.unpriced++;
+        continue;
+      }
+      valuation.count++;
+      valuation.sum += asset.price;
+      valuation.min = valuation.min === null ? asset.price : Math.min(valuation.min, asset.price);
+      valuation.max = valuation.max === null ? asset.price : Math.max(valuation.max, asset.price);
+    }
+    if (valuation.count > 0) {
+      valuation.average = valuation.sum / valuation.count;
+    }
+
+    return Buffer.from(JSON.stringify(valuation));
   }
 
   // ====== Pagination =========================================================================
@@ -436,18 +1012,16 @@ let Chaincode = class {
   // Paginated range queries are only valid for read only transactions.
   // ===========================================================================================
   async getAssetsByRangeWithPagination(stub, args, thisClass) {
-    if (args.length < 2) {
-      throw new Error('Incorrect number of arguments. Expecting 2');
-    }
     const startKey = args[0];
     const endKey = args[1];
 
-    const pageSize = parseInt(args[2], 10);
+    const pageSize = args[2];
     const bookmark = args[3];
 
     const { iterator, metadata } = await stub.getStateByRangeWithPagination(startKey, endKey, pageSize, bookmark);
-    const getAllResults = thisClass['getAllResults'];
-    const results = await getAllResults(iterator, false);
+    // deleted assets are left out of the page, but counted in RecordsCount
+    const results = (await iterators.collect(iterator, { project: migrations.keyRecord }))
+      .filter((result) => !tombstones.isTombstone(result.Record));
     // use RecordsCount and Bookmark to keep consistency with the go sample
     results.ResponseMetadata = {
       RecordsCount: metadata.fetched_records_count,
@@ -459,22 +1033,20 @@ let Chaincode = class {
   // =========================================================================================
   // getQueryResultForQueryStringWithPagination executes the passed in query string with
   // pagination info. Result set is built and returned as a byte array containing the JSON results.
+  // Like queryAssets, it is restricted to admins.
   // =========================================================================================
   async queryAssetsWithPagination(stub, args, thisClass) {
 
-    //   0
-    // "queryString"
-    if (args.length < 3) {
-      return shim.Error("Incorrect number of arguments. Expecting 3")
-    }
+    //   0              1          2
+    // "queryString", "pageSize", "bookmark"
+    await requireAdmin(stub, 'queryAssetsWithPagination', 'searchAssets');
 
     const queryString = args[0];
-    const pageSize = parseInt(args[2], 10);
-    const bookmark = args[3];
+    const pageSize = args[1];
+    const bookmark = args[2];
 
-    const { iterator, metadata } = await stub.GetQueryResultWithPagination(queryString, pageSize, bookmark);
-    const getAllResults = thisClass['getAllResults'];
-    const results = await getAllResults(iterator, false);
+    const { iterator, metadata } = await richQuery.getQueryResultWithPagination(stub, queryString, pageSize, bookmark);
+    const results = await iterators.collect(iterator, { project: migrations.keyRecord });
     // use RecordsCount and Bookmark to keep consistency with the go sample
     results.ResponseMetadata = {
       RecordsCount: metadata.fetched_records_count,
@@ -483,6 +1055,54 @@ let Chaincode = class {
 
     return Buffer.from(JSON.stringify(results));
   }
+
+  // ===========================================================================================
+  // migrate - upgrade the assets stored in an older schema version and write them back.
+  // Each call scans the next pageSize keys from fromKey, or from where the previous call
+  // stopped when fromKey is empty, and records its progress; call it until done is true.
+  // Init runs the first batch on upgrade. Restricted to admins.
+  // ===========================================================================================
+  async migrate(stub, args, thisClass) {
+    //   0          1
+    // 'fromKey', 'pageSize'
+    await requireAdmin(stub, 'migrate');
+    let progress = await migrations.migrate(stub, args[0], args[1]);
+    logger.forStub(stub).info('Migrated assets', { progress: progress });
+    return Buffer.from(JSON.stringify(progress));
+  }
+
+  // ===========================================================================================
+  // getMigrationProgress - the progress of the current or last migration, null if none ran
+  // ===========================================================================================
+  async getMigrationProgress(stub, args, thisClass) {
+    return Buffer.from(JSON.stringify(await migrations.getProgress(stub)));
+  }
+
+  // ===========================================================================================
+  // rebuildIndex - bring a composite key index in line with the assets: entries of assets
+  // that no longer exist are deleted, entries missing for an asset are added. Reads every
+  // asset, so it is subject to the result set limits. Restricted to admins.
+  // ===========================================================================================
+  async rebuildIndex(stub, args, thisClass) {
+    await requireAdmin(stub, 'rebuildIndex');
+    let report = await indexes.rebuildIndex(stub, args[0]);
+    logger.forStub(stub).info('Rebuilt index', report);
+    return Buffer.from(JSON.stringify(report));
+  }
+
+  // ===========================================================================================
+  // verifyIndexes - list, for every composite key index, the orphaned entries (without an
+  // asset) and the missing ones (assets without their entry). Restricted to admins.
+  // ===========================================================================================
+  async verifyIndexes(stub, args, thisClass) {
+    await requireAdmin(stub, 'verifyIndexes');
+    return Buffer.from(JSON.stringify(await indexes.verifyIndexes(stub)));
+  }
 };
 
-shim.start(new Chaincode());
+module.exports = Chaincode;
+
+// only connect to the peer when run as the chaincode process, so tests can require this module
+if (require.main === module) {
+  shim.start(new Chaincode());
+}
@@ -0,0 +1,244 @@
+/*
+# Copyright IBM Corp. All Rights Reserved.
+#
+# SPDX-License-Identifier: Apache-2.0
+*/
+
+'use strict';
+
+// the transactions that fail on purpose would fill the output with error lines
+process.env.CHAINCODE_LOG_LEVEL = 'off';
+
+const { expect } = require('chai');
+const { ChaincodeMockStub, mockIdentity } = require('chaincode-common');
+
+const Chaincode = require('../ledgersafe_cc.js');
+
+const tom = mockIdentity('Org1MSP', 'tom');
+const jerry = mockIdentity('Org2MSP', 'jerry');
+const otherJerry = mockIdentity('Org1MSP', 'jerry');
+const admin = mockIdentity('Org1MSP', 'admin', { 'ledgersafe.role': 'admin' });
+
+describe('ledgersafe chaincode', () => {
+
+  let stub;
+  let txCount;
+
+  // runs a transaction, timestamped at the given ISO 8601 date or now
+  function invoke(args, identity, timestamp) {
+    txCount++;
+    return stub.mockInvoke('tx' + txCount, args, Object.assign({ timestamp: timestamp }, identity));
+  }
+
+  async function payloadOf(promise) {
+    let response = await promise;
+    expect(response.status, response.message).to.equal(200);
+    return response.payload.length > 0 ? JSON.parse(response.payload.toString()) : undefined;
+  }
+
+  async function errorOf(promise) {
+    let response = await promise;
+    expect(response.status).to.equal(500);
+    return JSON.parse(response.message);
+  }
+
+  beforeEach(async () => {
+    stub = new ChaincodeMockStub('ledgersafe', new Chaincode());
+    txCount = 0;
+    let response = await stub.mockInit('tx0', ['init'], admin);
+    expect(response.status, response.message).to.equal(200);
+    await payloadOf(invoke(['initAsset', 'asset1', 'Gold', '100', 'Tom', 'Org1MSP'], tom, '2019-06-01T09:00:00Z'));
+    await payloadOf(invoke(['initAsset', 'asset2', 'silver', '20', 'tom', 'Org1MSP'], tom, '2019-06-01T09:00:00Z'));
+  });
+
+  describe('assets', () => {
+
+    it('creates an asset', async () => {
+      expect(await payloadOf(invoke(['readAsset', 'asset1'], jerry))).to.deep.equal({
+        docType: 'asset', schemaVersion: 1, name: 'asset1', assetType: 'gold', price: 100, owner: 'tom', ownerMSP: 'Org1MSP'
+      });
+      expect((await errorOf(invoke(['initAsset', 'asset1', 'gold', '1', 'tom', 'Org1MSP'], tom))).code).to.equal('ALREADY_EXISTS');
+      expect((await errorOf(invoke(['initAsset', 'asset3', 'gold', '-1', 'tom', 'Org1MSP'], tom))).code).to.equal('INVALID_ARGUMENT');
+    });
+
+    it('deletes an asset to a tombstone that an admin can restore or purge', async () => {
+      await payloadOf(invoke(['delete', 'asset1', 'sold off ledger'], tom));
+      let error = await errorOf(invoke(['readAsset', 'asset1'], tom));
+      expect([error.code, error.details.deleted]).to.deep.equal(['NOT_FOUND', true]);
+      expect((await errorOf(invoke(['initAsset', 'asset1', 'gold', '1', 'tom', 'Org1MSP'], tom))).details.deleted).to.equal(true);
+      expect((await errorOf(invoke(['restoreAsset', 'asset1'], tom))).code).to.equal('PERMISSION_DENIED');
+
+      expect((await payloadOf(invoke(['restoreAsset', 'asset1'], admin))).price).to.equal(100);
+      await payloadOf(invoke(['delete', 'asset1', ''], tom));
+      await payloadOf(invoke(['purge', 'asset1'], admin));
+      await payloadOf(invoke(['initAsset', 'asset1', 'gold', '1', 'tom', 'Org1MSP'], tom));
+      expect((await payloadOf(invoke(['verifyIndexes'], admin))).consistent).to.equal(true);
+    });
+
+    it('only lets the holder or an admin delete an asset', async () => {
+      let error = await errorOf(invoke(['delete', 'asset1', ''], jerry));
+      expect([error.code, error.message]).to.deep.equal(['PERMISSION_DENIED', 'Access denied: only the holder of asset asset1 or an admin can delete it']);
+      expect((await errorOf(invoke(['delete', 'asset1', ''], mockIdentity('Org2MSP', 'tom')))).code).to.equal('PERMISSION_DENIED');
+      expect((await payloadOf(invoke(['readAsset', 'asset1'], tom))).owner).to.equal('tom');
+
+      await payloadOf(invoke(['delete', 'asset1', 'entered twice'], admin));
+      expect((await errorOf(invoke(['readAsset', 'asset1'], tom))).code).to.equal('NOT_FOUND');
+    });
+
+    it('creates assets for the caller unless it is an admin', async () => {
+      let error = await errorOf(invoke(['initAsset', 'asset3', 'gold', '1', 'tom', 'Org1MSP'], jerry));
+      expect([error.code, error.message]).to.deep.equal(['PERMISSION_DENIED', 'Access denied: only an admin can create an asset for tom of Org1MSP']);
+      expect((await errorOf(invoke(['initAsset', 'asset3', 'gold', '1', 'jerry', 'Org1MSP'], jerry))).code).to.equal('PERMISSION_DENIED');
+
+      await payloadOf(invoke(['initAsset', 'asset3', 'gold', '1', 'jerry', 'Org2MSP'], admin));
+      expect((await payloadOf(invoke(['readAsset', 'asset3'], jerry))).owner).to.equal('jerry');
+    });
+
+    it('only lets the holder or an admin revalue an asset', async () => {
+      let error = await errorOf(invoke(['updateAssetPrice', 'asset1', '1', 'bargain'], jerry));
+      expect([error.code, error.message]).to.deep.equal(['PERMISSION_DENIED', 'Access denied: only the holder of asset asset1 or an admin can revalue it']);
+      expect((await payloadOf(invoke(['readAsset', 'asset1'], jerry))).price).to.equal(100);
+
+      await payloadOf(invoke(['updateAssetPrice', 'asset1', '110', 'inflation'], tom));
+      await payloadOf(invoke(['updateAssetPrice', 'asset1', '120', 'annual revaluation'], admin));
+      expect((await payloadOf(invoke(['readAsset', 'asset1'], jerry))).price).to.equal(120);
+    });
+
+    it('values the assets of a type', async () => {
+      await payloadOf(invoke(['initAsset', 'asset3', 'gold', '50', 'jerry', 'Org2MSP'], jerry));
+      expect(await payloadOf(invoke(['getValuationByType', 'gold'], tom))).to.deep.equal({
+        assetType: 'gold', count: 2, unpriced: 0, sum: 150, min: 50, max: 100, average: 75
+      });
+    });
+  });
+
+  describe('custody', () => {
+
+    it('moves an asset once the receiving holder accepts the offer', async () => {
+      expect((await errorOf(invoke(['offerTransfer', 'asset1', 'jerry', 'Org2MSP'], jerry))).code).to.equal('PERMISSION_DENIED');
+      await payloadOf(invoke(['offerTransfer', 'asset1', 'jerry', 'Org2MSP'], tom));
+      expect((await payloadOf(invoke(['readAsset', 'asset1'], tom))).pendingTransfer.to).to.deep.equal({ name: 'jerry', mspId: 'Org2MSP' });
+      expect((await errorOf(invoke(['delete', 'asset1', ''], tom))).code).to.equal('CONFLICT');
+      expect((await errorOf(invoke(['acceptTransfer', 'asset1'], tom))).code).to.equal('PERMISSION_DENIED');
+
+      await payloadOf(invoke(['acceptTransfer', 'asset1'], jerry));
+      let asset = await payloadOf(invoke(['readAsset', 'asset1'], tom));
+      expect([asset.owner, asset.ownerMSP, asset.pendingTransfer]).to.deep.equal(['jerry', 'Org2MSP', undefined]);
+    });
+
+    it('tells holders with the same name in different MSPs apart', async () => {
+      expect((await errorOf(invoke(['offerTransfer', 'asset1', 'jerry', 'Org2MSP'], mockIdentity('Org2MSP', 'tom')))).code).to.equal('PERMISSION_DENIED');
+      await payloadOf(invoke(['offerTransfer', 'asset1', 'jerry', 'Org2MSP'], tom));
+      expect((await errorOf(invoke(['acceptTransfer', 'asset1'], otherJerry))).code).to.equal('PERMISSION_DENIED');
+      expect((await errorOf(invoke(['rejectTransfer', 'asset1'], otherJerry))).code).to.equal('PERMISSION_DENIED');
+    });
+
+    it('only lets admins set an owner directly', async () => {
+      expect((await errorOf(invoke(['transferAsset', 'asset1', 'jerry', 'Org2MSP'], tom))).code).to.equal('PERMISSION_DENIED');
+      expect((await errorOf(invoke(['transferAssetsBasedOnType', 'gold', 'jerry', 'Org2MSP'], tom))).code).to.equal('PERMISSION_DENIED');
+      await payloadOf(invoke(['transferAssetsBasedOnType', 'gold', 'jerry', 'Org2MSP'], admin));
+      let asset = await payloadOf(invoke(['readAsset', 'asset1'], tom));
+      expect([asset.owner, asset.ownerMSP]).to.deep.equal(['jerry', 'Org2MSP']);
+    });
+
+    it('leaves assets recorded without an owner MSP to admins', async () => {
+      stub.state.set('asset9', Buffer.from(JSON.stringify({ docType: 'asset', schemaVersion: 1, name: 'asset9', assetType: 'gold', price: 1, owner: 'tom' })));
+      expect((await errorOf(invoke(['offerTransfer', 'asset9', 'jerry', 'Org2MSP'], tom))).code).to.equal('PERMISSION_DENIED');
+      await payloadOf(invoke(['transferAsset', 'asset9', 'tom', 'Org1MSP'], admin));
+      await payloadOf(invoke(['offerTransfer', 'asset9', 'jerry', 'Org2MSP'], tom));
+    });
+
+    it('leaves an asset with its holder when the offer is rejected or cancelled', async () => {
+      await payloadOf(invoke(['offerTransfer', 'asset1', 'jerry', 'Org2MSP'], tom));
+      await payloadOf(invoke(['rejectTransfer', 'asset1'], jerry));
+      await payloadOf(invoke(['offerTransfer', 'asset1', 'jerry', 'Org2MSP'], tom));
+      expect((await errorOf(invoke(['cancelOffer', 'asset1'], jerry))).code).to.equal('PERMISSION_DENIED');
+      await payloadOf(invoke(['cancelOffer', 'asset1'], tom));
+      expect((await errorOf(invoke(['acceptTransfer', 'asset1'], jerry))).code).to.equal('NOT_FOUND');
+      expect((await payloadOf(invoke(['readAsset', 'asset1'], tom))).owner).to.equal('tom');
+    });
+  });
+
+  describe('queries', () => {
+
+    it('reads assets by range, one page at a time in a read-only transaction', async () => {
+      let assets = await payloadOf(invoke(['getAssetsByRange', 'asset1', 'asset3'], tom));
+      expect(assets.map((asset) => asset.Key)).to.deep.equal(['asset1', 'asset2']);
+      let page = await payloadOf(invoke(['getAssetsByRangeWithPagination', 'asset1', 'asset3', '1', ''], tom));
+      expect(page.map((asset) => asset.Key)).to.deep.equal(['asset1']);
+    });
+
+    it('queries the assets of an owner', async () => {
+      let assets = await payloadOf(invoke(['queryAssetsByOwner', 'Tom'], jerry));
+      expect(assets.map((asset) => asset.Key)).to.deep.equal(['asset1', 'asset2']);
+      expect(await payloadOf(invoke(['queryAssetsByOwner', 'tom', 'Org2MSP'], jerry))).to.deep.equal([]);
+    });
+
+    it('searches assets with structured queries', async () => {
+      let page = await payloadOf(invoke(['searchAssets', '{"filter":{"owner":"tom","price":{"$gte":50}},"pageSize":10}'], jerry));
+      expect(page.Results.map((asset) => asset.Key)).to.deep.equal(['asset1']);
+      let error = await errorOf(invoke(['searchAssets', '{"filter":{"price":{"$gte":50}},"pageSize":10}'], jerry));
+      expect(error.code).to.equal('INVALID_ARGUMENT');
+    });
+
+    it('restricts raw rich queries to admins', async () => {
+      expect((await errorOf(invoke(['queryAssets', '{"selector":{"assetType":"gold"}}'], tom))).code).to.equal('PERMISSION_DENIED');
+      let assets = await payloadOf(invoke(['queryAssets', '{"selector":{"assetType":"gold"}}'], admin));
+      expect(assets.map((asset) => asset.Key)).to.deep.equal(['asset1']);
+      let page = await payloadOf(invoke(['queryAssetsWithPagination', '{"selector":{"docType":"asset"}}', '1', ''], admin));
+      expect(page.map((asset) => asset.Key)).to.deep.equal(['asset1']);
+    });
+
+    it('points callers who are not admins to searchAssets', async () => {
+      let error = await errorOf(invoke(['queryAssets', '{"selector":{"assetType":"gold"}}'], tom));
+      expect(error.message).to.equal('Access denied: queryAssets is restricted to admins, use searchAssets instead');
+      error = await errorOf(invoke(['purge', 'asset1'], tom));
+      expect(error.message).to.equal('Access denied: purge is restricted to admins');
+    });
+  });
+
+  describe('admins', () => {
+
+    it('are limited to the MSPs passed to Init', async () => {
+      let response = await stub.mockInit('tx10', ['init', 'Org2MSP', '{"level":"warn"}'], admin);
+      expect(response.status, response.message).to.equal(200);
+      expect((await errorOf(invoke(['verifyIndexes'], admin))).code).to.equal('PERMISSION_DENIED');
+      let org2Admin = mockIdentity('Org2MSP', 'admin', { 'ledgersafe.role': 'admin' });
+      expect((await payloadOf(invoke(['verifyIndexes'], org2Admin))).consistent).to.equal(true);
+    });
+
+    it('are not configured with an empty MSP ID', async () => {
+      let response = await stub.mockInit('tx10', ['init', ''], admin);
+      expect([response.status, JSON.parse(response.message).code]).to.deep.equal([500, 'INVALID_ARGUMENT']);
+    });
+  });
+
+  describe('history', () => {
+
+    beforeEach(async () => {
+      await payloadOf(invoke(['updateAssetPrice', 'asset1', '120', 'annual revaluation'], admin, '2019-06-01T10:00:00Z'));
+      await payloadOf(invoke(['offerTransfer', 'asset1', 'jerry', 'Org2MSP'], tom, '2019-06-01T11:00:00Z'));
+      await payloadOf(invoke(['acceptTransfer', 'asset1'], jerry, '2019-06-01T12:00:00Z'));
+    });
+
+    it('lists the price changes of an asset, oldest first', async () => {
+      let history = await payloadOf(invoke(['getPriceHistory', 'asset1'], tom));
+      expect(history.prices.map((point) => [point.txId, point.price, point.previousPrice, point.reason])).to.deep.equal([
+        ['tx1', 100, null, null],
+        ['tx3', 120, 100, 'annual revaluation']
+      ]);
+      expect((await errorOf(invoke(['getPriceHistory', 'asset9'], tom))).code).to.equal('NOT_FOUND');
+    });
+
+    it('reads an asset as it was at an instant', async () => {
+      let version = await payloadOf(invoke(['readAssetAsOf', 'asset1', '2019-06-01T11:30:00Z'], tom));
+      expect([version.txId, version.asset.owner, version.asset.price]).to.deep.equal(['tx3', 'tom', 120]);
+      expect((await errorOf(invoke(['readAssetAsOf', 'asset1', 'yesterday'], tom))).code).to.equal('INVALID_ARGUMENT');
+    });
+
+    it('lists the fields changed between two versions', async () => {
+      let diff = await payloadOf(invoke(['diffAssetVersions', 'asset1', 'tx1', 'tx5'], tom));
+      expect(diff.changes.map((change) => change.field)).to.have.members(['owner', 'ownerMSP', 'price', 'priceReason', 'priceTxId']);
+    });
+  });
+});
@@ -6,211 +6,770 @@
 
 // ====CHAINCODE EXECUTION SAMPLES (CLI) ==================
 
+// ==== Instantiate, naming the MSPs whose identities with the marbles.role=admin attribute are admins ====
+// peer chaincode instantiate -C myc1 -n marbles -l node -v 1.0 -c '{"Args":["init","Org1MSP"]}'
+// ==== or also setting the log level and the fields to redact from the logs ====
+// peer chaincode instantiate -C myc1 -n marbles -l node -v 1.0 -c '{"Args":["init","Org1MSP","{\"level\":\"warn\",\"redact\":[\"owner\"]}"]}'
+
 // ==== Invoke marbles ====
-// peer chaincode invoke -C myc1 -n marbles -c '{"Args":["initMarble","marble1","blue","35","tom"]}'
-// peer chaincode invoke -C myc1 -n marbles -c '{"Args":["initMarble","marble2","red","50","tom"]}'
-// peer chaincode invoke -C myc1 -n marbles -c '{"Args":["initMarble","marble3","blue","70","tom"]}'
-// peer chaincode invoke -C myc1 -n marbles -c '{"Args":["transferMarble","marble2","jerry"]}'
-// peer chaincode invoke -C myc1 -n marbles -c '{"Args":["transferMarblesBasedOnColor","blue","jerry"]}'
-// peer chaincode invoke -C myc1 -n marbles -c '{"Args":["delete","marble1"]}'
+// Marbles are owned by the identity that submits initMarble. A marble is transferred to
+// another identity by naming its MSP ID and certificate subject.
+// peer chaincode invoke -C myc1 -n marbles -c '{"Args":["initMarble","marble1","blue","35"]}'
+// peer chaincode invoke -C myc1 -n marbles -c '{"Args":["initMarble","marble2","red","50"]}'
+// peer chaincode invoke -C myc1 -n marbles -c '{"Args":["initMarble","marble3","blue","70"]}'
+// peer chaincode invoke -C myc1 -n marbles -c '{"Args":["transferMarble","marble2","Org2MSP","/C=US/ST=North Carolina/L=Durham/O=org2.example.com/CN=jerry"]}'
+// peer chaincode invoke -C myc1 -n marbles -c '{"Args":["transferMarblesBasedOnColor","blue","Org2MSP","/C=US/ST=North Carolina/L=Durham/O=org2.example.com/CN=jerry"]}'
+// peer chaincode invoke -C myc1 -n marbles -c '{"Args":["delete","marble1","created by mistake"]}'
+// peer chaincode invoke -C myc1 -n marbles -c '{"Args":["claimMarble","marble4"]}'
+// ==== Auction marbles with sealed bids ====
+// Bids are committed as the hex SHA-256 digest of "<marble>:<price>:<salt>", e.g.
+//   echo -n "marble3:120:s3cr3t" | sha256sum
+// and revealed by the same identity once bidding has closed.
+// peer chaincode invoke -C myc1 -n marbles -c '{"Args":["openAuction","marble3","100","2019-06-01T12:00:00Z"]}'
+// peer chaincode invoke -C myc1 -n marbles -c '{"Args":["submitBid","marble3","<commitment>"]}'
+// peer chaincode invoke -C myc1 -n marbles -c '{"Args":["revealBid","marble3","120","s3cr3t"]}'
+// peer chaincode invoke -C myc1 -n marbles -c '{"Args":["closeAuction","marble3"]}'
+// peer chaincode query -C myc1 -n marbles -c '{"Args":["readAuction","marble3"]}'
+// ==== Swap marbles with another owner ====
+// The proposer offers marbles of their own for marbles of the counterparty, who accepts
+// the swap by its id (the id of the proposing transaction) before it expires.
+// peer chaincode invoke -C myc1 -n marbles -c '{"Args":["proposeSwap","[\"marble1\"]","[\"marble2\",\"marble5\"]","/C=US/ST=North Carolina/L=Durham/O=org2.example.com/CN=jerry","Org2MSP"]}'
+// peer chaincode invoke -C myc1 -n marbles -c '{"Args":["acceptSwap","<swapId>"]}'
+// peer chaincode invoke -C myc1 -n marbles -c '{"Args":["cancelSwap","<swapId>"]}'
+// peer chaincode query -C myc1 -n marbles -c '{"Args":["readSwap","<swapId>"]}'
+//
+// peer chaincode invoke -C myc1 -n marbles -c '{"Args":["importMarbles","[{\"name\":\"marble4\",\"color\":\"green\",\"size\":20}]"]}'
+// ==== Admins can restore a deleted marble, or purge it to free its name ====
+// peer chaincode invoke -C myc1 -n marbles -c '{"Args":["restoreMarble","marble1"]}'
+// peer chaincode invoke -C myc1 -n marbles -c '{"Args":["purge","marble1"]}'
+// ==== Admins can check the composite key indexes against the marbles, and rebuild one ====
+// peer chaincode query -C myc1 -n marbles -c '{"Args":["verifyIndexes"]}'
+// peer chaincode invoke -C myc1 -n marbles -c '{"Args":["rebuildIndex","color~name"]}'
+// ==== After an upgrade, admins migrate the remaining marbles in batches until done is true ====
+// peer chaincode invoke -C myc1 -n marbles -c '{"Args":["migrate","","100"]}'
+// peer chaincode query -C myc1 -n marbles -c '{"Args":["getMigrationProgress"]}'
 
 // ==== Query marbles ====
+// peer chaincode query -C myc1 -n marbles -c '{"Args":["listFunctions"]}'
 // peer chaincode query -C myc1 -n marbles -c '{"Args":["readMarble","marble1"]}'
 // peer chaincode query -C myc1 -n marbles -c '{"Args":["getMarblesByRange","marble1","marble3"]}'
 // peer chaincode query -C myc1 -n marbles -c '{"Args":["getHistoryForMarble","marble1"]}'
+// peer chaincode query -C myc1 -n marbles -c '{"Args":["readMarbleAsOf","marble1","2019-06-01T12:00:00Z"]}'
 // peer chaincode query -C myc1 -n marbles -c '{"Args":["getMarblesByRangeWithPagination","marble1","marble3","3",""]}'
+// peer chaincode query -C myc1 -n marbles -c '{"Args":["exportMarbles","","","csv"]}'
 
-// Rich Query (Only supported if CouchDB is used as state database):
-// peer chaincode query -C myc1 -n marbles -c '{"Args":["queryMarblesByOwner","tom"]}'
-// peer chaincode query -C myc1 -n marbles -c '{"Args":["queryMarbles","{\"selector\":{\"owner\":\"tom\"}}"]}'
+// Rich Query (evaluated by the chaincode itself when LevelDB is used as state database):
+// peer chaincode query -C myc1 -n marbles -c '{"Args":["queryMarblesByOwner","/C=US/ST=California/L=San Francisco/O=org1.example.com/CN=tom"]}'
+// peer chaincode query -C myc1 -n marbles -c '{"Args":["searchMarbles","{\"filter\":{\"owner\":\"tom\",\"size\":{\"$gt\":30}},\"pageSize\":10}"]}'
 
-// Rich Query with Pagination (Only supported if CouchDB is used as state database):
+// Raw rich queries, restricted to admins (evaluated by the chaincode itself when LevelDB is used as state database):
+// peer chaincode query -C myc1 -n marbles -c '{"Args":["queryMarbles","{\"selector\":{\"owner\":\"tom\"}}"]}'
 // peer chaincode query -C myc1 -n marbles -c '{"Args":["queryMarblesWithPagination","{\"selector\":{\"owner\":\"tom\"}}","3",""]}'
 
 'use strict';
+const crypto = require('crypto');
 const shim = require('fabric-shim');
 const util = require('util');
+const { iterators, richQuery, QueryBuilder, Router, Logger, MigrationRegistry, tombstones, IndexManager, history, timestamps, errors } = require('chaincode-common');
+const { NotFoundError, AlreadyExistsError, InvalidArgumentError, PermissionDeniedError, ConflictError } = errors;
+
+// bid and reserve prices are kept out of the logs
+const logger = new Logger({ name: 'marbles', redact: ['price', 'reservePrice'] });
+
+// importMarbles accepts at most this many rows per transaction, to keep the write set
+// (two keys per marble) well below what a block can hold
+const MAX_IMPORT_ROWS = 500;
+const MARBLE_FIELDS = ['name', 'color', 'size', 'owner', 'ownerMSP'];
+// the reason given for a delete is kept on the tombstone
+const MAX_REASON_LENGTH = 256;
+
+// ==== Schema versions ====
+// Marbles are stored with a schemaVersion and read through the registry, which upgrades
+// older marbles to the current shape (see MigrationRegistry in chaincode-common).
+// Version 1 is the shape marbles had before they were versioned. When a field is added,
+// bump the version, add the upgrade from the previous one, and after the chaincode
+// upgrade call migrate until it reports done. Upgrades must not change the color or
+// name, which the color~name index is built from.
+const migrations = new MigrationRegistry({
+  marble: {
+    version: 1,
+    upgrades: {
+      0: (marble) => marble
+    }
+  }
+});
+
+// ==== Composite key indexes ====
+// Marbles are written and deleted through the index manager, which keeps these entries
+// in step (see IndexManager in chaincode-common). After declaring a new index, run
+// rebuildIndex to add the entries of the marbles already on the ledger.
+const indexes = new IndexManager({
+  marble: [
+    { name: 'color~name', fields: ['color', 'name'] }
+  ]
+});
+
+// ==== Ownership ====
+// A marble is owned by a client identity: owner holds the subject of its certificate
+// and ownerMSP the ID of its MSP. Only the owner or an admin may transfer or delete a
+// marble. Admins are identities with the marbles.role=admin attribute that belong to
+// one of the MSPs passed to Init, or to any MSP when none was passed.
+//
+// Marbles created before ownership was bound to identities have a lowercased name as
+// owner and no ownerMSP. Such a marble can be claimed with claimMarble by the identity
+// whose enrollment ID (the common name of its certificate) is that name, or be
+// transferred by an admin; either way it is bound to an identity from then on.
+const CONFIG_KEY = 'marbles~config';
+const ADMIN_ATTRIBUTE = 'marbles.role';
+const ADMIN_ROLE = 'admin';
+
+// ===============================================
+// getCaller - the submitting identity, in the form it is recorded as a marble owner
+// ===============================================
+async function getCaller(stub) {
+  let cid = new shim.ClientIdentity(stub);
+  // getID() is 'x509::<subject DN>::<issuer DN>'
+  let subject = cid.getID().split('::')[1] || '';
+  let match = /(?:^|[/,+])CN=([^/,+]+)/.exec(subject);
+  let mspId = cid.getMSPID();
+
+  let configAsBytes = await stub.getState(stub.createCompositeKey(CONFIG_KEY, ['admins']));
+  let adminMspIds = configAsBytes && configAsBytes.toString() ? JSON.parse(configAsBytes.toString()).mspIds : [];
+  return {
+    owner: subject,
+    ownerMSP: mspId,
+    enrollmentId: match ? match[1].toLowerCase() : null,
+    isAdmin: cid.assertAttributeValue(ADMIN_ATTRIBUTE, ADMIN_ROLE) &&
+      (adminMspIds.length == 0 || adminMspIds.includes(mspId))
+  };
+}
+
+function isOwner(marble, caller) {
+  return marble.ownerMSP !== undefined && marble.ownerMSP === caller.ownerMSP && marble.owner === caller.owner;
+}
+
+function checkOwnerOrAdmin(marble, caller, action) {
+  if (!isOwner(marble, caller) && !caller.isAdmin) {
+    throw new PermissionDeniedError(util.format('Access denied: only the owner of marble %s or an admin can %s it', marble.name, action),
+      { marble: marble.name, action: action });
+  }
+}
+
+// ==== Structured queries ====
+// searchMarbles accepts queries on these fields only. Every query has to filter on the
+// owner, which is covered by META-INF/statedb/couchdb/indexes/indexOwner.json.
+const MARBLE_QUERY = new QueryBuilder({
+  docType: 'marble',
+  fields: {
+    owner: { type: 'string', operators: ['$eq', '$in'] },
+    ownerMSP: { type: 'string', operators: ['$eq', '$in'] },
+    color: { type: 'string', operators: ['$eq', '$ne', '$in', '$nin'] },
+    size: { type: 'number', operators: ['$eq', '$gt', '$gte', '$lt', '$lte'] }
+  },
+  indexedFields: ['owner'],
+  maxPageSize: 100
+});
+
+// ===============================================
+// requireAdmin - for the functions that only admins can call; alternative names the
+// function that callers who are not admins can use instead, if any
+// ===============================================
+async function requireAdmin(stub, fcn, alternative) {
+  let caller = await getCaller(stub);
+  if (!caller.isAdmin) {
+    let hint = alternative ? util.format(', use %s instead', alternative) : '';
+    throw new PermissionDeniedError(util.format('Access denied: %s is restricted to admins%s', fcn, hint), { function: fcn });
+  }
+  return caller;
+}
+
+// ===============================================
+// parseMarbleRow - validate one row of an import and build the marble to store.
+// size may be given as a number or as a numeric string, like the initMarble argument.
+// Rows without an owner are owned by the caller; rows naming another owner can only
+// be imported by an admin.
+// ===============================================
+function parseMarbleRow(row, caller) {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    throw new InvalidArgumentError('row must be a JSON object');
+  }
+  for (let field of Object.keys(row)) {
+    // docType and schemaVersion are accepted so that exported marbles can be imported again
+    if (!MARBLE_FIELDS.includes(field) && field !== 'docType' && field !== 'schemaVersion') {
+      throw new InvalidArgumentError('unknown field ' + field);
+    }
+  }
+  for (let field of ['name', 'color']) {
+    if (typeof row[field] !== 'string' || row[field].length == 0) {
+      throw new InvalidArgumentError(field + ' must be a non-empty string');
+    }
+  }
+  let owner = { owner: caller.owner, ownerMSP: caller.ownerMSP };
+  if (row.owner !== undefined || row.ownerMSP !== undefined) {
+    if (typeof row.owner !== 'string' || typeof row.ownerMSP !== 'string' || !row.owner || !row.ownerMSP) {
+      throw new InvalidArgumentError('owner and ownerMSP must be given together as non-empty strings');
+    }
+    owner = { owner: row.owner, ownerMSP: row.ownerMSP };
+    if (!isOwner(owner, caller) && !caller.isAdmin) {
+      throw new PermissionDeniedError('only an admin can import marbles owned by another identity');
+    }
+  }
+  if (row.docType !== undefined && row.docType !== 'marble') {
+    throw new InvalidArgumentError('docType must be marble');
+  }
+  let size = typeof row.size === 'string' && /^[0-9]+$/.test(row.size) ? parseInt(row.size, 10) : row.size;
+  if (!Number.isSafeInteger(size) || size <= 0) {
+    throw new InvalidArgumentError('size must be a positive integer');
+  }
+  return {
+    docType: 'marble',
+    schemaVersion: migrations.currentVersion('marble'),
+    name: row.name,
+    color: row.color.toLowerCase(),
+    size: size,
+    owner: owner.owner,
+    ownerMSP: owner.ownerMSP
+  };
+}
+
+// ==== Auctions ====
+// An auction is stored under auction~marble and each sealed bid under bid~marble~msp~bidder.
+// Bidding is open until closeTime; bids are revealed during the REVEAL_PERIOD_SECONDS
+// that follow, after which closeAuction hands the marble to the highest revealed bid
+// at or above the reserve price. All times are taken from the transaction timestamp.
+// While an auction is open the marble cannot be transferred or deleted.
+const AUCTION_INDEX = 'auction~marble';
+const BID_INDEX = 'bid~marble~msp~bidder';
+const REVEAL_PERIOD_SECONDS = 3600;
+
+// ===============================================
+// bidCommitment - the digest a bidder submits to seal a bid
+// ===============================================
+function bidCommitment(marbleName, price, salt) {
+  return crypto.createHash('sha256').update([marbleName, price, salt].join(':')).digest('hex');
+}
+
+// ===============================================
+// getMarble - read a marble in the current shape. Deleted marbles are reported as
+// not found; only restoreMarble and purge see their tombstones.
+// ===============================================
+async function getMarble(stub, marbleName) {
+  let marbleAsBytes = await stub.getState(marbleName);
+  if (!marbleAsBytes || !marbleAsBytes.toString()) {
+    throw new NotFoundError('Marble does not exist: ' + marbleName, { key: marbleName });
+  }
+  let marble = migrations.parse(marbleAsBytes);
+  if (tombstones.isTombstone(marble)) {
+    throw new NotFoundError(util.format('Marble %s was deleted at %s', marbleName, marble.deletedAt), { key: marbleName, deleted: true });
+  }
+  return marble;
+}
+
+async function getAuction(stub, marbleName) {
+  let auctionAsBytes = await stub.getState(stub.createCompositeKey(AUCTION_INDEX, [marbleName]));
+  if (!auctionAsBytes || !auctionAsBytes.toString()) {
+    return null;
+  }
+  return JSON.parse(auctionAsBytes.toString());
+}
+
+async function getOpenAuction(stub, marbleName) {
+  let auction = await getAuction(stub, marbleName);
+  if (!auction) {
+    throw new NotFoundError('No open auction for marble ' + marbleName, { marble: marbleName });
+  }
+  if (auction.status !== 'open') {
+    throw new ConflictError('No open auction for marble ' + marbleName, { marble: marbleName, status: auction.status });
+  }
+  return auction;
+}
+
+async function putAuction(stub, auction) {
+  await stub.putState(stub.createCompositeKey(AUCTION_INDEX, [auction.marble]), Buffer.from(JSON.stringify(auction)));
+}
+
+// ===============================================
+// checkNotUnderAuction - marbles under auction are locked against transfers and deletion
+// ===============================================
+async function checkNotUnderAuction(stub, marbleName) {
+  let auction = await getAuction(stub, marbleName);
+  if (auction && auction.status === 'open') {
+    throw new ConflictError(util.format('Marble %s is under auction, bidding closes at %s', marbleName, auction.closeTime),
+      { marble: marbleName, closeTime: auction.closeTime });
+  }
+}
+
+// ==== Swaps ====
+// A swap is stored under swap~id, keyed by the id of the proposing transaction. Its
+// proposer offers marbles they own for marbles owned by the counterparty; accepting it
+// exchanges both sets in one transaction, provided every marble is still owned as it was
+// when the swap was proposed and none is under auction. Proposals expire after
+// SWAP_PERIOD_SECONDS, or at the expireTime given, as told by the transaction timestamp.
+const SWAP_INDEX = 'swap~id';
+const SWAP_PERIOD_SECONDS = 86400;
+const MAX_SWAP_MARBLES = 50;
+
+async function getSwap(stub, swapId) {
+  let swapAsBytes = await stub.getState(stub.createCompositeKey(SWAP_INDEX, [swapId]));
+  if (!swapAsBytes || !swapAsBytes.toString()) {
+    throw new NotFoundError('No swap ' + swapId, { swap: swapId });
+  }
+  return JSON.parse(swapAsBytes.toString());
+}
+
+async function putSwap(stub, swap) {
+  await stub.putState(stub.createCompositeKey(SWAP_INDEX, [swap.id]), Buffer.from(JSON.stringify(swap)));
+}
+
+// ===============================================
+// checkSwapMarbles - read the marbles of one side of a swap, checking that they are all
+// owned by that side and free to change hands
+// ===============================================
+async function checkSwapMarbles(stub, marbleNames, owner, ownerMSP) {
+  let marbles = [];
+  for (let marbleName of marbleNames) {
+    let marble = await getMarble(stub, marbleName);
+    if (marble.owner !== owner || marble.ownerMSP === undefined || (ownerMSP !== undefined && marble.ownerMSP !== ownerMSP)) {
+      throw new ConflictError(util.format('Marble %s is not owned by %s of %s', marbleName, owner, ownerMSP || 'any MSP'),
+        { marble: marbleName, owner: owner, ownerMSP: ownerMSP });
+    }
+    await checkNotUnderAuction(stub, marbleName);
+    marbles.push(marble);
+  }
+  return marbles;
+}
+
+// ===============================================
+// csvField - quote a value for CSV output when it contains a delimiter, quote or line break
+// ===============================================
+function csvField(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/[",\r\n]/.test(text)) {
+    return '"' + text.replace(/"/g, '""') + '"';
+  }
+  return text;
+}
+
+// ==== Functions ====
+// The functions clients can invoke, with their arguments. The router checks and converts
+// the arguments before the function is called, and gives read-only functions a stub that
+// refuses writes. Everything else on the Chaincode class is internal.
+const MARBLE_NAME = { name: 'marbleName', type: 'string', minLength: 1 };
+const router = new Router({
+  initMarble: {
+    description: 'Create a marble owned by the caller',
+    args: [
+      MARBLE_NAME,
+      { name: 'color', type: 'string', minLength: 1, lowercase: true },
+      { name: 'size', type: 'integer', minimum: 1 }
+    ]
+  },
+  importMarbles: {
+    description: 'Create the marbles of a JSON array, reporting the outcome of every row',
+    args: [{ name: 'marbles', type: 'array' }]
+  },
+  readMarble: {
+    description: 'Read a marble',
+    readOnly: true,
+    args: [MARBLE_NAME]
+  },
+  delete: {
+    description: 'Delete a marble, by its owner or an admin, leaving a tombstone it can be restored from',
+    args: [MARBLE_NAME, { name: 'reason', type: 'string', maxLength: MAX_REASON_LENGTH, optional: true, default: '' }]
+  },
+  restoreMarble: {
+    description: 'Restore a deleted marble, restricted to admins',
+    args: [MARBLE_NAME]
+  },
+  purge: {
+    description: 'Remove the tombstone of a deleted marble for good, freeing its name, restricted to admins',
+    args: [MARBLE_NAME]
+  },
+  transferMarble: {
+    description: 'Transfer a marble to another identity, by its owner or an admin',
+    args: [
+      MARBLE_NAME,
+      { name: 'newOwnerMSP', type: 'string', minLength: 1 },
+      { name: 'newOwner', type: 'string', minLength: 1 }
+    ]
+  },
+  claimMarble: {
+    description: 'Bind a marble owned by the caller\'s enrollment ID to the caller\'s identity',
+    args: [MARBLE_NAME]
+  },
+  getMarblesByRange: {
+    description: 'Read the marbles in a key range',
+    readOnly: true,
+    args: [
+      { name: 'startKey', type: 'string' },
+      { name: 'endKey', type: 'string' }
+    ]
+  },
+  exportMarbles: {
+    description: 'Export the marbles in a key range as newline delimited JSON or CSV',
+    readOnly: true,
+    args: [
+      { name: 'startKey', type: 'string' },
+      { name: 'endKey', type: 'string' },
+      { name: 'format', type: 'string', enum: ['ndjson', 'csv'], lowercase: true, optional: true, default: 'ndjson' }
+    ]
+  },
+  transferMarblesBasedOnColor: {
+    description: 'Transfer the marbles of a color to another identity',
+    args: [
+      { name: 'color', type: 'string', minLength: 1, lowercase: true },
+      { name: 'newOwnerMSP', type: 'string', minLength: 1 },
+      { name: 'newOwner', type: 'string', minLength: 1 }
+    ]
+  },
+  openAuction: {
+    description: 'Put a marble up for auction until closeTime (an ISO 8601 date)',
+    args: [
+      MARBLE_NAME,
+      { name: 'reservePrice', type: 'integer', minimum: 0 },
+      { name: 'closeTime', type: 'string', minLength: 1 }
+    ]
+  },
+  submitBid: {
+    description: 'Submit a sealed bid, the hex SHA-256 digest of "<marble>:<price>:<salt>"',
+    args: [
+      MARBLE_NAME,
+      { name: 'commitment', type: 'string', pattern: '^[0-9a-f]{64}$', lowercase: true }
+    ]
+  },
+  revealBid: {
+    description: 'Reveal the caller\'s sealed bid after bidding has closed',
+    args: [
+      MARBLE_NAME,
+      { name: 'price', type: 'integer', minimum: 0 },
+      { name: 'salt', type: 'string' }
+    ]
+  },
+  closeAuction: {
+    description: 'Close an auction after the reveal period, handing the marble to the winning bid',
+    args: [MARBLE_NAME]
+  },
+  readAuction: {
+    description: 'Read the latest auction of a marble and its outstanding bids',
+    readOnly: true,
+    args: [MARBLE_NAME]
+  },
+  proposeSwap: {
+    description: 'Propose to swap marbles of the caller for marbles of another owner, until expireTime (an ISO 8601 date, a day by default)',
+    args: [
+      { name: 'myMarbles', type: 'array', items: { type: 'string', minLength: 1 } },
+      { name: 'theirMarbles', type: 'array', items: { type: 'string', minLength: 1 } },
+      { name: 'counterparty', type: 'string', minLength: 1 },
+      { name: 'counterpartyMSP', type: 'string', optional: true },
+      { name: 'expireTime', type: 'string', optional: true }
+    ]
+  },
+  acceptSwap: {
+    description: 'Accept a swap proposed to the caller, exchanging the marbles of both sides',
+    args: [{ name: 'swapId', type: 'string', minLength: 1 }]
+  },
+  cancelSwap: {
+    description: 'Withdraw a swap proposed by the caller, or decline one proposed to the caller',
+    args: [{ name: 'swapId', type: 'string', minLength: 1 }]
+  },
+  readSwap: {
+    description: 'Read a swap',
+    readOnly: true,
+    args: [{ name: 'swapId', type: 'string', minLength: 1 }]
+  },
+  queryMarblesByOwner: {
+    description: 'Read the marbles of an owner',
+    readOnly: true,
+    args: [
+      { name: 'owner', type: 'string', minLength: 1 },
+      { name: 'ownerMSP', type: 'string', optional: true }
+    ]
+  },
+  searchMarbles: {
+    description: 'Run a structured query on marbles, see MARBLE_QUERY',
+    readOnly: true,
+    args: [{ name: 'query', type: 'object' }]
+  },
+  queryMarbles: {
+    description: 'Run a rich query as is, restricted to admins',
+    readOnly: true,
+    args: [{ name: 'queryString', type: 'string', minLength: 1 }]
+  },
+  getHistoryForMarble: {
+    description: 'Read the history of a marble',
+    readOnly: true,
+    args: [MARBLE_NAME]
+  },
+  readMarbleAsOf: {
+    description: 'Read a marble as it was at an instant, from its history',
+    readOnly: true,
+    args: [MARBLE_NAME, { name: 'timestamp', type: 'string', minLength: 1 }]
+  },
+  getMarblesByRangeWithPagination: {
+    description: 'Read one page of the marbles in a key range',
+    readOnly: true,
+    args: [
+      { name: 'startKey', type: 'string' },
+      { name: 'endKey', type: 'string' },
+      { name: 'pageSize', type: 'integer', minimum: 1 },
+      { name: 'bookmark', type: 'string', optional: true, default: '' }
+    ]
+  },
+  queryMarblesWithPagination: {
+    description: 'Run a rich query as is and read one page of its results, restricted to admins',
+    readOnly: true,
+    args: [
+      { name: 'queryString', type: 'string', minLength: 1 },
+      { name: 'pageSize', type: 'integer', minimum: 1 },
+      { name: 'bookmark', type: 'string', optional: true, default: '' }
+    ]
+  },
+  migrate: {
+    description: 'Upgrade the marbles stored in an older schema version, one batch of keys at a time, restricted to admins',
+    args: [
+      { name: 'fromKey', type: 'string', optional: true, default: '' },
+      { name: 'pageSize', type: 'integer', minimum: 1, maximum: MigrationRegistry.MAX_PAGE_SIZE, optional: true, default: MigrationRegistry.DEFAULT_PAGE_SIZE }
+    ]
+  },
+  getMigrationProgress: {
+    description: 'Read the progress of the current or last migration',
+    readOnly: true
+  },
+  rebuildIndex: {
+    description: 'Delete the orphaned entries of a composite key index and add the missing ones, restricted to admins',
+    args: [{ name: 'name', type: 'string', enum: indexes.names() }]
+  },
+  verifyIndexes: {
+    description: 'Report the orphaned and missing entries of every composite key index, restricted to admins',
+    readOnly: true
+  }
+});
 
 let Chaincode = class {
+  // ===============================================
+  // Init - the arguments are the MSP IDs whose identities with the marbles.role=admin
+  // attribute are admins; without arguments such identities of any MSP are admins.
+  // The list is replaced on every instantiate and upgrade. An argument that is a JSON
+  // object, {level, redact}, configures the logger (see Logger in chaincode-common).
+  // Init also runs the first batch of migrate, the rest is left to admins.
+  // ===============================================
   async Init(stub) {
+    let log = logger.forStub(stub);
     let ret = stub.getFunctionAndParameters();
-    console.info(ret);
-    console.info('=========== Instantiated Marbles Chaincode ===========');
+    let mspIds = ret.params.filter((param) => !param.startsWith('{'));
+    let loggingConfig = ret.params.find((param) => param.startsWith('{'));
+    if (mspIds.some((mspId) => !mspId)) {
+      return shim.error(errors.toMessage(new InvalidArgumentError('Admin MSP IDs must not be empty')));
+    }
+    try {
+      if (loggingConfig) {
+        await logger.configure(stub, loggingConfig);
+      }
+      await stub.putState(stub.createCompositeKey(CONFIG_KEY, ['admins']), Buffer.from(JSON.stringify({ mspIds: mspIds })));
+      // on upgrade, start upgrading the marbles stored in an older schema version
+      let progress = await migrations.migrate(stub, '', MigrationRegistry.DEFAULT_PAGE_SIZE);
+      log.info('Migrated marbles', { progress: progress });
+    } catch (err) {
+      log.error('Init failed', { error: err });
+      return shim.error(errors.toMessage(err));
+    }
+    log.info('Instantiated marbles chaincode', { adminMSPs: mspIds });
     return shim.success();
   }
 
+  // ===============================================
+  // Invoke - errors are returned as {code, message, details} JSON, see errors in chaincode-common
+  // ===============================================
   async Invoke(stub) {
-    console.info('Transaction ID: ' + stub.getTxID());
-    console.info(util.format('Args: %j', stub.getArgs()));
-
-    let ret = stub.getFunctionAndParameters();
-    console.info(ret);
-
-    let method = this[ret.fcn];
-    if (!method) {
-      console.log('no function of name:' + ret.fcn + ' found');
-      throw new Error('Received unknown function ' + ret.fcn + ' invocation');
-    }
+    let log = logger.forStub(stub);
     try {
-      let payload = await method(stub, ret.params, this);
+      await logger.loadConfig(stub);
+      log.debug('Invoke');
+      let payload = await router.invoke(stub, this);
       return shim.success(payload);
     } catch (err) {
-      console.log(err);
-      return shim.error(err);
+      log.error('Transaction failed', { error: err });
+      return shim.error(errors.toMessage(err));
     }
   }
 
   // ===============================================
-  // initMarble - create a new marble
+  // initMarble - create a new marble owned by the caller
   // ===============================================
   async initMarble(stub, args, thisClass) {
-    if (args.length != 4) {
-      throw new Error('Incorrect number of arguments. Expecting 4');
-    }
-    // ==== Input sanitation ====
-    console.info('--- start init marble ---')
-    if (args[0].lenth <= 0) {
-      throw new Error('1st argument must be a non-empty string');
-    }
-    if (args[1].lenth <= 0) {
-      throw new Error('2nd argument must be a non-empty string');
-    }
-    if (args[2].lenth <= 0) {
-      throw new Error('3rd argument must be a non-empty string');
-    }
-    if (args[3].lenth <= 0) {
-      throw new Error('4th argument must be a non-empty string');
-    }
     let marbleName = args[0];
-    let color = args[1].toLowerCase();
-    let owner = args[3].toLowerCase();
-    let size = parseInt(args[2]);
-    if (typeof size !== 'number') {
-      throw new Error('3rd argument must be a numeric string');
-    }
+    let color = args[1];
+    let caller = await getCaller(stub);
+    let size = args[2];
 
     // ==== Check if marble already exists ====
     let marbleState = await stub.getState(marbleName);
     if (marbleState.toString()) {
-      throw new Error('This marble already exists: ' + marbleName);
+      if (tombstones.isTombstone(iterators.parseValue(marbleState))) {
+        throw new AlreadyExistsError('Marble ' + marbleName + ' was deleted, restore or purge it first', { key: marbleName, deleted: true });
+      }
+      throw new AlreadyExistsError('This marble already exists: ' + marbleName, { key: marbleName });
     }
 
     // ==== Create marble object and marshal to JSON ====
     let marble = {};
     marble.docType = 'marble';
+    marble.schemaVersion = migrations.currentVersion('marble');
     marble.name = marbleName;
     marble.color = color;
     marble.size = size;
-    marble.owner = owner;
-
-    // === Save marble to state ===
-    await stub.putState(marbleName, Buffer.from(JSON.stringify(marble)));
-    let indexName = 'color~name'
-    let colorNameIndexKey = await stub.createCompositeKey(indexName, [marble.color, marble.name]);
-    console.info(colorNameIndexKey);
-    //  Save index entry to state. Only the key name is needed, no need to store a duplicate copy of the marble.
-    //  Note - passing a 'nil' value will effectively delete the key from state, therefore we pass null character as value
-    await stub.putState(colorNameIndexKey, Buffer.from('\u0000'));
+    marble.owner = caller.owner;
+    marble.ownerMSP = caller.ownerMSP;
+
+    // === Save marble to state, with its color~name index entry ===
+    await indexes.put(stub, marbleName, marble);
     // ==== Marble saved and indexed. Return success ====
-    console.info('- end init marble');
+    logger.forStub(stub).info('Created marble', { marble: marble });
   }
 
   // ===============================================
-  // readMarble - read a marble from chaincode state
+  // importMarbles - create many marbles in one transaction.
+  // Takes a JSON array of {name, color, size} objects, owned by the caller unless
+  // they also give owner and ownerMSP (see parseMarbleRow). Every row is validated
+  // on its own: valid rows are written together with their color~name index entry,
+  // invalid rows and names that already exist (on the ledger or earlier in the array)
+  // are skipped. Returns a report with the outcome of every row, in input order; rejected
+  // rows carry the error code and message.
   // ===============================================
-  async readMarble(stub, args, thisClass) {
-    if (args.length != 1) {
-      throw new Error('Incorrect number of arguments. Expecting name of the marble to query');
+  async importMarbles(stub, args, thisClass) {
+    let rows = args[0];
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new InvalidArgumentError(util.format('Cannot import %d marbles in one transaction, the limit is %d', rows.length, MAX_IMPORT_ROWS),
+        { limit: MAX_IMPORT_ROWS });
     }
 
-    let name = args[0];
-    if (!name) {
-      throw new Error(' marble name must not be empty');
-    }
-    let marbleAsbytes = await stub.getState(name); //get the marble from chaincode state
-    if (!marbleAsbytes.toString()) {
-      let jsonResp = {};
-      jsonResp.Error = 'Marble does not exist: ' + name;
-      throw new Error(JSON.stringify(jsonResp));
+    let caller = await getCaller(stub);
+    // the stub does not read its own writes, so names imported by this transaction are tracked here
+    let imported = new Set();
+    let report = { accepted: 0, rejected: 0, rows: [] };
+    for (let index = 0; index < rows.length; index++) {
+      let marble;
+      try {
+        marble = parseMarbleRow(rows[index], caller);
+        if (imported.has(marble.name)) {
+          throw new AlreadyExistsError('duplicate of an earlier row');
+        }
+        let marbleState = await stub.getState(marble.name);
+        if (marbleState && marbleState.toString()) {
+          throw new AlreadyExistsError('marble already exists');
+        }
+      } catch (err) {
+        report.rejected++;
+        report.rows.push({ index: index, name: rows[index] && rows[index].name, status: 'rejected', code: errors.fromError(err).code, error: err.message });
+        continue;
+      }
+
+      await indexes.put(stub, marble.name, marble);
+      imported.add(marble.name);
+      report.accepted++;
+      report.rows.push({ index: index, name: marble.name, status: 'accepted' });
     }
-    console.info('=======================================');
-    console.log(marbleAsbytes.toString());
-    console.info('=======================================');
-    return marbleAsbytes;
+
+    logger.forStub(stub).info('Imported marbles', { rows: rows.length, accepted: report.accepted, rejected: report.rejected });
+    return Buffer.from(JSON.stringify(report));
+  }
+
+  // ===============================================
+  // readMarble - read a marble from chaincode state
+  // ===============================================
+  async readMarble(stub, args, thisClass) {
+    let name = args[0];
+    let marble = await getMarble(stub, name); //get the marble from chaincode state
+    return Buffer.from(JSON.stringify(marble));
   }
 
   // ==================================================
-  // delete - remove a marble key/value pair from state
+  // delete - replace a marble with a tombstone recording who deleted it, when and why,
+  // only by its owner or an admin. The marble disappears from reads and queries but can
+  // be restored by an admin until it is purged.
   // ==================================================
   async delete(stub, args, thisClass) {
-    if (args.length != 1) {
-      throw new Error('Incorrect number of arguments. Expecting name of the marble to delete');
-    }
     let marbleName = args[0];
-    if (!marbleName) {
-      throw new Error('marble name must not be empty');
-    }
-    // to maintain the color~name index, we need to read the marble first and get its color
-    let valAsbytes = await stub.getState(marbleName); //get the marble from chaincode state
-    let jsonResp = {};
-    if (!valAsbytes) {
-      jsonResp.error = 'marble does not exist: ' + name;
-      throw new Error(jsonResp);
-    }
-    let marbleJSON = {};
-    try {
-      marbleJSON = JSON.parse(valAsbytes.toString());
-    } catch (err) {
-      jsonResp = {};
-      jsonResp.error = 'Failed to decode JSON of: ' + marbleName;
-      throw new Error(jsonResp);
-    }
+    let reason = args[1].trim();
+    await checkNotUnderAuction(stub, marbleName);
+    let marbleJSON = await getMarble(stub, marbleName);
+    let caller = await getCaller(stub);
+    checkOwnerOrAdmin(marbleJSON, caller, 'delete');
+
+    let tombstone = await tombstones.remove(stub, marbleName, marbleJSON, { id: caller.owner, mspId: caller.ownerMSP }, reason);
+    // a deleted marble has no index entries
+    await indexes.update(stub, marbleJSON, null);
+    logger.forStub(stub).info('Deleted marble', { marbleName: marbleName, reason: reason, deletedAt: tombstone.deletedAt });
+  }
+
+  // ==================================================
+  // restoreMarble - put a deleted marble back, with its color~name index entry, as it
+  // was when it was deleted. Restricted to admins.
+  // ==================================================
+  async restoreMarble(stub, args, thisClass) {
+    let marbleName = args[0];
+    await requireAdmin(stub, 'restoreMarble');
+    let tombstone = await tombstones.get(stub, marbleName, 'marble');
+    let marble = migrations.upgrade(tombstone.record);
 
-    await stub.deleteState(marbleName); //remove the marble from chaincode state
+    await indexes.put(stub, marbleName, marble);
+    logger.forStub(stub).info('Restored marble', { marbleName: marbleName, deletedBy: tombstone.deletedBy, deletedAt: tombstone.deletedAt });
+    return Buffer.from(JSON.stringify(marble));
+  }
 
-    // delete the index
-    let indexName = 'color~name';
-    let colorNameIndexKey = stub.createCompositeKey(indexName, [marbleJSON.color, marbleJSON.name]);
-    if (!colorNameIndexKey) {
-      throw new Error(' Failed to create the createCompositeKey');
-    }
-    //  Delete index entry to state.
-    await stub.deleteState(colorNameIndexKey);
+  // ==================================================
+  // purge - remove the tombstone of a deleted marble for good, so that its name can be
+  // used again. The marble stays in the history of its key. Restricted to admins.
+  // ==================================================
+  async purge(stub, args, thisClass) {
+    let marbleName = args[0];
+    await requireAdmin(stub, 'purge');
+    let tombstone = await tombstones.purge(stub, marbleName, 'marble');
+    logger.forStub(stub).info('Purged marble', { marbleName: marbleName, deletedBy: tombstone.deletedBy, deletedAt: tombstone.deletedAt });
   }
 
   // ===========================================================
-  // transfer a marble by setting a new owner name on the marble
+  // transfer a marble by setting a new owner identity on the marble.
+  // Only the current owner or an admin can transfer it.
   // ===========================================================
   async transferMarble(stub, args, thisClass) {
-    //   0       1
-    // 'name', 'bob'
-    if (args.length < 2) {
-      throw new Error('Incorrect number of arguments. Expecting marblename and owner')
-    }
-
+    //   0          1                2
+    // 'name', 'Org2MSP', '/C=US/.../CN=bob'
     let marbleName = args[0];
-    let newOwner = args[1].toLowerCase();
-    console.info('- start transferMarble ', marbleName, newOwner);
+    let newOwnerMSP = args[1];
+    let newOwner = args[2];
+    await checkNotUnderAuction(stub, marbleName);
 
-    let marbleAsBytes = await stub.getState(marbleName);
-    if (!marbleAsBytes || !marbleAsBytes.toString()) {
-      throw new Error('marble does not exist');
-    }
-    let marbleToTransfer = {};
-    try {
-      marbleToTransfer = JSON.parse(marbleAsBytes.toString()); //unmarshal
-    } catch (err) {
-      let jsonResp = {};
-      jsonResp.error = 'Failed to decode JSON of: ' + marbleName;
-      throw new Error(jsonResp);
-    }
-    console.info(marbleToTransfer);
+    let marbleToTransfer = await getMarble(stub, marbleName);
+    checkOwnerOrAdmin(marbleToTransfer, await getCaller(stub), 'transfer');
     marbleToTransfer.owner = newOwner; //change the owner
+    marbleToTransfer.ownerMSP = newOwnerMSP;
+
+    await indexes.put(stub, marbleName, marbleToTransfer); //rewrite the marble
+
+    logger.forStub(stub).info('Transferred marble', { marbleName: marbleName, newOwnerMSP: newOwnerMSP, newOwner: newOwner });
+  }
 
-    let marbleJSONasBytes = Buffer.from(JSON.stringify(marbleToTransfer));
-    await stub.putState(marbleName, marbleJSONasBytes); //rewrite the marble
+  // ===========================================================
+  // claimMarble binds a marble recorded with a plain owner name to the caller's
+  // identity, when the caller's enrollment ID is that name
+  // ===========================================================
+  async claimMarble(stub, args, thisClass) {
+    let marbleName = args[0];
+    let marble = await getMarble(stub, marbleName);
+    if (marble.ownerMSP !== undefined) {
+      throw new ConflictError(util.format('Marble %s is already owned by an identity of %s', marbleName, marble.ownerMSP), { marble: marbleName });
+    }
+    let caller = await getCaller(stub);
+    if (caller.enrollmentId !== marble.owner) {
+      throw new PermissionDeniedError(util.format('Access denied: marble %s can only be claimed by the identity enrolled as %s', marbleName, marble.owner),
+        { marble: marbleName });
+    }
 
-    console.info('- end transferMarble (success)');
+    marble.owner = caller.owner;
+    marble.ownerMSP = caller.ownerMSP;
+    await indexes.put(stub, marbleName, marble);
+    logger.forStub(stub).info('Claimed marble', { marbleName: marbleName, owner: caller.owner, ownerMSP: caller.ownerMSP });
   }
 
   // ===========================================================================================
@@ -225,23 +784,45 @@ let Chaincode = class {
   // Therefore, range queries are a safe option for performing update transactions based on query results.
   // ===========================================================================================
   async getMarblesByRange(stub, args, thisClass) {
-
-    if (args.length < 2) {
-      throw new Error('Incorrect number of arguments. Expecting 2');
-    }
-
     let startKey = args[0];
     let endKey = args[1];
 
     let resultsIterator = await stub.getStateByRange(startKey, endKey);
-    let method = thisClass['getAllResults'];
-    let results = await method(resultsIterator, false);
+    let results = (await iterators.collect(resultsIterator, { project: migrations.keyRecord }))
+      .filter((result) => !tombstones.isTombstone(result.Record));
 
     return Buffer.from(JSON.stringify(results));
   }
 
+  // ===========================================================================================
+  // exportMarbles returns the marbles in a key range for backups, as newline delimited JSON
+  // (one marble per line, the format importMarbles reads once wrapped in an array) or as CSV
+  // with a name,color,size,owner,ownerMSP header. Empty start and end keys export every marble.
+  // The export is subject to the result set limits of chaincode-common's iterators, so
+  // larger ledgers have to be exported in several key ranges.
+  // ===========================================================================================
+  async exportMarbles(stub, args, thisClass) {
+    let format = args[2];
+
+    let lines = format === 'csv' ? [MARBLE_FIELDS.join(',')] : [];
+    let resultsIterator = await stub.getStateByRange(args[0], args[1]);
+    for await (const marble of iterators.iterate(resultsIterator, { project: (record) => migrations.upgrade(iterators.parseValue(record.value)) })) {
+      if (!marble || marble.docType !== 'marble') {
+        continue;
+      }
+      if (format === 'csv') {
+        lines.push(MARBLE_FIELDS.map((field) => csvField(marble[field])).join(','));
+      } else {
+        lines.push(JSON.stringify(marble));
+      }
+    }
+
+    return Buffer.from(lines.map((line) => line + '\n').join(''));
+  }
+
   // ==== Example: GetStateByPartialCompositeKey/RangeQuery =========================================
   // transferMarblesBasedOnColor will transfer marbles of a given color to a certain new owner.
+  // An admin transfers every marble of the color, other callers only the ones they own.
   // Uses a GetStateByPartialCompositeKey (range query) against color~name 'index'.
   // Committing peers will re-execute range queries to guarantee that result sets are stable
   // between endorsement time and commit time. The transaction is invalidated by the
@@ -250,15 +831,13 @@ let Chaincode = class {
   // ===========================================================================================
   async transferMarblesBasedOnColor(stub, args, thisClass) {
 
-    //   0       1
-    // 'color', 'bob'
-    if (args.length < 2) {
-      throw new Error('Incorrect number of arguments. Expecting color and owner');
-    }
-
+    //   0          1                2
+    // 'color', 'Org2MSP', '/C=US/.../CN=bob'
     let color = args[0];
-    let newOwner = args[1].toLowerCase();
-    console.info('- start transferMarblesBasedOnColor ', color, newOwner);
+    let newOwnerMSP = args[1];
+    let newOwner = args[2];
+    let log = logger.forStub(stub);
+    let caller = await getCaller(stub);
 
     // Query the color~name index by color
     // This will execute a key range query on all keys starting with 'color'
@@ -266,149 +845,462 @@ let Chaincode = class {
 
     let method = thisClass['transferMarble'];
     // Iterate through result set and for each marble found, transfer to newOwner
-    while (true) {
-      let responseRange = await coloredMarbleResultsIterator.next();
-      if (!responseRange || !responseRange.value || !responseRange.value.key) {
-        return;
-      }
-      console.log(responseRange.value.key);
-
-      // let value = res.value.value.toString('utf8');
+    for await (const indexEntry of iterators.iterate(coloredMarbleResultsIterator)) {
       let objectType;
       let attributes;
       ({
         objectType,
         attributes
-      } = await stub.splitCompositeKey(responseRange.value.key));
+      } = await stub.splitCompositeKey(indexEntry.key));
 
       let returnedColor = attributes[0];
       let returnedMarbleName = attributes[1];
-      console.info(util.format('- found a marble from index:%s color:%s name:%s\n', objectType, returnedColor, returnedMarbleName));
+      log.debug('Found a marble from the index', { index: objectType, color: returnedColor, marbleName: returnedMarbleName });
+      if (!caller.isAdmin) {
+        let marble = JSON.parse((await stub.getState(returnedMarbleName)).toString());
+        if (!isOwner(marble, caller)) {
+          continue;
+        }
+      }
 
       // Now call the transfer function for the found marble.
       // Re-use the same function that is used to transfer individual marbles
-      let response = await method(stub, [returnedMarbleName, newOwner]);
+      await method(stub, [returnedMarbleName, newOwnerMSP, newOwner]);
     }
 
-    let responsePayload = util.format('Transferred %s marbles to %s', color, newOwner);
-    console.info('- end transferMarblesBasedOnColor: ' + responsePayload);
+    log.info('Transferred marbles by color', { color: color, newOwnerMSP: newOwnerMSP, newOwner: newOwner });
   }
 
 
+  // ===========================================================================================
+  // openAuction puts a marble up for auction by its current owner, or by an admin on the
+  // owner's behalf; marbles still owned by a plain name have to be claimed first. Sealed
+  // bids can be submitted until closeTime (an ISO 8601 date) and revealed for an hour after it.
+  // ===========================================================================================
+  async openAuction(stub, args, thisClass) {
+    //   0          1       2
+    // 'name', '100', '2019-06-01T12:00:00Z'
+    let marbleName = args[0];
+    let reservePrice = args[1];
+    let closeTime = new Date(args[2]);
+    if (isNaN(closeTime.getTime())) {
+      throw new InvalidArgumentError(util.format('Expecting an ISO 8601 date for closeTime, got "%s"', args[2]));
+    }
+    let now = timestamps.txTimestampMillis(stub);
+    if (closeTime.getTime() <= now) {
+      throw new InvalidArgumentError('closeTime must be in the future');
+    }
+
+    let marble = await getMarble(stub, marbleName);
+    await checkNotUnderAuction(stub, marbleName);
+    checkOwnerOrAdmin(marble, await getCaller(stub), 'auction');
+    if (marble.ownerMSP === undefined) {
+      throw new ConflictError('Marble ' + marbleName + ' has to be claimed by its owner before it can be auctioned', { marble: marbleName });
+    }
+
+    let auction = {
+      docType: 'auction',
+      marble: marbleName,
+      seller: marble.owner,
+      sellerMSP: marble.ownerMSP,
+      reservePrice: reservePrice,
+      openTime: new Date(now).toISOString(),
+      closeTime: closeTime.toISOString(),
+      revealDeadline: new Date(closeTime.getTime() + REVEAL_PERIOD_SECONDS * 1000).toISOString(),
+      status: 'open'
+    };
+    await putAuction(stub, auction);
+    logger.forStub(stub).info('Opened auction', { auction: auction });
+  }
+
+  // ===========================================================================================
+  // submitBid records the caller's sealed bid, the hex SHA-256 digest of "<marble>:<price>:<salt>".
+  // A bidder submitting again before bidding closes replaces the earlier bid.
+  // ===========================================================================================
+  async submitBid(stub, args, thisClass) {
+    //   0          1
+    // 'name', 'commitment'
+    let marbleName = args[0];
+    let commitment = args[1];
+
+    let auction = await getOpenAuction(stub, marbleName);
+    let now = timestamps.txTimestampMillis(stub);
+    if (now >= Date.parse(auction.closeTime)) {
+      throw new ConflictError('Bidding closed at ' + auction.closeTime, { marble: marbleName, closeTime: auction.closeTime });
+    }
+    let caller = await getCaller(stub);
+    if (caller.ownerMSP === auction.sellerMSP && caller.owner === auction.seller) {
+      throw new PermissionDeniedError('The seller cannot bid on their own marble', { marble: marbleName });
+    }
+
+    let bid = {
+      docType: 'bid',
+      marble: marbleName,
+      bidder: caller.owner,
+      bidderMSP: caller.ownerMSP,
+      commitment: commitment,
+      submitTime: new Date(now).toISOString()
+    };
+    await stub.putState(stub.createCompositeKey(BID_INDEX, [marbleName, caller.ownerMSP, caller.owner]), Buffer.from(JSON.stringify(bid)));
+    logger.forStub(stub).info('Submitted bid', { marbleName: marbleName, bidder: caller.owner, bidderMSP: caller.ownerMSP });
+  }
+
+  // ===========================================================================================
+  // revealBid opens the caller's sealed bid once bidding has closed. The price and salt must hash to
+  // the submitted commitment; bids that are not revealed before the deadline are ignored.
+  // ===========================================================================================
+  async revealBid(stub, args, thisClass) {
+    //   0        1       2
+    // 'name', 'price', 'salt'
+    let marbleName = args[0];
+    let price = args[1];
+    let salt = args[2];
+
+    let auction = await getOpenAuction(stub, marbleName);
+    let now = timestamps.txTimestampMillis(stub);
+    if (now < Date.parse(auction.closeTime)) {
+      throw new ConflictError('Bids can only be revealed after bidding closes at ' + auction.closeTime, { marble: marbleName, closeTime: auction.closeTime });
+    }
+    if (now >= Date.parse(auction.revealDeadline)) {
+      throw new ConflictError('The reveal period ended at ' + auction.revealDeadline, { marble: marbleName, revealDeadline: auction.revealDeadline });
+    }
+
+    let caller = await getCaller(stub);
+    let bidKey = stub.createCompositeKey(BID_INDEX, [marbleName, caller.ownerMSP, caller.owner]);
+    let bidAsBytes = await stub.getState(bidKey);
+    if (!bidAsBytes || !bidAsBytes.toString()) {
+      throw new NotFoundError(util.format('No bid from %s of %s on marble %s', caller.owner, caller.ownerMSP, marbleName), { marble: marbleName });
+    }
+    let bid = JSON.parse(bidAsBytes.toString());
+    if (bid.price !== undefined) {
+      throw new ConflictError(util.format('The bid from %s of %s on marble %s has already been revealed', caller.owner, caller.ownerMSP, marbleName),
+        { marble: marbleName });
+    }
+    if (bidCommitment(marbleName, price, salt) !== bid.commitment) {
+      throw new InvalidArgumentError('Price and salt do not match the bid commitment', { marble: marbleName });
+    }
+
+    bid.price = price;
+    bid.revealTime = new Date(now).toISOString();
+    await stub.putState(bidKey, Buffer.from(JSON.stringify(bid)));
+    logger.forStub(stub).info('Revealed bid', { marbleName: marbleName, bidder: caller.owner, bidderMSP: caller.ownerMSP, price: price });
+  }
+
+  // ===========================================================================================
+  // closeAuction ends an auction once the reveal period is over. The marble goes to the
+  // highest revealed bid at or above the reserve price, the earliest submitted bid winning
+  // a tie; without such a bid it stays with the seller. The bids are removed from state
+  // and the outcome is kept on the auction record.
+  // ===========================================================================================
+  async closeAuction(stub, args, thisClass) {
+    let marbleName = args[0];
+    let auction = await getOpenAuction(stub, marbleName);
+    let now = timestamps.txTimestampMillis(stub);
+    if (now < Date.parse(auction.revealDeadline)) {
+      throw new ConflictError('The auction can be closed once the reveal period ends at ' + auction.revealDeadline,
+        { marble: marbleName, revealDeadline: auction.revealDeadline });
+    }
+
+    let winner = null;
+    let bids = 0;
+    let bidsIterator = await stub.getStateByPartialCompositeKey(BID_INDEX, [marbleName]);
+    for await (const record of iterators.iterate(bidsIterator)) {
+      let bid = JSON.parse(record.value.toString());
+      bids++;
+      await stub.deleteState(record.key);
+      if (bid.price === undefined || bid.price < auction.reservePrice) {
+        continue;
+      }
+      if (!winner || bid.price > winner.price || (bid.price === winner.price && bid.submitTime < winner.submitTime)) {
+        winner = bid;
+      }
+    }
+
+    if (winner) {
+      let marble = await getMarble(stub, marbleName);
+      marble.owner = winner.bidder;
+      marble.ownerMSP = winner.bidderMSP;
+      await indexes.put(stub, marbleName, marble);
+    }
+
+    auction.status = 'closed';
+    auction.closedTime = new Date(now).toISOString();
+    auction.bidCount = bids;
+    auction.winner = winner ? winner.bidder : null;
+    auction.winnerMSP = winner ? winner.bidderMSP : null;
+    auction.winningPrice = winner ? winner.price : null;
+    await putAuction(stub, auction);
+
+    logger.forStub(stub).info('Closed auction', { auction: auction });
+    return Buffer.from(JSON.stringify(auction));
+  }
+
+  // ===========================================================================================
+  // readAuction returns the latest auction of a marble together with its outstanding bids
+  // ===========================================================================================
+  async readAuction(stub, args, thisClass) {
+    let marbleName = args[0];
+    let auction = await getAuction(stub, marbleName);
+    if (!auction) {
+      throw new NotFoundError('No auction for marble ' + marbleName, { marble: marbleName });
+    }
+    let bidsIterator = await stub.getStateByPartialCompositeKey(BID_INDEX, [marbleName]);
+    auction.bids = await iterators.collect(bidsIterator, { project: (record) => iterators.parseValue(record.value) });
+    return Buffer.from(JSON.stringify(auction));
+  }
+
+  // ===========================================================================================
+  // proposeSwap offers marbles of the caller for marbles of the counterparty, identified by
+  // the certificate subject and, optionally, the MSP ID of their identity. Both sides must
+  // own their marbles, claimed, and none may be under auction. Returns the swap; its id is
+  // the one acceptSwap, cancelSwap and readSwap take.
+  // ===========================================================================================
+  async proposeSwap(stub, args, thisClass) {
+    //      0                 1                  2                 3              4
+    // '["marble1"]', '["marble2"]', '/C=US/.../CN=jerry', 'Org2MSP', '2019-06-02T12:00:00Z'
+    let myMarbles = args[0];
+    let theirMarbles = args[1];
+    let counterparty = args[2];
+    let counterpartyMSP = args[3];
+    if (myMarbles.length === 0 || theirMarbles.length === 0) {
+      throw new InvalidArgumentError('A swap needs marbles on both sides, use transferMarble to give marbles away');
+    }
+    if (myMarbles.length + theirMarbles.length > MAX_SWAP_MARBLES) {
+      throw new InvalidArgumentError(util.format('A swap can exchange up to %d marbles', MAX_SWAP_MARBLES));
+    }
+    let marbleNames = myMarbles.concat(theirMarbles);
+    let repeated = marbleNames.find((marbleName, i) => marbleNames.indexOf(marbleName) !== i);
+    if (repeated !== undefined) {
+      throw new InvalidArgumentError(util.format('Marble %s is listed more than once', repeated), { marble: repeated });
+    }
+
+    let now = timestamps.txTimestampMillis(stub);
+    let expireTime = args[4] === undefined ? new Date(now + SWAP_PERIOD_SECONDS * 1000) : new Date(args[4]);
+    if (isNaN(expireTime.getTime())) {
+      throw new InvalidArgumentError(util.format('Expecting an ISO 8601 date for expireTime, got "%s"', args[4]));
+    }
+    if (expireTime.getTime() <= now) {
+      throw new InvalidArgumentError('expireTime must be in the future');
+    }
+
+    let caller = await getCaller(stub);
+    if (counterparty === caller.owner && (counterpartyMSP === undefined || counterpartyMSP === caller.ownerMSP)) {
+      throw new InvalidArgumentError('The counterparty of a swap must be another owner');
+    }
+    await checkSwapMarbles(stub, myMarbles, caller.owner, caller.ownerMSP);
+    let counterpartyMarbles = await checkSwapMarbles(stub, theirMarbles, counterparty, counterpartyMSP);
+    counterpartyMSP = counterpartyMarbles[0].ownerMSP;
+    if (counterpartyMarbles.some((marble) => marble.ownerMSP !== counterpartyMSP)) {
+      throw new InvalidArgumentError(util.format('The marbles asked for are owned by identities of different MSPs, name the MSP of %s', counterparty));
+    }
+
+    let swap = {
+      docType: 'swap',
+      id: stub.getTxID(),
+      proposer: caller.owner,
+      proposerMSP: caller.ownerMSP,
+      counterparty: counterparty,
+      counterpartyMSP: counterpartyMSP,
+      offered: myMarbles,
+      requested: theirMarbles,
+      proposeTime: new Date(now).toISOString(),
+      expireTime: expireTime.toISOString(),
+      status: 'proposed'
+    };
+    await putSwap(stub, swap);
+    logger.forStub(stub).info('Proposed swap', { swap: swap });
+    return Buffer.from(JSON.stringify(swap));
+  }
+
+  // ===========================================================================================
+  // acceptSwap exchanges the marbles of a swap proposed to the caller, before it expires.
+  // It fails, leaving every marble as it is, when any marble changed hands, was deleted or
+  // went under auction since the swap was proposed.
+  // ===========================================================================================
+  async acceptSwap(stub, args, thisClass) {
+    let swapId = args[0];
+    let swap = await getSwap(stub, swapId);
+    let caller = await getCaller(stub);
+    if (caller.owner !== swap.counterparty || caller.ownerMSP !== swap.counterpartyMSP) {
+      throw new PermissionDeniedError('Access denied: only the counterparty of swap ' + swapId + ' can accept it', { swap: swapId });
+    }
+    if (swap.status !== 'proposed') {
+      throw new ConflictError(util.format('Swap %s is %s', swapId, swap.status), { swap: swapId, status: swap.status });
+    }
+    let now = timestamps.txTimestampMillis(stub);
+    if (now >= Date.parse(swap.expireTime)) {
+      throw new ConflictError('Swap ' + swapId + ' expired at ' + swap.expireTime, { swap: swapId, expireTime: swap.expireTime });
+    }
+
+    let offered = await checkSwapMarbles(stub, swap.offered, swap.proposer, swap.proposerMSP);
+    let requested = await checkSwapMarbles(stub, swap.requested, swap.counterparty, swap.counterpartyMSP);
+    for (let marble of offered) {
+      marble.owner = swap.counterparty;
+      marble.ownerMSP = swap.counterpartyMSP;
+      await indexes.put(stub, marble.name, marble);
+    }
+    for (let marble of requested) {
+      marble.owner = swap.proposer;
+      marble.ownerMSP = swap.proposerMSP;
+      await indexes.put(stub, marble.name, marble);
+    }
+
+    swap.status = 'accepted';
+    swap.closedTime = new Date(now).toISOString();
+    await putSwap(stub, swap);
+    logger.forStub(stub).info('Accepted swap', { swap: swap });
+    return Buffer.from(JSON.stringify(swap));
+  }
+
+  // ===========================================================================================
+  // cancelSwap withdraws a swap that has not been accepted, at the request of its proposer
+  // or its counterparty
+  // ===========================================================================================
+  async cancelSwap(stub, args, thisClass) {
+    let swapId = args[0];
+    let swap = await getSwap(stub, swapId);
+    let caller = await getCaller(stub);
+    let isProposer = caller.owner === swap.proposer && caller.ownerMSP === swap.proposerMSP;
+    let isCounterparty = caller.owner === swap.counterparty && caller.ownerMSP === swap.counterpartyMSP;
+    if (!isProposer && !isCounterparty) {
+      throw new PermissionDeniedError('Access denied: only the parties to swap ' + swapId + ' can cancel it', { swap: swapId });
+    }
+    if (swap.status !== 'proposed') {
+      throw new ConflictError(util.format('Swap %s is %s', swapId, swap.status), { swap: swapId, status: swap.status });
+    }
+
+    swap.status = 'cancelled';
+    swap.closedTime = new Date(timestamps.txTimestampMillis(stub)).toISOString();
+    swap.cancelledBy = isProposer ? 'proposer' : 'counterparty';
+    await putSwap(stub, swap);
+    logger.forStub(stub).info('Cancelled swap', { swap: swap });
+  }
+
+  // ===========================================================================================
+  // readSwap returns a swap. A proposed swap past its expireTime can no longer be accepted.
+  // ===========================================================================================
+  async readSwap(stub, args, thisClass) {
+    let swap = await getSwap(stub, args[0]);
+    return Buffer.from(JSON.stringify(swap));
+  }
+
   // ===== Example: Parameterized rich query =================================================
-  // queryMarblesByOwner queries for marbles based on a passed in owner.
+  // queryMarblesByOwner queries for marbles based on a passed in owner, the certificate subject
+  // of the owning identity (or the lowercased name of a marble that has not been claimed yet),
+  // optionally narrowed down to the owner's MSP ID.
   // This is an example of a parameterized query where the query logic is baked into the chaincode,
-  // and accepting a single query parameter (owner).
-  // Only available on state databases that support rich query (e.g. CouchDB)
+  // and accepting query parameters (owner and ownerMSP).
+  // Runs natively on CouchDB; on LevelDB the selector is evaluated by the chaincode
+  // (see richQuery in chaincode-common), which scans every key in the namespace.
   // =========================================================================================
   async queryMarblesByOwner(stub, args, thisClass) {
-    //   0
-    // 'bob'
-    if (args.length < 1) {
-      throw new Error('Incorrect number of arguments. Expecting owner name.')
-    }
-
-    let owner = args[0].toLowerCase();
+    //   0                    1
+    // '/C=US/.../CN=bob', 'Org1MSP'
+    let owner = args[0];
     let queryString = {};
     queryString.selector = {};
     queryString.selector.docType = 'marble';
     queryString.selector.owner = owner;
+    if (args[1]) {
+      queryString.selector.ownerMSP = args[1];
+    }
     let method = thisClass['getQueryResultForQueryString'];
     let queryResults = await method(stub, JSON.stringify(queryString), thisClass);
     return queryResults; //shim.success(queryResults);
   }
 
+  // ===== Example: Structured ad hoc query ==================================================
+  // searchMarbles runs a query defined at runtime by the client, limited to the fields,
+  // operators and page size allowed by MARBLE_QUERY, e.g.
+  //   {"filter": {"owner": "tom", "size": {"$gt": 30}}, "pageSize": 10, "bookmark": ""}
+  // The query is compiled to a Mango selector on marbles only. Returns one page as
+  // {Results, ResponseMetadata: {RecordsCount, Bookmark}}.
+  // =========================================================================================
+  async searchMarbles(stub, args, thisClass) {
+    let { query, pageSize, bookmark } = MARBLE_QUERY.compile(args[0]);
+    logger.forStub(stub).debug('Searching marbles', { query: query });
+
+    let { iterator, metadata } = await richQuery.getQueryResultWithPagination(stub, query, pageSize, bookmark);
+    let results = await iterators.collect(iterator, { project: migrations.keyRecord });
+    return Buffer.from(JSON.stringify({
+      Results: results,
+      ResponseMetadata: {
+        RecordsCount: metadata.fetched_records_count,
+        Bookmark: metadata.bookmark
+      }
+    }));
+  }
+
   // ===== Example: Ad hoc rich query ========================================================
   // queryMarbles uses a query string to perform a query for marbles.
   // Query string matching state database syntax is passed in and executed as is.
   // Supports ad hoc queries that can be defined at runtime by the client.
-  // If this is not desired, follow the queryMarblesForOwner example for parameterized queries.
-  // Only available on state databases that support rich query (e.g. CouchDB)
+  // As such a query can select any docType and need not use an index, only admins may
+  // run it; other callers use searchMarbles or the parameterized queryMarblesByOwner.
+  // Runs natively on CouchDB; on LevelDB the selector is evaluated by the chaincode
+  // (see richQuery in chaincode-common), which scans every key in the namespace.
   // =========================================================================================
   async queryMarbles(stub, args, thisClass) {
     //   0
     // 'queryString'
-    if (args.length < 1) {
-      throw new Error('Incorrect number of arguments. Expecting queryString');
-    }
+    await requireAdmin(stub, 'queryMarbles', 'searchMarbles');
     let queryString = args[0];
-    if (!queryString) {
-      throw new Error('queryString must not be empty');
-    }
     let method = thisClass['getQueryResultForQueryString'];
     let queryResults = await method(stub, queryString, thisClass);
     return queryResults;
   }
 
-  async getAllResults(iterator, isHistory) {
-    let allResults = [];
-    while (true) {
-      let res = await iterator.next();
-
-      if (res.value && res.value.value.toString()) {
-        let jsonRes = {};
-        console.log(res.value.value.toString('utf8'));
-
-        if (isHistory && isHistory === true) {
-          jsonRes.TxId = res.value.tx_id;
-          jsonRes.Timestamp = res.value.timestamp;
-          jsonRes.IsDelete = res.value.is_delete.toString();
-          try {
-            jsonRes.Value = JSON.parse(res.value.value.toString('utf8'));
-          } catch (err) {
-            console.log(err);
-            jsonRes.Value = res.value.value.toString('utf8');
-          }
-        } else {
-          jsonRes.Key = res.value.key;
-          try {
-            jsonRes.Record = JSON.parse(res.value.value.toString('utf8'));
-          } catch (err) {
-            console.log(err);
-            jsonRes.Record = res.value.value.toString('utf8');
-          }
-        }
-        allResults.push(jsonRes);
-      }
-      if (res.done) {
-        console.log('end of data');
-        await iterator.close();
-        console.info(allResults);
-        return allResults;
-      }
-    }
-  }
-
   // =========================================================================================
   // getQueryResultForQueryString executes the passed in query string.
   // Result set is built and returned as a byte array containing the JSON results.
   // =========================================================================================
   async getQueryResultForQueryString(stub, queryString, thisClass) {
-
-    console.info('- getQueryResultForQueryString queryString:\n' + queryString)
-    let resultsIterator = await stub.getQueryResult(queryString);
-    let method = thisClass['getAllResults'];
-
-    let results = await method(resultsIterator, false);
+    logger.forStub(stub).debug('Running rich query', { query: queryString });
+    let resultsIterator = await richQuery.getQueryResult(stub, queryString);
+    let results = await iterators.collect(resultsIterator, { project: migrations.keyRecord });
 
     return Buffer.from(JSON.stringify(results));
   }
 
   async getHistoryForMarble(stub, args, thisClass) {
-
-    if (args.length < 1) {
-      throw new Error('Incorrect number of arguments. Expecting 1')
-    }
     let marbleName = args[0];
-    console.info('- start getHistoryForMarble: %s\n', marbleName);
-
     let resultsIterator = await stub.getHistoryForKey(marbleName);
-    let method = thisClass['getAllResults'];
-    let results = await method(resultsIterator, true);
+    let results = await iterators.collect(resultsIterator, { project: iterators.historyRecord });
 
     return Buffer.from(JSON.stringify(results));
   }
 
+  // ===========================================================================================
+  // readMarbleAsOf returns the marble as it was at an instant (an ISO 8601 date), from the
+  // history of its key: {name, asOf, txId, timestamp, deleted, deletion, marble}, where txId
+  // and timestamp identify the transaction that wrote that version. A marble deleted at the
+  // time comes with the who, when and why of its tombstone in deletion, and with the marble
+  // as it was deleted, unless it had been purged.
+  // ===========================================================================================
+  async readMarbleAsOf(stub, args, thisClass) {
+    let marbleName = args[0];
+    let asOf = new Date(args[1]);
+    if (isNaN(asOf.getTime())) {
+      throw new InvalidArgumentError(util.format('Expecting an ISO 8601 date for timestamp, got "%s"', args[1]));
+    }
+    let version = await history.versionAsOf(stub, marbleName, asOf);
+    if (!version) {
+      throw new NotFoundError(util.format('Marble %s did not exist at %s', marbleName, asOf.toISOString()), { key: marbleName });
+    }
+
+    let tombstone = tombstones.isTombstone(version.value) ? version.value : null;
+    let marble = tombstone ? tombstone.record : version.value;
+    return Buffer.from(JSON.stringify({
+      name: marbleName,
+      asOf: asOf.toISOString(),
+      txId: version.txId,
+      timestamp: version.timestamp,
+      deleted: version.isDelete || tombstone !== null,
+      deletion: tombstone ? { deletedBy: tombstone.deletedBy, deletedAt: tombstone.deletedAt, reason: tombstone.reason } : null,
+      marble: marble ? migrations.upgrade(marble) : null
+    }));
+  }
+
   // ====== Pagination =========================================================================
   // Pagination provides a method to retrieve records with a defined pagesize and
   // start point (bookmark).  An empty string bookmark defines the first "page" of a query
@@ -429,18 +1321,16 @@ let Chaincode = class {
   // Paginated range queries are only valid for read only transactions.
   // ===========================================================================================
   async getMarblesByRangeWithPagination(stub, args, thisClass) {
-    if (args.length < 2) {
-      throw new Error('Incorrect number of arguments. Expecting 2');
-    }
     const startKey = args[0];
     const endKey = args[1];
 
-    const pageSize = parseInt(args[2], 10);
+    const pageSize = args[2];
     const bookmark = args[3];
 
     const { iterator, metadata } = await stub.getStateByRangeWithPagination(startKey, endKey, pageSize, bookmark);
-    const getAllResults = thisClass['getAllResults'];
-    const results = await getAllResults(iterator, false);
+    // deleted marbles are left out of the page, but counted in RecordsCount
+    const results = (await iterators.collect(iterator, { project: migrations.keyRecord }))
+      .filter((result) => !tombstones.isTombstone(result.Record));
     // use RecordsCount and Bookmark to keep consistency with the go sample
     results.ResponseMetadata = {
       RecordsCount: metadata.fetched_records_count,
@@ -452,22 +1342,20 @@ let Chaincode = class {
   // =========================================================================================
   // getQueryResultForQueryStringWithPagination executes the passed in query string with
   // pagination info. Result set is built and returned as a byte array containing the JSON results.
+  // Like queryMarbles, it is restricted to admins.
   // =========================================================================================
   async queryMarblesWithPagination(stub, args, thisClass) {
 
-    //   0
-    // "queryString"
-    if (args.length < 3) {
-      return shim.Error("Incorrect number of arguments. Expecting 3")
-    }
+    //   0              1          2
+    // "queryString", "pageSize", "bookmark"
+    await requireAdmin(stub, 'queryMarblesWithPagination', 'searchMarbles');
 
     const queryString = args[0];
-    const pageSize = parseInt(args[2], 10);
-    const bookmark = args[3];
+    const pageSize = args[1];
+    const bookmark = args[2];
 
-    const { iterator, metadata } = await stub.GetQueryResultWithPagination(queryString, pageSize, bookmark);
-    const getAllResults = thisClass['getAllResults'];
-    const results = await getAllResults(iterator, false);
+    const { iterator, metadata } = await richQuery.getQueryResultWithPagination(stub, queryString, pageSize, bookmark);
+    const results = await iterators.collect(iterator, { project: migrations.keyRecord });
     // use RecordsCount and Bookmark to keep consistency with the go sample
     results.ResponseMetadata = {
       RecordsCount: metadata.fetched_records_count,
@@ -476,6 +1364,54 @@ let Chaincode = class {
 
     return Buffer.from(JSON.stringify(results));
   }
+
+  // ===========================================================================================
+  // migrate - upgrade the marbles stored in an older schema version and write them back.
+  // Each call scans the next pageSize keys from fromKey, or from where the previous call
+  // stopped when fromKey is empty, and records its progress; call it until done is true.
+  // Init runs the first batch on upgrade. Restricted to admins.
+  // ===========================================================================================
+  async migrate(stub, args, thisClass) {
+    //   0          1
+    // 'fromKey', 'pageSize'
+    await requireAdmin(stub, 'migrate');
+    let progress = await migrations.migrate(stub, args[0], args[1]);
+    logger.forStub(stub).info('Migrated marbles', { progress: progress });
+    return Buffer.from(JSON.stringify(progress));
+  }
+
+  // ===========================================================================================
+  // getMigrationProgress - the progress of the current or last migration, null if none ran
+  // ===========================================================================================
+  async getMigrationProgress(stub, args, thisClass) {
+    return Buffer.from(JSON.stringify(await migrations.getProgress(stub)));
+  }
+
+  // ===========================================================================================
+  // rebuildIndex - bring a composite key index in line with the marbles: entries of
+  // marbles that no longer exist are deleted, entries missing for a marble are added.
+  // Reads every marble, so it is subject to the result set limits. Restricted to admins.
+  // ===========================================================================================
+  async rebuildIndex(stub, args, thisClass) {
+    await requireAdmin(stub, 'rebuildIndex');
+    let report = await indexes.rebuildIndex(stub, args[0]);
+    logger.forStub(stub).info('Rebuilt index', report);
+    return Buffer.from(JSON.stringify(report));
+  }
+
+  // ===========================================================================================
+  // verifyIndexes - list, for every composite key index, the orphaned entries (without a
+  // marble) and the missing ones (marbles without their entry). Restricted to admins.
+  // ===========================================================================================
+  async verifyIndexes(stub, args, thisClass) {
+    await requireAdmin(stub, 'verifyIndexes');
+    return Buffer.from(JSON.stringify(await indexes.verifyIndexes(stub)));
+  }
 };
 
-shim.start(new Chaincode());
+module.exports = Chaincode;
+
+// only connect to the peer when run as the chaincode process, so tests can require this module
+if (require.main === module) {
+  shim.start(new Chaincode());
+}
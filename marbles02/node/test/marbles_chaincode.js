@@ -0,0 +1,214 @@
+/*
+# Copyright IBM Corp. All Rights Reserved.
+#
+# SPDX-License-Identifier: Apache-2.0
+*/
+
+'use strict';
+
+// the transactions that fail on purpose would fill the output with error lines
+process.env.CHAINCODE_LOG_LEVEL = 'off';
+
+const crypto = require('crypto');
+const { expect } = require('chai');
+const { ChaincodeMockStub, mockIdentity } = require('chaincode-common');
+
+const Chaincode = require('../marbles_chaincode.js');
+
+const tom = mockIdentity('Org1MSP', 'tom');
+const jerry = mockIdentity('Org2MSP', 'jerry');
+const admin = mockIdentity('Org1MSP', 'admin', { 'marbles.role': 'admin' });
+const outsideAdmin = mockIdentity('Org3MSP', 'admin', { 'marbles.role': 'admin' });
+
+describe('marbles chaincode', () => {
+
+  let stub;
+  let txCount;
+
+  // runs a transaction, timestamped at the given ISO 8601 date or now
+  function invoke(args, identity, timestamp) {
+    txCount++;
+    return stub.mockInvoke('tx' + txCount, args, Object.assign({ timestamp: timestamp }, identity));
+  }
+
+  async function payloadOf(promise) {
+    let response = await promise;
+    expect(response.status, response.message).to.equal(200);
+    return response.payload.length > 0 ? JSON.parse(response.payload.toString()) : undefined;
+  }
+
+  async function errorOf(promise) {
+    let response = await promise;
+    expect(response.status).to.equal(500);
+    return JSON.parse(response.message);
+  }
+
+  beforeEach(async () => {
+    stub = new ChaincodeMockStub('marbles', new Chaincode());
+    txCount = 0;
+    let response = await stub.mockInit('tx0', ['init', 'Org1MSP'], tom);
+    expect(response.status, response.message).to.equal(200);
+  });
+
+  describe('Init', () => {
+
+    it('rejects an empty admin MSP ID', async () => {
+      let response = await stub.mockInit('tx1', ['init', ''], tom);
+      expect(JSON.parse(response.message).code).to.equal('INVALID_ARGUMENT');
+    });
+  });
+
+  describe('Invoke', () => {
+
+    it('lists the functions', async () => {
+      let functions = await payloadOf(invoke(['listFunctions'], tom));
+      expect(functions.map((fcn) => fcn.name)).to.include.members(['initMarble', 'proposeSwap', 'readMarbleAsOf']);
+    });
+
+    it('rejects an unknown function', async () => {
+      expect((await errorOf(invoke(['nope'], tom))).code).to.equal('NOT_FOUND');
+    });
+
+    it('rejects arguments that do not match their declaration', async () => {
+      let error = await errorOf(invoke(['initMarble', 'marble1', 'blue', 'big'], tom));
+      expect(error.code).to.equal('INVALID_ARGUMENT');
+    });
+  });
+
+  describe('marbles', () => {
+
+    beforeEach(async () => {
+      await payloadOf(invoke(['initMarble', 'marble1', 'blue', '35'], tom));
+      await payloadOf(invoke(['initMarble', 'marble2', 'red', '50'], tom));
+    });
+
+    it('creates a marble owned by the caller', async () => {
+      expect(await payloadOf(invoke(['readMarble', 'marble1'], jerry))).to.deep.equal({
+        docType: 'marble', schemaVersion: 1, name: 'marble1', color: 'blue', size: 35, owner: '/CN=tom', ownerMSP: 'Org1MSP'
+      });
+    });
+
+    it('does not create a marble twice', async () => {
+      expect((await errorOf(invoke(['initMarble', 'marble1', 'red', '1'], jerry))).code).to.equal('ALREADY_EXISTS');
+    });
+
+    it('reports a missing marble', async () => {
+      expect((await errorOf(invoke(['readMarble', 'marble9'], tom))).code).to.equal('NOT_FOUND');
+    });
+
+    it('lets the owner transfer a marble', async () => {
+      await payloadOf(invoke(['transferMarble', 'marble1', 'Org2MSP', '/CN=jerry'], tom));
+      let marble = await payloadOf(invoke(['readMarble', 'marble1'], tom));
+      expect([marble.owner, marble.ownerMSP]).to.deep.equal(['/CN=jerry', 'Org2MSP']);
+    });
+
+    it('does not let another identity transfer a marble', async () => {
+      expect((await errorOf(invoke(['transferMarble', 'marble1', 'Org2MSP', '/CN=jerry'], jerry))).code).to.equal('PERMISSION_DENIED');
+    });
+
+    it('only takes admins from the MSPs named at Init', async () => {
+      await payloadOf(invoke(['transferMarble', 'marble1', 'Org2MSP', '/CN=jerry'], admin));
+      expect((await errorOf(invoke(['transferMarble', 'marble2', 'Org2MSP', '/CN=jerry'], outsideAdmin))).code).to.equal('PERMISSION_DENIED');
+    });
+
+    it('transfers the caller\'s marbles of a color', async () => {
+      await payloadOf(invoke(['transferMarblesBasedOnColor', 'blue', 'Org2MSP', '/CN=jerry'], tom));
+      let marbles = await payloadOf(invoke(['getMarblesByRange', '', ''], tom));
+      expect(marbles.map((marble) => [marble.Key, marble.Record.owner])).to.deep.equal([['marble1', '/CN=jerry'], ['marble2', '/CN=tom']]);
+    });
+
+    it('pages range queries in a read-only transaction', async () => {
+      let page = await payloadOf(invoke(['getMarblesByRangeWithPagination', '', '', '1', 'marble2'], tom));
+      expect(page.map((marble) => marble.Key)).to.deep.equal(['marble2']);
+    });
+
+    it('queries marbles by owner', async () => {
+      let marbles = await payloadOf(invoke(['queryMarblesByOwner', '/CN=tom', 'Org1MSP'], tom));
+      expect(marbles.map((marble) => marble.Key)).to.deep.equal(['marble1', 'marble2']);
+    });
+
+    it('restricts raw rich queries to admins', async () => {
+      let error = await errorOf(invoke(['queryMarbles', '{"selector":{"color":"blue"}}'], tom));
+      expect([error.code, error.message]).to.deep.equal(['PERMISSION_DENIED', 'Access denied: queryMarbles is restricted to admins, use searchMarbles instead']);
+      let marbles = await payloadOf(invoke(['queryMarbles', '{"selector":{"color":"blue"}}'], admin));
+      expect(marbles.map((marble) => marble.Key)).to.deep.equal(['marble1']);
+    });
+
+    it('deletes a marble to a tombstone that an admin can restore', async () => {
+      await payloadOf(invoke(['delete', 'marble1', 'created by mistake'], tom));
+      let error = await errorOf(invoke(['readMarble', 'marble1'], tom));
+      expect([error.code, error.details.deleted]).to.deep.equal(['NOT_FOUND', true]);
+      expect((await errorOf(invoke(['restoreMarble', 'marble1'], tom))).code).to.equal('PERMISSION_DENIED');
+
+      await payloadOf(invoke(['restoreMarble', 'marble1'], admin));
+      expect((await payloadOf(invoke(['readMarble', 'marble1'], tom))).color).to.equal('blue');
+      expect((await payloadOf(invoke(['verifyIndexes'], admin))).consistent).to.equal(true);
+    });
+
+    it('reads a marble as it was at an instant', async () => {
+      await payloadOf(invoke(['initMarble', 'marble3', 'green', '5'], tom, '2019-06-01T10:00:00Z'));
+      await payloadOf(invoke(['transferMarble', 'marble3', 'Org2MSP', '/CN=jerry'], tom, '2019-06-01T11:00:00Z'));
+      let version = await payloadOf(invoke(['readMarbleAsOf', 'marble3', '2019-06-01T10:30:00Z'], tom));
+      expect([version.txId, version.deleted, version.marble.owner]).to.deep.equal(['tx3', false, '/CN=tom']);
+      expect((await errorOf(invoke(['readMarbleAsOf', 'marble3', '2019-06-01T09:00:00Z'], tom))).code).to.equal('NOT_FOUND');
+    });
+  });
+
+  describe('auctions', () => {
+
+    const commitment = crypto.createHash('sha256').update('marble1:120:salt').digest('hex');
+
+    it('hands the marble to the highest revealed bid', async () => {
+      await payloadOf(invoke(['initMarble', 'marble1', 'blue', '35'], tom, '2019-06-01T09:00:00Z'));
+      await payloadOf(invoke(['openAuction', 'marble1', '100', '2019-06-01T12:00:00Z'], tom, '2019-06-01T10:00:00Z'));
+      expect((await errorOf(invoke(['transferMarble', 'marble1', 'Org2MSP', '/CN=jerry'], tom, '2019-06-01T10:30:00Z'))).code).to.equal('CONFLICT');
+      await payloadOf(invoke(['submitBid', 'marble1', commitment], jerry, '2019-06-01T11:00:00Z'));
+      await payloadOf(invoke(['revealBid', 'marble1', '120', 'salt'], jerry, '2019-06-01T12:30:00Z'));
+
+      let auction = await payloadOf(invoke(['closeAuction', 'marble1'], tom, '2019-06-01T13:00:00Z'));
+      expect([auction.status, auction.winner, auction.winningPrice]).to.deep.equal(['closed', '/CN=jerry', 120]);
+      expect((await payloadOf(invoke(['readMarble', 'marble1'], tom))).owner).to.equal('/CN=jerry');
+    });
+  });
+
+  describe('swaps', () => {
+
+    beforeEach(async () => {
+      await payloadOf(invoke(['initMarble', 'marble1', 'blue', '35'], tom, '2019-06-01T08:00:00Z'));
+      await payloadOf(invoke(['initMarble', 'marble2', 'green', '50'], jerry, '2019-06-01T08:00:00Z'));
+    });
+
+    function propose(timestamp, expireTime) {
+      return payloadOf(invoke(['proposeSwap', '["marble1"]', '["marble2"]', '/CN=jerry', 'Org2MSP', expireTime || ''], tom, timestamp));
+    }
+
+    it('exchanges the marbles of both sides when the counterparty accepts', async () => {
+      let swap = await propose('2019-06-01T09:00:00Z');
+      expect([swap.status, swap.expireTime]).to.deep.equal(['proposed', '2019-06-02T09:00:00.000Z']);
+      expect((await errorOf(invoke(['acceptSwap', swap.id], tom, '2019-06-01T10:00:00Z'))).code).to.equal('PERMISSION_DENIED');
+
+      expect((await payloadOf(invoke(['acceptSwap', swap.id], jerry, '2019-06-01T10:00:00Z'))).status).to.equal('accepted');
+      let marbles = await payloadOf(invoke(['getMarblesByRange', '', ''], tom));
+      expect(marbles.map((marble) => [marble.Key, marble.Record.owner])).to.deep.equal([['marble1', '/CN=jerry'], ['marble2', '/CN=tom']]);
+    });
+
+    it('does not accept a swap after ownership changed', async () => {
+      let swap = await propose('2019-06-01T09:00:00Z');
+      await payloadOf(invoke(['transferMarble', 'marble2', 'Org1MSP', '/CN=tom'], jerry, '2019-06-01T09:30:00Z'));
+      expect((await errorOf(invoke(['acceptSwap', swap.id], jerry, '2019-06-01T10:00:00Z'))).code).to.equal('CONFLICT');
+    });
+
+    it('does not accept an expired swap', async () => {
+      let swap = await propose('2019-06-01T09:00:00Z', '2019-06-01T10:00:00Z');
+      let error = await errorOf(invoke(['acceptSwap', swap.id], jerry, '2019-06-01T10:00:00Z'));
+      expect([error.code, error.message]).to.deep.equal(['CONFLICT', 'Swap tx3 expired at 2019-06-01T10:00:00.000Z']);
+    });
+
+    it('lets either party cancel a proposed swap', async () => {
+      let swap = await propose('2019-06-01T09:00:00Z');
+      await payloadOf(invoke(['cancelSwap', swap.id], jerry, '2019-06-01T09:30:00Z'));
+      expect((await payloadOf(invoke(['readSwap', swap.id], tom))).cancelledBy).to.equal('counterparty');
+      expect((await errorOf(invoke(['acceptSwap', swap.id], jerry, '2019-06-01T10:00:00Z'))).code).to.equal('CONFLICT');
+    });
+  });
+});
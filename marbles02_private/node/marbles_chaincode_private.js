@@ -0,0 +1,378 @@
+/*
+# Copyright IBM Corp. All Rights Reserved.
+#
+# SPDX-License-Identifier: Apache-2.0
+*/
+
+// ====CHAINCODE EXECUTION SAMPLES (CLI) ==================
+
+// ==== Instantiate with the collections defined in ../collections_config.json ====
+// peer chaincode instantiate -C mychannel -n marblesp -l node -v 1.0 -c '{"Args":["init"]}' -P "OR('Org1MSP.member','Org2MSP.member')" --collections-config $PWD/collections_config.json
+// ==== optionally setting the log level and the fields to redact from the logs ====
+// peer chaincode instantiate -C mychannel -n marblesp -l node -v 1.0 -c '{"Args":["init","{\"level\":\"warn\",\"redact\":[\"owner\"]}"]}' -P "OR('Org1MSP.member','Org2MSP.member')" --collections-config $PWD/collections_config.json
+
+// ==== Invoke marbles, pass private data as base64 encoded bytes in transient map ====
+//
+// export MARBLE=$(echo -n "{\"name\":\"marble1\",\"color\":\"blue\",\"size\":35,\"owner\":\"tom\",\"price\":99}" | base64)
+// peer chaincode invoke -C mychannel -n marblesp -c '{"Args":["initMarble"]}' --transient "{\"marble\":\"$MARBLE\"}"
+//
+// export MARBLE=$(echo -n "{\"name\":\"marble2\",\"color\":\"red\",\"size\":50,\"owner\":\"tom\",\"price\":102}" | base64)
+// peer chaincode invoke -C mychannel -n marblesp -c '{"Args":["initMarble"]}' --transient "{\"marble\":\"$MARBLE\"}"
+//
+// export MARBLE_OWNER=$(echo -n "{\"name\":\"marble2\",\"owner\":\"jerry\"}" | base64)
+// peer chaincode invoke -C mychannel -n marblesp -c '{"Args":["transferMarble"]}' --transient "{\"marble_owner\":\"$MARBLE_OWNER\"}"
+//
+// export MARBLE_DELETE=$(echo -n "{\"name\":\"marble1\"}" | base64)
+// peer chaincode invoke -C mychannel -n marblesp -c '{"Args":["delete"]}' --transient "{\"marble_delete\":\"$MARBLE_DELETE\"}"
+
+// ==== Query marbles, since queries are not recorded on chain we don't need to hide private data in transient map ====
+// peer chaincode query -C mychannel -n marblesp -c '{"Args":["readMarble","marble1"]}'
+// peer chaincode query -C mychannel -n marblesp -c '{"Args":["readMarblePrivateDetails","marble1"]}'
+// peer chaincode query -C mychannel -n marblesp -c '{"Args":["getMarblesByRange","marble1","marble4"]}'
+// peer chaincode query -C mychannel -n marblesp -c '{"Args":["getMarblePrivateDetailsByRange","marble1","marble4"]}'
+
+// Rich Query (evaluated by the chaincode itself when LevelDB is used as state database):
+// peer chaincode query -C mychannel -n marblesp -c '{"Args":["queryMarblesByOwner","tom"]}'
+// peer chaincode query -C mychannel -n marblesp -c '{"Args":["queryMarbles","{\"selector\":{\"owner\":\"tom\"}}"]}'
+
+// The index supporting queryMarblesByOwner is scoped to the collectionMarbles collection,
+// see META-INF/statedb/couchdb/collections/collectionMarbles/indexes/indexOwner.json.
+// Only members of collectionMarblePrivateDetails (Org1 in collections_config.json) can
+// read marble prices; on other peers readMarblePrivateDetails fails.
+
+'use strict';
+const shim = require('fabric-shim');
+const { iterators, richQuery, Router, Logger, errors } = require('chaincode-common');
+const { NotFoundError, AlreadyExistsError, InvalidArgumentError } = errors;
+
+// prices are private to Org1 and kept out of the logs
+const logger = new Logger({ name: 'marblesp', redact: ['price'] });
+
+const MARBLES_COLLECTION = 'collectionMarbles';
+const PRIVATE_DETAILS_COLLECTION = 'collectionMarblePrivateDetails';
+
+// ===============================================
+// getTransientInput - read and decode a JSON value passed in the transient map.
+// Private data is never passed as a regular argument, since arguments are
+// recorded in the transaction on the ledger.
+// ===============================================
+function getTransientInput(stub, name) {
+  let transMap = stub.getTransient();
+  if (!transMap.has(name)) {
+    throw new InvalidArgumentError(name + ' must be a key in the transient map');
+  }
+  let value = transMap.get(name);
+  // the peer hands the transient map over as protobuf ByteBuffers
+  let valueAsBytes = Buffer.isBuffer(value) ? value : value.toBuffer();
+  if (valueAsBytes.length == 0) {
+    throw new InvalidArgumentError(name + ' value in the transient map must be a non-empty JSON string');
+  }
+  try {
+    return JSON.parse(valueAsBytes.toString());
+  } catch (err) {
+    // the value is private, so it is left out of the error returned to the client
+    throw new InvalidArgumentError(name + ' value in the transient map is not valid JSON');
+  }
+}
+
+function checkNonEmptyString(input, field) {
+  if (typeof input[field] !== 'string' || input[field].length == 0) {
+    throw new InvalidArgumentError(field + ' field must be a non-empty string');
+  }
+}
+
+function checkPositiveInteger(input, field) {
+  if (!Number.isInteger(input[field]) || input[field] <= 0) {
+    throw new InvalidArgumentError(field + ' field must be a positive integer');
+  }
+}
+
+// ===============================================
+// The functions clients can invoke, with their arguments. Functions handling private
+// data take no arguments and read their input from the transient map instead.
+// ===============================================
+const MARBLE_NAME = { name: 'marbleName', type: 'string', minLength: 1 };
+const router = new Router({
+  initMarble: {
+    description: 'Create a marble from the "marble" transient value {name, color, size, owner, price}'
+  },
+  readMarble: {
+    description: 'Read a marble',
+    readOnly: true,
+    args: [MARBLE_NAME]
+  },
+  readMarblePrivateDetails: {
+    description: 'Read the price of a marble',
+    readOnly: true,
+    args: [MARBLE_NAME]
+  },
+  delete: {
+    description: 'Delete the marble named by the "marble_delete" transient value {name}'
+  },
+  transferMarble: {
+    description: 'Set the owner of a marble from the "marble_owner" transient value {name, owner}'
+  },
+  getMarblesByRange: {
+    description: 'Read the marbles in a key range',
+    readOnly: true,
+    args: [
+      { name: 'startKey', type: 'string' },
+      { name: 'endKey', type: 'string' }
+    ]
+  },
+  getMarblePrivateDetailsByRange: {
+    description: 'Read the prices of the marbles in a key range',
+    readOnly: true,
+    args: [
+      { name: 'startKey', type: 'string' },
+      { name: 'endKey', type: 'string' }
+    ]
+  },
+  queryMarblesByOwner: {
+    description: 'Read the marbles of an owner',
+    readOnly: true,
+    args: [{ name: 'owner', type: 'string', minLength: 1, lowercase: true }]
+  },
+  queryMarbles: {
+    description: 'Run a rich query on the marbles collection as is',
+    readOnly: true,
+    args: [{ name: 'queryString', type: 'string', minLength: 1 }]
+  }
+});
+
+let Chaincode = class {
+  // The optional argument, {level, redact} as JSON, configures the logger (see Logger in chaincode-common)
+  async Init(stub) {
+    let log = logger.forStub(stub);
+    let ret = stub.getFunctionAndParameters();
+    if (ret.params[0]) {
+      try {
+        await logger.configure(stub, ret.params[0]);
+      } catch (err) {
+        log.error('Init failed', { error: err });
+        return shim.error(errors.toMessage(err));
+      }
+    }
+    log.info('Instantiated private marbles chaincode');
+    return shim.success();
+  }
+
+  // Errors are returned as {code, message, details} JSON, see errors in chaincode-common
+  async Invoke(stub) {
+    let log = logger.forStub(stub);
+    try {
+      await logger.loadConfig(stub);
+      log.debug('Invoke');
+      let payload = await router.invoke(stub, this);
+      return shim.success(payload);
+    } catch (err) {
+      log.error('Transaction failed', { error: err });
+      return shim.error(errors.toMessage(err));
+    }
+  }
+
+  // ===============================================
+  // initMarble - create a new marble, the price is kept in a separate collection
+  // ===============================================
+  async initMarble(stub, args, thisClass) {
+    // ==== Input sanitation ====
+    let marbleInput = getTransientInput(stub, 'marble');
+    checkNonEmptyString(marbleInput, 'name');
+    checkNonEmptyString(marbleInput, 'color');
+    checkPositiveInteger(marbleInput, 'size');
+    checkNonEmptyString(marbleInput, 'owner');
+    checkPositiveInteger(marbleInput, 'price');
+
+    // ==== Check if marble already exists ====
+    let marbleState = await stub.getPrivateData(MARBLES_COLLECTION, marbleInput.name);
+    if (marbleState.toString()) {
+      throw new AlreadyExistsError('This marble already exists: ' + marbleInput.name, { key: marbleInput.name });
+    }
+
+    // ==== Create marble object and marshal to JSON ====
+    let marble = {};
+    marble.docType = 'marble';
+    marble.name = marbleInput.name;
+    marble.color = marbleInput.color.toLowerCase();
+    marble.size = marbleInput.size;
+    marble.owner = marbleInput.owner.toLowerCase();
+
+    // === Save marble to the collection shared by both orgs ===
+    await stub.putPrivateData(MARBLES_COLLECTION, marble.name, Buffer.from(JSON.stringify(marble)));
+
+    // ==== Save the price to the collection only Org1 can read ====
+    let marblePrivateDetails = {};
+    marblePrivateDetails.docType = 'marblePrivateDetails';
+    marblePrivateDetails.name = marbleInput.name;
+    marblePrivateDetails.price = marbleInput.price;
+    await stub.putPrivateData(PRIVATE_DETAILS_COLLECTION, marble.name, Buffer.from(JSON.stringify(marblePrivateDetails)));
+
+    //  ==== Index the marble to enable color-based range queries, e.g. return all blue marbles ====
+    //  The index entry lives in the same collection as the marble it points to.
+    let indexName = 'color~name';
+    let colorNameIndexKey = stub.createCompositeKey(indexName, [marble.color, marble.name]);
+    //  Save index entry to state. Only the key name is needed, no need to store a duplicate copy of the marble.
+    //  Note - passing a 'nil' value will effectively delete the key from state, therefore we pass null character as value
+    await stub.putPrivateData(MARBLES_COLLECTION, colorNameIndexKey, Buffer.from('\u0000'));
+    // ==== Marble saved and indexed. Return success ====
+    logger.forStub(stub).info('Created marble', { marbleName: marble.name });
+  }
+
+  // ===============================================
+  // readMarble - read a marble from the collectionMarbles collection
+  // ===============================================
+  async readMarble(stub, args, thisClass) {
+    let name = args[0];
+    let marbleAsbytes = await stub.getPrivateData(MARBLES_COLLECTION, name);
+    if (!marbleAsbytes.toString()) {
+      throw new NotFoundError('Marble does not exist: ' + name, { key: name });
+    }
+    return marbleAsbytes;
+  }
+
+  // ===============================================
+  // readMarblePrivateDetails - read a marble's price from the collectionMarblePrivateDetails collection
+  // ===============================================
+  async readMarblePrivateDetails(stub, args, thisClass) {
+    let name = args[0];
+    let detailsAsbytes = await stub.getPrivateData(PRIVATE_DETAILS_COLLECTION, name);
+    if (!detailsAsbytes.toString()) {
+      throw new NotFoundError('Marble private details does not exist: ' + name, { key: name });
+    }
+    return detailsAsbytes;
+  }
+
+  // ==================================================
+  // delete - remove a marble and its private details from both collections
+  // ==================================================
+  async delete(stub, args, thisClass) {
+    let marbleDeleteInput = getTransientInput(stub, 'marble_delete');
+    checkNonEmptyString(marbleDeleteInput, 'name');
+    let marbleName = marbleDeleteInput.name;
+
+    // to maintain the color~name index, we need to read the marble first and get its color
+    let valAsbytes = await stub.getPrivateData(MARBLES_COLLECTION, marbleName);
+    if (!valAsbytes.toString()) {
+      throw new NotFoundError('Marble does not exist: ' + marbleName, { key: marbleName });
+    }
+    let marbleToDelete = {};
+    try {
+      marbleToDelete = JSON.parse(valAsbytes.toString());
+    } catch (err) {
+      throw new Error('Failed to decode JSON of the marble in ' + MARBLES_COLLECTION);
+    }
+
+    await stub.deletePrivateData(MARBLES_COLLECTION, marbleName);
+
+    // Also delete the marble from the color~name index
+    let indexName = 'color~name';
+    let colorNameIndexKey = stub.createCompositeKey(indexName, [marbleToDelete.color, marbleToDelete.name]);
+    await stub.deletePrivateData(MARBLES_COLLECTION, colorNameIndexKey);
+
+    // Finally, delete private details of marble
+    await stub.deletePrivateData(PRIVATE_DETAILS_COLLECTION, marbleName);
+    logger.forStub(stub).info('Deleted marble', { marbleName: marbleName });
+  }
+
+  // ===========================================================
+  // transfer a marble by setting a new owner name on the marble
+  // ===========================================================
+  async transferMarble(stub, args, thisClass) {
+    let marbleTransferInput = getTransientInput(stub, 'marble_owner');
+    checkNonEmptyString(marbleTransferInput, 'name');
+    checkNonEmptyString(marbleTransferInput, 'owner');
+    let marbleName = marbleTransferInput.name;
+
+    let marbleAsBytes = await stub.getPrivateData(MARBLES_COLLECTION, marbleName);
+    if (!marbleAsBytes.toString()) {
+      throw new NotFoundError('Marble does not exist: ' + marbleName, { key: marbleName });
+    }
+    let marbleToTransfer = {};
+    try {
+      marbleToTransfer = JSON.parse(marbleAsBytes.toString()); //unmarshal
+    } catch (err) {
+      throw new Error('Failed to decode JSON of the marble in ' + MARBLES_COLLECTION);
+    }
+    marbleToTransfer.owner = marbleTransferInput.owner.toLowerCase(); //change the owner
+
+    await stub.putPrivateData(MARBLES_COLLECTION, marbleName, Buffer.from(JSON.stringify(marbleToTransfer))); //rewrite the marble
+    logger.forStub(stub).info('Transferred marble', { marbleName: marbleName });
+  }
+
+  // ===========================================================================================
+  // getMarblesByRange performs a range query over the collectionMarbles collection
+  // based on the start and end keys provided.
+  //
+  // Range queries on private data are re-executed by the committing peers just like
+  // range queries on the world state, so they are a safe option for update transactions.
+  // ===========================================================================================
+  async getMarblesByRange(stub, args, thisClass) {
+    let resultsIterator = await stub.getPrivateDataByRange(MARBLES_COLLECTION, args[0], args[1]);
+    let results = await iterators.collect(resultsIterator, { project: iterators.keyRecord });
+
+    return Buffer.from(JSON.stringify(results));
+  }
+
+  // ===========================================================================================
+  // getMarblePrivateDetailsByRange performs a range query over the
+  // collectionMarblePrivateDetails collection, only members of that collection can run it.
+  // ===========================================================================================
+  async getMarblePrivateDetailsByRange(stub, args, thisClass) {
+    let resultsIterator = await stub.getPrivateDataByRange(PRIVATE_DETAILS_COLLECTION, args[0], args[1]);
+    let results = await iterators.collect(resultsIterator, { project: iterators.keyRecord });
+
+    return Buffer.from(JSON.stringify(results));
+  }
+
+  // ===== Example: Parameterized rich query =================================================
+  // queryMarblesByOwner queries the collectionMarbles collection for marbles based on a
+  // passed in owner, using the collection-scoped indexOwner index on CouchDB.
+  // On LevelDB the selector is evaluated by the chaincode (see richQuery in chaincode-common),
+  // which scans every key in the collection.
+  // =========================================================================================
+  async queryMarblesByOwner(stub, args, thisClass) {
+    //   0
+    // 'bob'
+    let owner = args[0];
+    let queryString = {};
+    queryString.selector = {};
+    queryString.selector.docType = 'marble';
+    queryString.selector.owner = owner;
+    let method = thisClass['getQueryResultForQueryString'];
+    let queryResults = await method(stub, JSON.stringify(queryString), thisClass);
+    return queryResults;
+  }
+
+  // ===== Example: Ad hoc rich query ========================================================
+  // queryMarbles uses a query string to perform a query for marbles in the
+  // collectionMarbles collection. The query string is passed in and executed as is.
+  // =========================================================================================
+  async queryMarbles(stub, args, thisClass) {
+    //   0
+    // 'queryString'
+    let queryString = args[0];
+    let method = thisClass['getQueryResultForQueryString'];
+    let queryResults = await method(stub, queryString, thisClass);
+    return queryResults;
+  }
+
+  // =========================================================================================
+  // getQueryResultForQueryString executes the passed in query string against the
+  // collectionMarbles collection.
+  // Result set is built and returned as a byte array containing the JSON results.
+  // =========================================================================================
+  async getQueryResultForQueryString(stub, queryString, thisClass) {
+    logger.forStub(stub).debug('Running rich query', { query: queryString });
+    let resultsIterator = await richQuery.getPrivateDataQueryResult(stub, MARBLES_COLLECTION, queryString);
+    let results = await iterators.collect(resultsIterator, { project: iterators.keyRecord });
+
+    return Buffer.from(JSON.stringify(results));
+  }
+};
+
+module.exports = Chaincode;
+
+// only connect to the peer when run as the chaincode process, so tests can require this module
+if (require.main === module) {
+  shim.start(new Chaincode());
+}
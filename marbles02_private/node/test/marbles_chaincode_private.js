@@ -0,0 +1,105 @@
+/*
+# Copyright IBM Corp. All Rights Reserved.
+#
+# SPDX-License-Identifier: Apache-2.0
+*/
+
+'use strict';
+
+// the transactions that fail on purpose would fill the output with error lines
+process.env.CHAINCODE_LOG_LEVEL = 'off';
+
+const { expect } = require('chai');
+const { ChaincodeMockStub, mockIdentity } = require('chaincode-common');
+
+const Chaincode = require('../marbles_chaincode_private.js');
+
+const member = mockIdentity('Org1MSP', 'tom');
+
+describe('private marbles chaincode', () => {
+
+  let stub;
+  let txCount;
+
+  // runs a transaction, passing transient as JSON values in the transient map
+  function invoke(args, transient) {
+    txCount++;
+    let transientMap = {};
+    for (let name of Object.keys(transient || {})) {
+      transientMap[name] = JSON.stringify(transient[name]);
+    }
+    return stub.mockInvoke('tx' + txCount, args, Object.assign({ transient: transientMap }, member));
+  }
+
+  async function payloadOf(promise) {
+    let response = await promise;
+    expect(response.status, response.message).to.equal(200);
+    return response.payload.length > 0 ? JSON.parse(response.payload.toString()) : undefined;
+  }
+
+  async function errorOf(promise) {
+    let response = await promise;
+    expect(response.status).to.equal(500);
+    return JSON.parse(response.message);
+  }
+
+  beforeEach(async () => {
+    stub = new ChaincodeMockStub('marblesp', new Chaincode());
+    txCount = 0;
+    let response = await stub.mockInit('tx0', ['init'], member);
+    expect(response.status, response.message).to.equal(200);
+    await payloadOf(invoke(['initMarble'], { marble: { name: 'marble1', color: 'Blue', size: 35, owner: 'Tom', price: 99 } }));
+  });
+
+  it('keeps the marble and its price in separate collections, off the world state', async () => {
+    expect(await payloadOf(invoke(['readMarble', 'marble1']))).to.deep.equal({
+      docType: 'marble', name: 'marble1', color: 'blue', size: 35, owner: 'tom'
+    });
+    expect(await payloadOf(invoke(['readMarblePrivateDetails', 'marble1']))).to.deep.equal({
+      docType: 'marblePrivateDetails', name: 'marble1', price: 99
+    });
+    expect(stub.state.size).to.equal(0);
+  });
+
+  it('takes its input from the transient map only', async () => {
+    let error = await errorOf(invoke(['initMarble']));
+    expect([error.code, error.message]).to.deep.equal(['INVALID_ARGUMENT', 'marble must be a key in the transient map']);
+    error = await errorOf(invoke(['initMarble'], { marble: { name: 'marble2', color: 'red', size: 0, owner: 'tom', price: 1 } }));
+    expect(error.message).to.equal('size field must be a positive integer');
+  });
+
+  it('leaves private values out of decoding errors', async () => {
+    let response = await stub.mockInvoke('tx9', ['initMarble'], Object.assign({ transient: { marble: '{"name":"marble2","price":102' } }, member));
+    expect(JSON.parse(response.message)).to.deep.include({ code: 'INVALID_ARGUMENT', message: 'marble value in the transient map is not valid JSON' });
+
+    stub.privateData.get('collectionMarbles').set('marble1', Buffer.from('{"owner":"tom"'));
+    let error = await errorOf(invoke(['transferMarble'], { marble_owner: { name: 'marble1', owner: 'jerry' } }));
+    expect([error.code, error.message]).to.deep.equal(['UNKNOWN', 'Failed to decode JSON of the marble in collectionMarbles']);
+  });
+
+  it('does not create a marble twice', async () => {
+    let error = await errorOf(invoke(['initMarble'], { marble: { name: 'marble1', color: 'red', size: 1, owner: 'jerry', price: 1 } }));
+    expect(error.code).to.equal('ALREADY_EXISTS');
+  });
+
+  it('transfers a marble', async () => {
+    await payloadOf(invoke(['transferMarble'], { marble_owner: { name: 'marble1', owner: 'Jerry' } }));
+    expect((await payloadOf(invoke(['readMarble', 'marble1']))).owner).to.equal('jerry');
+    expect((await payloadOf(invoke(['queryMarblesByOwner', 'jerry']))).map((marble) => marble.Key)).to.deep.equal(['marble1']);
+  });
+
+  it('deletes a marble from both collections', async () => {
+    await payloadOf(invoke(['delete'], { marble_delete: { name: 'marble1' } }));
+    expect((await errorOf(invoke(['readMarble', 'marble1']))).code).to.equal('NOT_FOUND');
+    expect((await errorOf(invoke(['readMarblePrivateDetails', 'marble1']))).code).to.equal('NOT_FOUND');
+    expect(await payloadOf(invoke(['getMarblesByRange', '', '']))).to.deep.equal([]);
+  });
+
+  it('runs range queries over each collection', async () => {
+    await payloadOf(invoke(['initMarble'], { marble: { name: 'marble2', color: 'red', size: 50, owner: 'tom', price: 102 } }));
+    let marbles = await payloadOf(invoke(['getMarblesByRange', 'marble1', 'marble3']));
+    expect(marbles.map((marble) => marble.Key)).to.deep.equal(['marble1', 'marble2']);
+    let details = await payloadOf(invoke(['getMarblePrivateDetailsByRange', 'marble2', '']));
+    expect(details.map((detail) => detail.Record.price)).to.deep.equal([102]);
+  });
+});